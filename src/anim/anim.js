@@ -15,6 +15,8 @@
 */
 
 import { Rin, Class } from '@rsthn/rin';
+import Interpolators from './interpolators.js';
+import Spring from './spring.js';
 
 /**
 **	Class to animate properties using rules.
@@ -39,6 +41,17 @@ const Anim = Class.extend
 	finishedCallback: null,
 	finishedCallbackChain: null,
 
+	labelCallback: null,
+
+	// Playback direction (1 or -1), values of the animated fields when the animation started (used by seek), and seeking/pending flags.
+	direction: 1,
+	startData: null,
+	seeking: false,
+	pending: false,
+
+	// Springs of the fields animated by spring commands, preserved between commands to carry over the velocity when retargeted.
+	springs: null,
+
 	__ctor: function ()
 	{
 		this.list = [ ];
@@ -46,6 +59,7 @@ const Anim = Class.extend
 
 		this.initialData = { };
 		this.data = { };
+		this.springs = { };
 
 		this.reset();
 	},
@@ -96,6 +110,9 @@ const Anim = Class.extend
 	{
 		this.list = [ ];
 
+		this.direction = 1;
+		this.startData = null;
+
 		this.stack.length = 0;
 		this.blockTime = 0;
 
@@ -118,6 +135,7 @@ const Anim = Class.extend
 		for (let i in this.initialData)
 			this.data[i] = this.initialData[i];
 
+		this.springs = { };
 		return this;
 	},
 
@@ -135,6 +153,234 @@ const Anim = Class.extend
 		return this;
 	},
 
+	// Sets the playback direction, when reversed the animation plays backwards from the current time to the start.
+	reverse: function (value=true)
+	{
+		this.direction = value ? -1 : 1;
+		this.finished = false;
+		return this;
+	},
+
+	// Returns the current time of the animation.
+	getTime: function ()
+	{
+		return this.time;
+	},
+
+	// Returns the duration of a list of commands (the whole animation by default). Commands `exec` have no known duration and count as zero,
+	// and `restart` makes the duration infinite. The duration of `spring` commands depends on the value of the field when they start, which
+	// is tracked in `state` from the values at the start of the animation through the `set`, `range` and `spring` commands.
+	getDuration: function (list=null, state=null)
+	{
+		let total = 0;
+
+		if (state === null)
+			state = { values: { }, springs: { } };
+
+		for (let cmd of (list || this.list))
+		{
+			switch (cmd.op)
+			{
+				case "parallel":
+				{
+					let max = 0;
+					for (let i of cmd.block) max = Math.max(max, this.getDuration([i], state));
+					total += max;
+					break;
+				}
+
+				case "serial":
+					total += this.getDuration(cmd.block, state);
+					break;
+
+				case "repeat": case "pingpong":
+					total += this.getDuration(cmd.block, state) * cmd.count;
+					break;
+
+				case "set":
+					state.values[cmd.field] = this.getValue(cmd.value, cmd.field, this.getStartValue(cmd.field, state));
+					break;
+
+				case "range":
+					state.values[cmd.field] = this.getValue(cmd.endValue, cmd.field, this.getStartValue(cmd.field, state));
+					total += Rin.typeOf(cmd.duration) == "string" ? this.data[cmd.duration] : cmd.duration;
+					break;
+
+				case "wait": case "rand": case "randt": case "tween":
+					total += Rin.typeOf(cmd.duration) == "string" ? this.data[cmd.duration] : cmd.duration;
+					break;
+
+				case "spring":
+				{
+					let value = this.getStartValue(cmd.field, state);
+					let target = this.getValue(cmd.endValue, cmd.field, value);
+
+					if (cmd.started)
+						total += cmd._duration;
+					else
+						total += new Spring(value, cmd.options).getRestTime(value, cmd.field in state.springs || !this.springs[cmd.field] ? 0 : this.springs[cmd.field].velocity, target);
+
+					state.values[cmd.field] = target;
+					state.springs[cmd.field] = true;
+					break;
+				}
+
+				case "restart":
+					return Infinity;
+			}
+		}
+
+		return total;
+	},
+
+	// Returns a map with the time of each label (the first occurrence when inside a repeated block).
+	getLabels: function (list=null, time=0, labels=null, state=null)
+	{
+		if (labels === null) labels = { };
+		if (state === null) state = { values: { }, springs: { } };
+
+		// Nested blocks are visited with a copy of the state since their commands are tracked again when adding their duration.
+		const copy = () => ({ values: { ...state.values }, springs: { ...state.springs } });
+
+		for (let cmd of (list || this.list))
+		{
+			switch (cmd.op)
+			{
+				case "parallel":
+					for (let i of cmd.block) this.getLabels([i], time, labels, copy());
+					break;
+
+				case "serial": case "repeat": case "pingpong":
+					this.getLabels(cmd.block, time, labels, copy());
+					break;
+
+				case "label":
+					if (!(cmd.name in labels)) labels[cmd.name] = time;
+					break;
+			}
+
+			time += this.getDuration([cmd], state);
+		}
+
+		return labels;
+	},
+
+	// Returns the value of a field when a command starts according to the state tracked by `getDuration`, fields not changed by previous
+	// commands have their value at the start of the animation.
+	getStartValue: function (field, state)
+	{
+		if (field in state.values)
+			return state.values[field];
+
+		return this.startData !== null && field in this.startData ? this.startData[field] : this.data[field];
+	},
+
+	// Returns the time of a label, throws an error if the label does not exist.
+	getLabelTime: function (name)
+	{
+		let labels = this.getLabels();
+
+		if (!(name in labels))
+			throw new Error ("Anim: label not found: " + name);
+
+		return labels[name];
+	},
+
+	// Stores the current values of the fields modified by the animation, used by seek to restore the state at time zero.
+	capture: function ()
+	{
+		const fields = { };
+
+		const collect = function (list)
+		{
+			for (let cmd of list)
+			{
+				if (cmd.block) collect(cmd.block);
+
+				if (cmd.op == "tween" && cmd.type == "path")
+				{
+					fields[cmd.options.x] = true;
+					fields[cmd.options.y] = true;
+					if (cmd.options.orient) fields[cmd.options.angle] = true;
+				}
+				else if (cmd.field)
+					fields[cmd.field] = true;
+			}
+		};
+
+		collect(this.list);
+
+		this.startData = { };
+
+		for (let name in fields)
+			this.startData[name] = Rin.clone(this.data[name]);
+
+		return this;
+	},
+
+	// Resets the progress of the animation (and of all its commands) to time zero without modifying the data.
+	rewind: function ()
+	{
+		const reset = function (list)
+		{
+			for (let cmd of list)
+			{
+				if ('started' in cmd) cmd.started = false;
+				if (cmd.block) reset(cmd.block);
+			}
+		};
+
+		reset(this.list);
+
+		this.springs = { };
+		this.stack.length = 0;
+		this.block = this.list;
+		this.index = 0;
+		this.blockTime = 0;
+		this.time = 0;
+		this.finished = false;
+
+		return this;
+	},
+
+	// Moves the animation to the specified time (or label name), the fields are restored to their values at time zero and the commands are
+	// replayed up to the given time. Sounds are not played and labels are not triggered while seeking, and `exec` commands run with a zero delta.
+	seek: function (time)
+	{
+		if (typeof(time) == 'string')
+			time = this.getLabelTime(time);
+
+		if (this.startData === null)
+			this.capture();
+
+		for (let name in this.startData)
+			this.data[name] = Rin.clone(this.startData[name]);
+
+		let paused = this.paused;
+
+		this.rewind();
+		this.paused = false;
+		this.seeking = true;
+
+		try {
+			this.pending = false;
+			this.step(time / (this.timeScale*Anim.timeScale));
+
+			for (let i = 0; this.pending && i < 100000; i++)
+			{
+				this.pending = false;
+				this.step(0);
+			}
+		}
+		finally {
+			this.seeking = false;
+			this.paused = paused;
+		}
+
+		this.time = time;
+		return this;
+	},
+
 	// Sets the output data object.
 	output: function (data)
 	{
@@ -157,10 +403,8 @@ const Anim = Class.extend
 		return this;
 	},
 
-	getValue: function (value, fieldName)
+	getValue: function (value, fieldName, curr=this.data[fieldName])
 	{
-		let curr = this.data[fieldName];
-
 		if (value === null)
 			value = curr;
 
@@ -183,16 +427,50 @@ const Anim = Class.extend
 		}
 
 		if (typeof(value) == 'function')
-			value = value.call(this, this.data[fieldName], this.data, this);
+			value = value.call(this, curr, this.data, this);
 
 		return value;
 	},
 
-	// Updates the animation by the specified delta time, ensure the time is specified in the same units as the duration of the actions.
+	// Updates the animation by the specified delta time, ensure the time is specified in the same units as the duration of the actions. When
+	// playing in reverse the animation moves backwards until reaching the start.
 	update: function (dt)
 	{
 		if (this.paused) return false;
 
+		if (this.direction < 0)
+		{
+			let time = Math.max(0, this.time - dt*this.timeScale*Anim.timeScale);
+			let prev = this.time;
+
+			this.seek(time);
+
+			if (this.labelCallback !== null)
+			{
+				let labels = this.getLabels();
+
+				for (let name in labels)
+				{
+					if (labels[name] > time && labels[name] <= prev)
+						this.labelCallback(name, this, -1);
+				}
+			}
+
+			return time == 0;
+		}
+
+		// Store the state of the fields when the animation starts (used by seek).
+		if (this.time == 0 && this.index == 0 && this.block == this.list)
+			this.capture();
+
+		return this.step(dt);
+	},
+
+	// Runs the commands of the current block advancing the animation time by the specified delta.
+	step: function (dt)
+	{
+		if (this.paused) return false;
+
 		if (this.index >= this.block.length)
 			return true;
 
@@ -238,7 +516,7 @@ const Anim = Class.extend
 						this.index = cmd.indices[i];
 						this.blockTime = cmd.blockTimes[i];
 
-						if (this.update(0) === true)
+						if (this.step(0) === true)
 							n++;
 
 						if (this.blockTime > blockTime)
@@ -282,7 +560,7 @@ const Anim = Class.extend
 					this.index = cmd._index;
 					this.blockTime = cmd._blockTime;
 
-					i = this.update(0);
+					i = this.step(0);
 
 					cmd._block = this.block;
 					cmd._index = this.index;
@@ -321,7 +599,7 @@ const Anim = Class.extend
 					this.index = cmd._index;
 					this.blockTime = cmd._blockTime;
 
-					i = this.update(0);
+					i = this.step(0);
 
 					cmd._block = this.block;
 					cmd._index = this.index;
@@ -335,6 +613,9 @@ const Anim = Class.extend
 
 					if (i !== true) return false;
 
+					// Signals that more commands can be processed with the current time (used by seek).
+					this.pending = true;
+
 					if (cmd._count <= 1)
 					{
 						cmd.started = false;
@@ -354,6 +635,42 @@ const Anim = Class.extend
 
 					break;
 
+				case "pingpong":
+					if (cmd.started == false)
+					{
+						cmd.sub = new Anim();
+						cmd.sub.list = cmd.block;
+						cmd.sub.output(this.data).rewind();
+						cmd.sub.capture();
+
+						cmd._duration = cmd.sub.getDuration();
+						cmd.started = true;
+					}
+
+					duration = cmd._duration * cmd.count;
+
+					if (this.time < this.blockTime + duration)
+					{
+						dt = this.time - this.blockTime;
+						i = Math.floor(dt / cmd._duration);
+
+						dt -= i*cmd._duration;
+						cmd.sub.seek(i & 1 ? cmd._duration - dt : dt);
+
+						if (cmd.fn) cmd.fn.call(this);
+						return false;
+					}
+
+					cmd.sub.seek(cmd.count & 1 ? cmd._duration : 0);
+					if (cmd.fn) cmd.fn.call(this);
+
+					cmd.started = false;
+					cmd.sub = null;
+
+					this.blockTime += duration;
+					this.index++;
+					break;
+
 				case "set":
 					this.data[cmd.field] = this.getValue(cmd.value, cmd.field);
 					this.index++;
@@ -424,7 +741,7 @@ const Anim = Class.extend
 					if (cmd.cur != cmd.last)
 					{
 						while (true) {
-							i = ~~(Math.random()*(cmd.endValue - cmd.startValue + 1)) + cmd.startValue;
+							i = ~~(randf()*(cmd.endValue - cmd.startValue + 1)) + cmd.startValue;
 							if (i != this.data[cmd.field]) break;
 						}
 
@@ -440,6 +757,65 @@ const Anim = Class.extend
 					this.index++;
 					break;
 
+				case "tween":
+					if (cmd.started == false)
+					{
+						cmd.state = Anim.interpolators[cmd.type].start(cmd, this);
+						cmd.started = true;
+					}
+
+					duration = Rin.typeOf(cmd.duration) == "string" ? this.data[cmd.duration] : cmd.duration;
+
+					if (this.time < this.blockTime + duration)
+						dt = (this.time - this.blockTime) / duration;
+					else
+						dt = 1;
+
+					Anim.interpolators[cmd.type].apply(cmd.state, cmd.easing && dt != 1 ? cmd.easing(dt) : dt, this.data);
+
+					if (dt != 1) return false;
+
+					cmd.started = false;
+
+					this.blockTime += duration;
+					this.index++;
+					break;
+
+				case "spring":
+				{
+					let spring = this.springs[cmd.field];
+
+					if (cmd.started == false)
+					{
+						// Each command has its own spring parameters, only the velocity of the previous spring is kept.
+						cmd._startValue = this.data[cmd.field];
+						cmd._velocity = spring ? spring.velocity : 0;
+						cmd._endValue = this.getValue(cmd.endValue, cmd.field);
+
+						spring = this.springs[cmd.field] = new Spring(cmd._startValue, cmd.options);
+						spring.setTarget(cmd._endValue);
+
+						cmd._duration = spring.getRestTime(cmd._startValue, cmd._velocity, cmd._endValue);
+						cmd.started = true;
+					}
+
+					if (this.time < this.blockTime + cmd._duration)
+					{
+						spring.solve(cmd._startValue, cmd._velocity, cmd._endValue, this.time - this.blockTime, spring);
+						this.data[cmd.field] = spring.value;
+						return false;
+					}
+
+					spring.setValue(cmd._endValue, 0);
+					this.data[cmd.field] = cmd._endValue;
+
+					cmd.started = false;
+
+					this.blockTime += cmd._duration;
+					this.index++;
+					break;
+				}
+
 				case "randt":
 					duration = Rin.typeOf(cmd.duration) == "string" ? this.data[cmd.duration] : cmd.duration;
 
@@ -463,13 +839,20 @@ const Anim = Class.extend
 
 				case "play":
 					//if (cmd.snd instanceof Sound)
-					cmd.snd.play();
+					if (!this.seeking) cmd.snd.play();
 					//else
 					//cmd.snd.wrapper.play();
 
 					this.index++;
 					break;
 
+				case "label":
+					if (!this.seeking && this.labelCallback !== null)
+						this.labelCallback(cmd.name, this, 1);
+
+					this.index++;
+					break;
+
 				case "exec":
 					if (cmd.started == false)
 					{
@@ -500,7 +883,7 @@ const Anim = Class.extend
 			let list = this.list;
 			this.finished = true;
 
-			if (!finished && this.finishedCallback != null)
+			if (!finished && !this.seeking && this.finishedCallback != null)
 			{
 				if (this.finishedCallback(this.data, this) === false)
 					this.finishedCallback = null;
@@ -542,12 +925,12 @@ const Anim = Class.extend
 		return this;
 	},
 
-	// Repeats a block the specified number of times.
-	repeat: function (count)
+	// Repeats a block the specified number of times. When `pingpong` is set every other repetition plays the block in reverse.
+	repeat: function (count, pingpong=false)
 	{
 		let block = [ ];
 
-		this.block.push({ op: "repeat", started: false, block: block, count: count });
+		this.block.push({ op: pingpong ? "pingpong" : "repeat", started: false, block: block, count: count });
 
 		this.stack.push (this.block);
 		this.block = block;
@@ -599,6 +982,14 @@ const Anim = Class.extend
 		return this;
 	},
 
+	// Moves a field towards the end value using a damped spring (options: stiffness, damping, dampingRatio, mass and precision). The command
+	// finishes when the spring comes to rest, and the velocity of a previous spring on the same field is carried over.
+	spring: function (field, endValue, options=null)
+	{
+		this.block.push({ op: "spring", started: false, field: field, endValue: endValue, options: options || { } });
+		return this;
+	},
+
 	// Generates a certain amount of random numbers in the given range (inclusive).
 	rand: function (field, duration, count, startValue, endValue, easing)
 	{
@@ -616,8 +1007,8 @@ const Anim = Class.extend
 
 		for (let i = count >> 2; i > 0; i--)
 		{
-			let a = ~~(Math.random() * count);
-			let b = ~~(Math.random() * count);
+			let a = ~~(randf() * count);
+			let b = ~~(randf() * count);
 
 			let c = table[b];
 			table[b] = table[a];
@@ -628,6 +1019,56 @@ const Anim = Class.extend
 		return this;
 	},
 
+	// Interpolates a field using one of the typed interpolators (see Anim.interpolators).
+	tween: function (type, field, duration, startValue, endValue, easing, options=null)
+	{
+		if (!(type in Anim.interpolators))
+			throw new Error ("Anim: interpolator not found: " + type);
+
+		this.block.push({ op: "tween", started: false, type: type, field: field, duration: duration, startValue: startValue, endValue: endValue, easing: easing ? easing : null, options: options || { } });
+		return this;
+	},
+
+	// Interpolates a color (hex/rgb/hsl string, 0xRRGGBB number, array or object) in RGB or HSL space.
+	color: function (field, duration, startValue, endValue, easing, space='rgb')
+	{
+		return this.tween('color', field, duration, startValue, endValue, easing, { space: space });
+	},
+
+	// Interpolates a vector (Vec2 or object with x and y).
+	vec2: function (field, duration, startValue, endValue, easing)
+	{
+		return this.tween('vec2', field, duration, startValue, endValue, easing);
+	},
+
+	// Interpolates a numeric array element by element.
+	array: function (field, duration, startValue, endValue, easing)
+	{
+		return this.tween('array', field, duration, startValue, endValue, easing);
+	},
+
+	// Moves the X and Y coordinates along a path. Options: spline ("catmull-rom" or "bezier"), closed, tension, orient (sets the angle to
+	// the direction of the path), angleOffset, relative (points are relative to the current position), x, y, angle (field names) and steps.
+	path: function (duration, points, options, easing)
+	{
+		options = { spline: 'catmull-rom', closed: false, tension: 0, orient: false, angleOffset: 0, relative: false, x: 'x', y: 'y', angle: 'angle', steps: 16, ...options };
+		return this.tween('path', null, duration, null, points, easing, options);
+	},
+
+	// Adds a label, labels can be used as seek positions and trigger the label callback when crossed.
+	label: function (name)
+	{
+		this.block.push({ op: "label", name: name });
+		return this;
+	},
+
+	// Sets the callback executed when a label is crossed, called with the label name, the anim and the direction (1 or -1).
+	onLabel: function (callback)
+	{
+		this.labelCallback = callback;
+		return this;
+	},
+
 	// Plays a sound.
 	play: function (snd)
 	{
@@ -725,6 +1166,11 @@ const Anim = Class.extend
 */
 Anim.timeScale = 1.0;
 
+/*
+**	Typed interpolators used by the tween command, can be extended with custom types.
+*/
+Anim.interpolators = Interpolators;
+
 // Sets the global time scale (animation speed).
 Anim.speed = function (value)
 {
@@ -0,0 +1,396 @@
+/*
+**	anim/interpolators.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import Vec2 from '../math/vec2.js';
+
+/*
+**	Resolves a start or end value of a tween, null means the current value of the field, and functions are called to obtain the value.
+*/
+
+const resolve = function (anim, value, field)
+{
+	if (value === null || value === undefined)
+		return anim.data[field];
+
+	if (typeof(value) == 'function')
+		return value.call(anim, anim.data[field], anim.data, anim);
+
+	return value;
+};
+
+/*
+**	Parses a color into an object { r, g, b, a } with components in the range 0-255 (alpha 0-1). Supported formats are hex strings (#rgb,
+**	#rgba, #rrggbb, #rrggbbaa), rgb()/rgba() and hsl()/hsla() strings, numbers (0xRRGGBB), arrays [r, g, b, a] and { r, g, b, a } objects.
+*/
+
+const parseColor = function (value)
+{
+	if (typeof(value) == 'number')
+		return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255, a: 1 };
+
+	if (Array.isArray(value))
+		return { r: value[0], g: value[1], b: value[2], a: value.length > 3 ? value[3] : 1 };
+
+	if (value && typeof(value) == 'object')
+		return { r: value.r, g: value.g, b: value.b, a: 'a' in value ? value.a : 1 };
+
+	if (typeof(value) != 'string')
+		throw new Error ("Anim: invalid color: " + value);
+
+	value = value.trim().toLowerCase();
+
+	if (value[0] == '#')
+	{
+		let hex = value.substr(1);
+
+		if (hex.length == 3 || hex.length == 4)
+			hex = hex.split('').map(c => c + c).join('');
+
+		if (hex.length != 6 && hex.length != 8)
+			throw new Error ("Anim: invalid color: " + value);
+
+		return {
+			r: parseInt(hex.substr(0, 2), 16), g: parseInt(hex.substr(2, 2), 16), b: parseInt(hex.substr(4, 2), 16),
+			a: hex.length == 8 ? parseInt(hex.substr(6, 2), 16) / 255 : 1
+		};
+	}
+
+	let m = value.match(/^(rgba?|hsla?)\(([^)]+)\)$/);
+	if (!m) throw new Error ("Anim: invalid color: " + value);
+
+	let args = m[2].split(/[\s,\/]+/).filter(i => i).map(parseFloat);
+	let a = args.length > 3 ? args[3] : 1;
+
+	if (m[1][0] == 'r')
+		return { r: args[0], g: args[1], b: args[2], a: a };
+
+	let c = hslToRgb(args[0], args[1] / 100, args[2] / 100);
+	c.a = a;
+
+	return c;
+};
+
+/*
+**	Converts a color to the same format as the reference value (numbers, arrays and objects are preserved, anything else becomes a string).
+*/
+
+const formatColor = function (c, ref)
+{
+	const r = Math.round(c.r), g = Math.round(c.g), b = Math.round(c.b);
+
+	if (typeof(ref) == 'number')
+		return (r << 16) | (g << 8) | b;
+
+	if (Array.isArray(ref))
+		return [r, g, b, c.a];
+
+	if (ref && typeof(ref) == 'object')
+		return { r: r, g: g, b: b, a: c.a };
+
+	if (c.a < 1)
+		return 'rgba(' + r + ',' + g + ',' + b + ',' + Math.round(c.a*1000)/1000 + ')';
+
+	return '#' + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).substr(1);
+};
+
+/*
+**	Converts RGB (0-255) to HSL (h: 0-360, s and l: 0-1).
+*/
+
+const rgbToHsl = function (c)
+{
+	const r = c.r / 255, g = c.g / 255, b = c.b / 255;
+	const max = Math.max(r, g, b), min = Math.min(r, g, b);
+	const l = (max + min) / 2;
+
+	if (max == min)
+		return { h: 0, s: 0, l: l, a: c.a };
+
+	const d = max - min;
+	const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+	let h;
+	if (max == r) h = (g - b) / d + (g < b ? 6 : 0);
+	else if (max == g) h = (b - r) / d + 2;
+	else h = (r - g) / d + 4;
+
+	return { h: h*60, s: s, l: l, a: c.a };
+};
+
+/*
+**	Converts HSL (h: 0-360, s and l: 0-1) to RGB (0-255).
+*/
+
+const hslToRgb = function (h, s, l)
+{
+	h = (((h % 360) + 360) % 360) / 360;
+
+	const hue = function (p, q, t)
+	{
+		if (t < 0) t += 1;
+		if (t > 1) t -= 1;
+		if (t < 1/6) return p + (q - p)*6*t;
+		if (t < 1/2) return q;
+		if (t < 2/3) return p + (q - p)*(2/3 - t)*6;
+		return p;
+	};
+
+	if (s == 0)
+		return { r: l*255, g: l*255, b: l*255 };
+
+	const q = l < 0.5 ? l*(1 + s) : l + s - l*s;
+	const p = 2*l - q;
+
+	return { r: hue(p, q, h + 1/3)*255, g: hue(p, q, h)*255, b: hue(p, q, h - 1/3)*255 };
+};
+
+/*
+**	Converts a path point ({ x, y } or [x, y]) to an { x, y } object.
+*/
+
+const toPoint = function (p)
+{
+	return Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y };
+};
+
+/*
+**	Returns a function evaluating the segment `i` of the spline at time t (0 to 1), and the number of segments.
+*/
+
+const createSpline = function (points, options)
+{
+	const n = points.length;
+
+	if (options.spline == 'bezier')
+	{
+		if (n < 4 || (n - 1) % 3 != 0)
+			throw new Error ("Anim: bezier paths require 3n+1 points.");
+
+		return {
+			count: (n - 1) / 3,
+			eval: function (i, t)
+			{
+				const p0 = points[3*i], p1 = points[3*i+1], p2 = points[3*i+2], p3 = points[3*i+3];
+				const u = 1 - t;
+				const a = u*u*u, b = 3*u*u*t, c = 3*u*t*t, d = t*t*t;
+
+				return { x: a*p0.x + b*p1.x + c*p2.x + d*p3.x, y: a*p0.y + b*p1.y + c*p2.y + d*p3.y };
+			}
+		};
+	}
+
+	if (options.spline != 'catmull-rom')
+		throw new Error ("Anim: unknown spline type: " + options.spline);
+
+	if (n < 2)
+		throw new Error ("Anim: paths require at least two points.");
+
+	const closed = !!options.closed;
+	const k = (1 - (options.tension || 0)) / 2;
+
+	const at = function (i)
+	{
+		if (closed) return points[(i + n) % n];
+		return points[i < 0 ? 0 : (i >= n ? n-1 : i)];
+	};
+
+	return {
+		count: closed ? n : n - 1,
+		eval: function (i, t)
+		{
+			const p0 = at(i-1), p1 = at(i), p2 = at(i+1), p3 = at(i+2);
+
+			const t2 = t*t, t3 = t2*t;
+			const h00 = 2*t3 - 3*t2 + 1, h10 = t3 - 2*t2 + t, h01 = -2*t3 + 3*t2, h11 = t3 - t2;
+
+			return {
+				x: h00*p1.x + h10*k*(p2.x - p0.x) + h01*p2.x + h11*k*(p3.x - p1.x),
+				y: h00*p1.y + h10*k*(p2.y - p0.y) + h01*p2.y + h11*k*(p3.y - p1.y)
+			};
+		}
+	};
+};
+
+/**
+**	Interpolators used by the `tween` command of Anim. Each one has a `start (cmd, anim)` method returning the state of the tween (called when
+**	the command starts), and an `apply (state, t, data)` method writing the value for the eased time `t` (0 to 1) to the output data.
+*/
+
+const Interpolators =
+{
+	/*
+	**	Colors in RGB or HSL space (options.space), the output has the same format as the end value.
+	*/
+	color:
+	{
+		start: function (cmd, anim)
+		{
+			const end = resolve(anim, cmd.endValue, cmd.field);
+			const state = { field: cmd.field, a: parseColor(resolve(anim, cmd.startValue, cmd.field)), b: parseColor(end), ref: end, hsl: cmd.options.space == 'hsl' };
+
+			if (state.hsl)
+			{
+				state.a = rgbToHsl(state.a);
+				state.b = rgbToHsl(state.b);
+
+				// Use the shortest path around the hue circle.
+				if (state.b.h - state.a.h > 180) state.b.h -= 360;
+				else if (state.a.h - state.b.h > 180) state.b.h += 360;
+
+				// Achromatic colors take the hue of the other color.
+				if (state.a.s == 0) state.a.h = state.b.h;
+				if (state.b.s == 0) state.b.h = state.a.h;
+			}
+
+			return state;
+		},
+
+		apply: function (state, t, data)
+		{
+			const a = state.a, b = state.b;
+			let c;
+
+			if (state.hsl)
+			{
+				c = hslToRgb(a.h + (b.h - a.h)*t, a.s + (b.s - a.s)*t, a.l + (b.l - a.l)*t);
+				c.a = a.a + (b.a - a.a)*t;
+			}
+			else
+				c = { r: a.r + (b.r - a.r)*t, g: a.g + (b.g - a.g)*t, b: a.b + (b.b - a.b)*t, a: a.a + (b.a - a.a)*t };
+
+			data[state.field] = formatColor(c, state.ref);
+		}
+	},
+
+	/*
+	**	Vectors (Vec2 or any object with x and y), the output vector is reused if the field already has one.
+	*/
+	vec2:
+	{
+		start: function (cmd, anim)
+		{
+			const out = anim.data[cmd.field];
+
+			return {
+				field: cmd.field, a: toPoint(resolve(anim, cmd.startValue, cmd.field)), b: toPoint(resolve(anim, cmd.endValue, cmd.field)),
+				out: out && typeof(out) == 'object' && !Array.isArray(out) ? out : new Vec2()
+			};
+		},
+
+		apply: function (state, t, data)
+		{
+			state.out.x = state.a.x + (state.b.x - state.a.x)*t;
+			state.out.y = state.a.y + (state.b.y - state.a.y)*t;
+
+			data[state.field] = state.out;
+		}
+	},
+
+	/*
+	**	Numeric arrays of the same length, interpolated element by element.
+	*/
+	array:
+	{
+		start: function (cmd, anim)
+		{
+			const a = resolve(anim, cmd.startValue, cmd.field).slice();
+			const b = resolve(anim, cmd.endValue, cmd.field).slice();
+
+			if (a.length != b.length)
+				throw new Error ("Anim: arrays must have the same length.");
+
+			const out = anim.data[cmd.field];
+			return { field: cmd.field, a: a, b: b, out: Array.isArray(out) && out.length == a.length ? out : new Array(a.length) };
+		},
+
+		apply: function (state, t, data)
+		{
+			for (let i = 0; i < state.a.length; i++)
+				state.out[i] = state.a[i] + (state.b[i] - state.a[i])*t;
+
+			data[state.field] = state.out;
+		}
+	},
+
+	/*
+	**	Movement along a spline (options: spline, closed, tension, orient, angleOffset, relative, x, y, angle). The position advances at constant
+	**	speed using an arc-length table, and when `orient` is set the angle field follows the tangent of the path.
+	*/
+	path:
+	{
+		start: function (cmd, anim)
+		{
+			const o = cmd.options;
+
+			if (!cmd.table)
+			{
+				const points = cmd.endValue.map(toPoint);
+				const spline = createSpline(points, o);
+				const steps = o.steps || 16;
+
+				const table = [ points[0].x, points[0].y, 0 ];
+				let length = 0;
+
+				for (let i = 0; i < spline.count; i++)
+				{
+					for (let j = 1; j <= steps; j++)
+					{
+						const p = spline.eval(i, j / steps);
+						length += Math.sqrt(Math.pow(p.x - table[table.length-3], 2) + Math.pow(p.y - table[table.length-2], 2));
+
+						table.push(p.x, p.y, length);
+					}
+				}
+
+				cmd.table = table;
+			}
+
+			return {
+				table: cmd.table, options: o,
+				x0: o.relative ? anim.data[o.x] : 0,
+				y0: o.relative ? anim.data[o.y] : 0
+			};
+		},
+
+		apply: function (state, t, data)
+		{
+			const table = state.table, o = state.options;
+			const n = table.length / 3;
+			const target = t * table[table.length-1];
+
+			// Binary search of the sample where the target length falls.
+			let lo = 0, hi = n - 1;
+			while (hi - lo > 1)
+			{
+				const mid = (lo + hi) >> 1;
+				if (table[3*mid+2] < target) lo = mid; else hi = mid;
+			}
+
+			const len = table[3*hi+2] - table[3*lo+2];
+			const f = len > 0 ? (target - table[3*lo+2]) / len : 0;
+
+			const dx = table[3*hi] - table[3*lo], dy = table[3*hi+1] - table[3*lo+1];
+
+			data[o.x] = state.x0 + table[3*lo] + dx*f;
+			data[o.y] = state.y0 + table[3*lo+1] + dy*f;
+
+			if (o.orient && (dx || dy))
+				data[o.angle] = Math.atan2(dy, dx) + o.angleOffset;
+		}
+	}
+};
+
+export default Interpolators;
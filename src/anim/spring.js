@@ -0,0 +1,208 @@
+/*
+**	anim/spring.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+
+/**
+**	Damped spring moving a value towards a target. The motion is solved analytically, so the result does not depend on the size of the time
+**	steps, and changing the target while in motion preserves the current velocity.
+*/
+
+const Spring = Class.extend
+({
+	className: 'Spring',
+
+	/**
+	**	Physical parameters of the spring. When `dampingRatio` is set the damping is calculated from it (1 for critically damped, less than 1
+	**	for underdamped springs that overshoot the target).
+	*/
+	stiffness: 170,
+	damping: 26,
+	mass: 1,
+
+	/**
+	**	Maximum distance to the target and maximum velocity considered at rest.
+	*/
+	precision: 0.01,
+
+	/**
+	**	Current value, velocity (units per second) and target.
+	*/
+	value: 0,
+	velocity: 0,
+	target: 0,
+
+	/**
+	**	Constructs the spring.
+	**
+	**	@param value:float Initial value (and target).
+	**	@param options:object Spring parameters (stiffness, damping, dampingRatio, mass and precision).
+	*/
+	__ctor: function (value=0, options=null)
+	{
+		this.value = this.target = value;
+		this.velocity = 0;
+
+		if (options) this.configure(options);
+	},
+
+	/**
+	**	Changes the parameters of the spring.
+	**
+	**	@returns Spring
+	*/
+	configure: function (options)
+	{
+		if ('stiffness' in options) this.stiffness = options.stiffness;
+		if ('mass' in options) this.mass = options.mass;
+		if ('precision' in options) this.precision = options.precision;
+
+		if ('damping' in options) this.damping = options.damping;
+
+		if ('dampingRatio' in options)
+			this.damping = options.dampingRatio * 2 * Math.sqrt(this.stiffness * this.mass);
+
+		return this;
+	},
+
+	/**
+	**	Sets the target of the spring, the current velocity is preserved.
+	**
+	**	@returns Spring
+	*/
+	setTarget: function (target)
+	{
+		this.target = target;
+		return this;
+	},
+
+	/**
+	**	Sets the current value and velocity of the spring.
+	**
+	**	@returns Spring
+	*/
+	setValue: function (value, velocity=0)
+	{
+		this.value = value;
+		this.velocity = velocity;
+		return this;
+	},
+
+	/**
+	**	Solves the motion of the spring after `t` seconds starting with value `x0` and velocity `v0`. Returns an object { value, velocity }.
+	**
+	**	@returns object
+	*/
+	solve: function (x0, v0, target, t, out=null)
+	{
+		if (out === null) out = { value: 0, velocity: 0 };
+
+		const w0 = Math.sqrt(this.stiffness / this.mass);
+		const zeta = this.damping / (2 * Math.sqrt(this.stiffness * this.mass));
+
+		const x = x0 - target;
+
+		if (Math.abs(zeta - 1) < 1e-6)
+		{
+			// Critically damped.
+			const e = Math.exp(-w0*t);
+			const b = v0 + w0*x;
+
+			out.value = target + e*(x + b*t);
+			out.velocity = e*(v0 - w0*b*t);
+		}
+		else if (zeta < 1)
+		{
+			// Underdamped.
+			const wd = w0 * Math.sqrt(1 - zeta*zeta);
+			const e = Math.exp(-zeta*w0*t);
+			const c = Math.cos(wd*t), s = Math.sin(wd*t);
+
+			out.value = target + e*(x*c + ((v0 + zeta*w0*x) / wd)*s);
+			out.velocity = e*(v0*c - ((zeta*w0*v0 + w0*w0*x) / wd)*s);
+		}
+		else
+		{
+			// Overdamped.
+			const d = w0 * Math.sqrt(zeta*zeta - 1);
+			const r1 = -zeta*w0 + d, r2 = -zeta*w0 - d;
+
+			const c2 = (v0 - r1*x) / (r2 - r1);
+			const c1 = x - c2;
+
+			const e1 = Math.exp(r1*t), e2 = Math.exp(r2*t);
+
+			out.value = target + c1*e1 + c2*e2;
+			out.velocity = r1*c1*e1 + r2*c2*e2;
+		}
+
+		return out;
+	},
+
+	/**
+	**	Returns true if the value is within the precision of the target and the velocity is negligible.
+	**
+	**	@returns bool
+	*/
+	isAtRest: function (value=null, velocity=null)
+	{
+		if (value === null) value = this.value;
+		if (velocity === null) velocity = this.velocity;
+
+		return Math.abs(value - this.target) <= this.precision && Math.abs(velocity) <= this.precision;
+	},
+
+	/**
+	**	Returns the time (seconds) the spring takes to come to rest at the target starting with value `x0` and velocity `v0`, sampled every
+	**	`step` seconds and limited to `limit` seconds.
+	**
+	**	@returns float
+	*/
+	getRestTime: function (x0, v0, target, step=1/120, limit=60)
+	{
+		const state = { value: 0, velocity: 0 };
+		let t;
+
+		for (t = 0; t < limit; t += step)
+		{
+			this.solve(x0, v0, target, t, state);
+			if (Math.abs(state.value - target) <= this.precision && Math.abs(state.velocity) <= this.precision) break;
+		}
+
+		return t;
+	},
+
+	/**
+	**	Advances the spring by the specified delta time (seconds). When the spring comes to rest the value is set to the target. Returns true if
+	**	the spring is at rest.
+	**
+	**	@returns bool
+	*/
+	update: function (dt)
+	{
+		if (this.isAtRest())
+		{
+			this.value = this.target;
+			this.velocity = 0;
+			return true;
+		}
+
+		this.solve(this.value, this.velocity, this.target, dt, this);
+		return false;
+	}
+});
+
+export default Spring;
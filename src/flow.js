@@ -24,5 +24,8 @@ import _Viewport from './flow/viewport.js'; export const Viewport = _Viewport;
 
 import _KeyboardHandler from './flow/keyboard-handler'; export const KeyboardHandler = _KeyboardHandler;
 import _PointerHandler from './flow/pointer-handler'; export const PointerHandler = _PointerHandler;
+import _GamepadHandler from './flow/gamepad-handler'; export const GamepadHandler = _GamepadHandler;
+import _InputActions from './flow/input-actions'; export const InputActions = _InputActions;
 import _ScreenControls from './flow/screen-controls'; export const ScreenControls = _ScreenControls;
 import _Button from './flow/button'; export const Button = _Button;
+import _Typewriter from './flow/typewriter'; export const Typewriter = _Typewriter;
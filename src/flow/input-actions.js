@@ -0,0 +1,427 @@
+/*
+**	flow/input-actions
+**
+**	Copyright (c) 2013-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import Boot from './boot.js';
+import System from '../system/system.js';
+
+/*
+**	Returns the gamepad states matching the specified player number (all connected gamepads when `player` is null).
+*/
+
+const getGamepads = function (player)
+{
+	if (player !== null && player !== undefined)
+		return System.gamepadPlayers[player] ? [System.gamepadPlayers[player]] : [];
+
+	return System.gamepadPlayers.filter(i => i);
+};
+
+/*
+**	Returns the current value of a binding, in the range [0, 1] or [-1, 1] for composites and full gamepad axes.
+*/
+
+const readBinding = function (b)
+{
+	let value = 0;
+
+	switch (b.type)
+	{
+		case 'key':
+			return System.keyState[b.key] ? 1 : 0;
+
+		case 'pointer':
+			for (let id in System.pointerState)
+			{
+				let p = System.pointerState[id];
+				if (!p.isActive || (b.button && p.button != b.button)) continue;
+
+				if (p.x >= b.x && p.x < b.x + b.width && p.y >= b.y && p.y < b.y + b.height)
+					return 1;
+			}
+
+			return 0;
+
+		case 'button':
+			for (let pad of getGamepads(b.player))
+				value = Math.max(value, pad.values[b.button] || 0);
+
+			return value;
+
+		case 'axis':
+			for (let pad of getGamepads(b.player))
+			{
+				let v = pad.axes[b.axis] || 0;
+				if (b.direction) v = Math.max(0, v*b.direction);
+
+				if (Math.abs(v) > Math.abs(value)) value = v;
+			}
+
+			return value;
+
+		case 'composite':
+			return Math.abs(readBinding(b.positive)) - Math.abs(readBinding(b.negative));
+	}
+
+	return value;
+};
+
+/*
+**	Verifies that the specified binding is valid, throws an error otherwise.
+*/
+
+const checkBinding = function (b)
+{
+	if (!b || typeof(b) !== 'object')
+		throw new Error ("Binding should be an object.");
+
+	switch (b.type)
+	{
+		case 'key': case 'pointer': case 'button': case 'axis':
+			break;
+
+		case 'composite':
+			checkBinding(b.negative);
+			checkBinding(b.positive);
+			break;
+
+		default:
+			throw new Error ("Invalid binding type: " + b.type);
+	}
+
+	return b;
+};
+
+/**
+**	Maps named actions to keys, pointer regions and gamepad buttons/axes. The state of all actions is sampled at the start of each update cycle,
+**	game code should query actions (i.e. `isPressed('jump')`) instead of reading the device states directly. Bindings are plain objects:
+**
+**	{ type: 'key', key } where key is one of the `KeyCodes` constants.
+**	{ type: 'pointer', x, y, width, height, button } screen region, `button` is optional.
+**	{ type: 'button', button, player } gamepad button (see `GamepadCodes`), `player` is optional (any gamepad when null).
+**	{ type: 'axis', axis, direction, player } gamepad axis, when `direction` is 1 or -1 only that half of the axis is used.
+**	{ type: 'composite', negative, positive } two bindings combined into a single -1..1 axis.
+*/
+
+const InputActions = Boot.Module.create
+({
+	/*
+	**	Defined actions indexed by name. Each action has fields: name, bindings, threshold, value, pressed, prevPressed.
+	*/
+	actions: null,
+
+	/*
+	**	Active binding capture (see `capture`).
+	*/
+	capturing: null,
+
+	__ctor: function ()
+	{
+		this._super.Module.__ctor();
+
+		this.actions = { };
+	},
+
+	/*
+	**	Defines an action (or replaces the bindings of an existing one). The `threshold` is the minimum absolute value for the action to be pressed.
+	*/
+	define: function (name, bindings=[], threshold=0.5)
+	{
+		try {
+			bindings.forEach(checkBinding);
+		}
+		catch (e) {
+			throw new Error ("InputActions (define): " + e.message);
+		}
+
+		let action = this.actions[name];
+		if (!action)
+		{
+			action = this.actions[name] = { name: name, bindings: null, threshold: threshold, value: 0, pressed: false, prevPressed: false };
+		}
+
+		action.bindings = bindings.slice();
+		action.threshold = threshold;
+
+		return action;
+	},
+
+	/*
+	**	Returns an action given its name, throws an error if it does not exist.
+	*/
+	getAction: function (name)
+	{
+		let action = this.actions[name];
+		if (!action) throw new Error ("InputActions: action not found: " + name);
+
+		return action;
+	},
+
+	/*
+	**	Adds a binding to an action and returns it.
+	*/
+	bind: function (name, binding)
+	{
+		try {
+			checkBinding(binding);
+		}
+		catch (e) {
+			throw new Error ("InputActions (bind): " + e.message);
+		}
+
+		this.getAction(name).bindings.push(binding);
+		return binding;
+	},
+
+	/*
+	**	Removes a binding (or all bindings if none specified) from an action.
+	*/
+	unbind: function (name, binding=null)
+	{
+		let action = this.getAction(name);
+
+		if (binding === null)
+			action.bindings = [];
+		else
+			action.bindings = action.bindings.filter(i => i !== binding);
+	},
+
+	/*
+	**	Replaces the binding at the specified index of an action (appended when the index is out of range).
+	*/
+	rebind: function (name, index, binding)
+	{
+		try {
+			checkBinding(binding);
+		}
+		catch (e) {
+			throw new Error ("InputActions (rebind): " + e.message);
+		}
+
+		let action = this.getAction(name);
+
+		if (index < 0 || index >= action.bindings.length)
+			action.bindings.push(binding);
+		else
+			action.bindings[index] = binding;
+
+		return binding;
+	},
+
+	/*
+	**	Waits for the next key, gamepad button or gamepad axis to be pressed and calls the callback with a binding describing it, used to implement
+	**	"press a key" rebinding screens. Inputs that are already pressed when the capture starts are ignored until released.
+	*/
+	capture: function (callback)
+	{
+		this.capturing = { callback: callback, keys: { }, buttons: { } };
+		this.captureSample(this.capturing.keys, this.capturing.buttons);
+	},
+
+	/*
+	**	Cancels an active binding capture.
+	*/
+	cancelCapture: function ()
+	{
+		this.capturing = null;
+	},
+
+	/*
+	**	Stores the currently pressed keys and gamepad buttons/axes (as binding objects) in the specified maps.
+	*/
+	captureSample: function (keys, buttons)
+	{
+		for (let i in System.keyState)
+		{
+			if (System.keyState[i] === true && !isNaN(i))
+				keys[i] = { type: 'key', key: ~~i };
+		}
+
+		for (let pad of getGamepads(null))
+		{
+			pad.buttons.forEach((pressed, i) => {
+				if (pressed) buttons['b'+i] = { type: 'button', button: i, player: null };
+			});
+
+			pad.axes.forEach((value, i) => {
+				if (Math.abs(value) >= 0.5) buttons['a'+i+(value < 0 ? '-' : '+')] = { type: 'axis', axis: i, direction: Math.sign(value), player: null };
+			});
+		}
+	},
+
+	/*
+	**	Checks if a new input was pressed while capturing, calls the capture callback when so.
+	*/
+	captureUpdate: function ()
+	{
+		let keys = { }, buttons = { };
+		this.captureSample(keys, buttons);
+
+		let found = null;
+
+		for (let i in keys)
+			if (!(i in this.capturing.keys)) { found = keys[i]; break; }
+
+		if (!found)
+		{
+			for (let i in buttons)
+				if (!(i in this.capturing.buttons)) { found = buttons[i]; break; }
+		}
+
+		if (!found)
+		{
+			// Forget released inputs so that they can be captured when pressed again.
+			this.capturing.keys = keys;
+			this.capturing.buttons = buttons;
+			return;
+		}
+
+		let callback = this.capturing.callback;
+		this.capturing = null;
+
+		callback(found);
+	},
+
+	/*
+	**	Returns true if the action is currently pressed.
+	*/
+	isPressed: function (name)
+	{
+		return this.getAction(name).pressed;
+	},
+
+	/*
+	**	Returns true if the action was pressed on the current update cycle.
+	*/
+	justPressed: function (name)
+	{
+		let action = this.getAction(name);
+		return action.pressed && !action.prevPressed;
+	},
+
+	/*
+	**	Returns true if the action was released on the current update cycle.
+	*/
+	justReleased: function (name)
+	{
+		let action = this.getAction(name);
+		return !action.pressed && action.prevPressed;
+	},
+
+	/*
+	**	Returns the analog value of the action, in the range [0, 1] or [-1, 1] for actions bound to composites or full gamepad axes.
+	*/
+	getValue: function (name)
+	{
+		return this.getAction(name).value;
+	},
+
+	/*
+	**	Samples the value of all actions, the binding with the greatest absolute value determines the value of the action.
+	*/
+	update: function (dt)
+	{
+		if (this.capturing !== null)
+			this.captureUpdate();
+
+		for (let name in this.actions)
+		{
+			let action = this.actions[name];
+			let value = 0;
+
+			for (let i = 0; i < action.bindings.length; i++)
+			{
+				let v = readBinding(action.bindings[i]);
+				if (Math.abs(v) > Math.abs(value)) value = v;
+			}
+
+			action.value = value;
+			action.prevPressed = action.pressed;
+			action.pressed = Math.abs(value) >= action.threshold;
+		}
+	},
+
+	/*
+	**	Returns a JSON string with the bindings of all actions.
+	*/
+	serialize: function ()
+	{
+		let data = { };
+
+		for (let name in this.actions)
+			data[name] = { bindings: this.actions[name].bindings, threshold: this.actions[name].threshold };
+
+		return JSON.stringify(data);
+	},
+
+	/*
+	**	Loads the bindings of actions from a JSON string (or object) previously obtained with `serialize`. Actions not present in the data
+	**	keep their current bindings.
+	*/
+	deserialize: function (data)
+	{
+		if (typeof(data) === 'string')
+			data = JSON.parse(data);
+
+		for (let name in data)
+			this.define(name, data[name].bindings, data[name].threshold);
+	},
+
+	onStartup: function()
+	{
+		System.updateQueue.unshift(this);
+	},
+
+	onShutdown: function()
+	{
+		System.updateQueueRemove(this);
+	}
+});
+
+/*
+**	Binding constructors.
+*/
+
+InputActions.key = function (key)
+{
+	return { type: 'key', key: key };
+};
+
+InputActions.pointer = function (x, y, width, height, button=0)
+{
+	return { type: 'pointer', x: x, y: y, width: width, height: height, button: button };
+};
+
+InputActions.button = function (button, player=null)
+{
+	return { type: 'button', button: button, player: player };
+};
+
+InputActions.axis = function (axis, direction=0, player=null)
+{
+	return { type: 'axis', axis: axis, direction: direction, player: player };
+};
+
+InputActions.composite = function (negative, positive)
+{
+	return { type: 'composite', negative: negative, positive: positive };
+};
+
+InputActions.keys = function (negative, positive)
+{
+	return InputActions.composite(InputActions.key(negative), InputActions.key(positive));
+};
+
+export default InputActions;
@@ -0,0 +1,395 @@
+/*
+**	flow/typewriter.js
+**
+**	Copyright (c) 2013-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import Element from './element.js';
+import TextLayout from '../resources/text-layout.js';
+
+/**
+**	Element that reveals a text (laid out with TextLayout) character by character. The reveal is an animation command, use `type()` to
+**	queue it in the element's animation, and since the animation outputs to the element, its fields `count` and `rateScale` can be
+**	changed by other commands as well (i.e. `set('count', Infinity)` to skip, or `set('rateScale', 4)` to fast-forward).
+**
+**	Pause markers `[p=0.5]` and effect tags `[fx=wave]...[/fx]` in the text are supported (see TextLayout).
+*/
+
+const Typewriter = Element.extend
+({
+	className: 'Typewriter',
+
+	/**
+	**	Layout of the text.
+	*/
+	layout: null,
+
+	/**
+	**	Reveal rate (characters per second) and its multiplier.
+	*/
+	rate: 30,
+	rateScale: 1,
+
+	/**
+	**	Number of characters revealed so far (float), and number of characters for which the events were already fired.
+	*/
+	count: 0,
+	revealed: 0,
+
+	/**
+	**	Remaining time of the current pause.
+	*/
+	delay: 0,
+
+	/**
+	**	Names of the effects applied to all glyphs, and parameters of the effects (map of effect names to objects) overriding the defaults.
+	*/
+	effects: null,
+	effectParams: null,
+
+	/**
+	**	Indicates if the reveal was started and if the text was completely shown.
+	*/
+	started: false,
+	completed: false,
+
+	/**
+	**	Time elapsed since the text was set and the time at which each character was revealed.
+	*/
+	time: 0,
+	revealTimes: null,
+
+	/**
+	**	Constructs the element. The options are the ones of TextLayout plus `rate`, `effects` and `effectParams`.
+	*/
+	__ctor: function (x, y, font, text='', options=null)
+	{
+		this._super.Element.__ctor(x, y);
+
+		options = { ...options };
+
+		if ('rate' in options) this.rate = options.rate;
+		this.effects = options.effects || [];
+		this.effectParams = { };
+
+		for (let name in options.effectParams)
+			this.setEffectParams (name, options.effectParams[name]);
+
+		delete options.rate;
+		delete options.effects;
+		delete options.effectParams;
+
+		this.layout = new TextLayout (font, '', options);
+		this.setText (text);
+	},
+
+	/**
+	**	Sets the text (completely hidden) and resizes the element to fit it. Use `type()` to reveal it.
+	*/
+	setText: function (text)
+	{
+		this.layout.setText (text);
+		this.resize (this.layout.width, this.layout.height);
+
+		this.count = 0;
+		this.revealed = 0;
+		this.delay = 0;
+		this.time = 0;
+		this.started = false;
+		this.completed = false;
+
+		this.revealTimes = new Array(this.layout.length).fill(0);
+
+		this.glyphMap = [];
+		for (let glyph of this.layout.glyphs)
+			this.glyphMap[glyph.index] = glyph;
+
+		this.pauseMap = [];
+		for (let pause of this.layout.pauses)
+			this.pauseMap[pause.index] = (this.pauseMap[pause.index] || 0) + pause.duration;
+
+		return this;
+	},
+
+	/**
+	**	Sets the text (when not null) and queues the reveal command in the animation of the element. Returns the animation object to
+	**	allow chaining more commands that will run after the text is shown.
+	*/
+	type: function (text=null)
+	{
+		if (text !== null) this.setText (text);
+
+		return this.anim.exec((dt) =>
+		{
+			if (!this.started)
+			{
+				this.started = true;
+
+				if (this.pauseMap[0])
+				{
+					this.delay = this.pauseMap[0];
+					this.onPause (this.delay, 0);
+				}
+			}
+
+			return this.advance (dt);
+		});
+	},
+
+	/**
+	**	Immediately shows the rest of the text. The `onGlyph` event is not fired for the skipped characters.
+	*/
+	skip: function ()
+	{
+		this.count = Infinity;
+		return this;
+	},
+
+	/**
+	**	Changes the reveal rate multiplier.
+	*/
+	fastForward: function (scale=4)
+	{
+		this.rateScale = scale;
+		return this;
+	},
+
+	/**
+	**	Advances the reveal by the given time delta, firing the respective events. Returns true when the text is completely shown.
+	*/
+	advance: function (dt)
+	{
+		const length = this.layout.length;
+
+		// When the count was set beyond the length the rest of the text is skipped.
+		if (this.count >= length && this.revealed < length)
+		{
+			this.revealTimes.fill(-Infinity, this.revealed);
+			this.revealed = length;
+			this.delay = 0;
+		}
+
+		if (this.revealed < length)
+		{
+			dt *= this.rateScale;
+
+			if (this.delay > 0)
+			{
+				if (dt < this.delay)
+				{
+					this.delay -= dt;
+					return false;
+				}
+
+				dt -= this.delay;
+				this.delay = 0;
+			}
+
+			this.count += dt * this.rate;
+
+			while (this.revealed < length && this.revealed+1 <= this.count)
+			{
+				const index = this.revealed++;
+				this.revealTimes[index] = this.time;
+
+				if (this.glyphMap[index])
+					this.onGlyph (this.glyphMap[index], index);
+
+				if (this.pauseMap[this.revealed])
+				{
+					this.count = this.revealed;
+					this.delay = this.pauseMap[this.revealed];
+
+					this.onPause (this.delay, this.revealed);
+					break;
+				}
+			}
+
+			if (this.revealed < length)
+				return false;
+		}
+
+		this.count = length;
+
+		if (!this.completed)
+		{
+			this.completed = true;
+			this.onComplete ();
+		}
+
+		return true;
+	},
+
+	/**
+	**	Sets the parameters of an effect, overriding its defaults.
+	*/
+	setEffectParams: function (name, params)
+	{
+		this.effectParams[name] = { ...this.getEffect(name).params, ...params };
+		return this;
+	},
+
+	/**
+	**	Returns the effect with the given name from Typewriter.effects.
+	*/
+	getEffect: function (name)
+	{
+		const effect = Typewriter.effects[name];
+		if (!effect) throw new Error ("Typewriter: effect not found: " + name);
+
+		return effect;
+	},
+
+	/**
+	**	Applies the given effects to the glyph state { x, y, alpha, color }.
+	*/
+	applyEffects: function (state, glyph, names)
+	{
+		const age = this.time - this.revealTimes[glyph.index];
+
+		for (let name of names)
+			this.getEffect(name).apply (state, glyph, this.effectParams[name] || Typewriter.effects[name].params, age, this.time);
+	},
+
+	/**
+	**	Updates the time of the effects.
+	*/
+	elementUpdate: function (dt)
+	{
+		this.time += dt;
+	},
+
+	/**
+	**	Draws the revealed glyphs.
+	*/
+	elementDraw: function (g)
+	{
+		const state = { };
+
+		for (let glyph of this.layout.glyphs)
+		{
+			if (glyph.index >= this.revealed)
+				break;
+
+			state.x = glyph.x;
+			state.y = glyph.y;
+			state.alpha = glyph.alpha;
+			state.color = null;
+
+			this.applyEffects (state, glyph, this.effects);
+			if (glyph.fx) this.applyEffects (state, glyph, glyph.fx);
+
+			if (state.alpha <= 0)
+				continue;
+
+			if (state.alpha != 1)
+			{
+				g.pushAlpha();
+				g.alpha(state.alpha);
+				this.layout.drawGlyph (g, glyph, state.x, state.y, state.color);
+				g.popAlpha();
+			}
+			else
+				this.layout.drawGlyph (g, glyph, state.x, state.y, state.color);
+		}
+	},
+
+	/**
+	**	Executed when a glyph (or icon) is revealed. Spaces do not fire this event.
+	*/
+	onGlyph: function (glyph, index) /* @override */
+	{
+	},
+
+	/**
+	**	Executed when a pause marker is reached, `index` is the number of characters shown.
+	*/
+	onPause: function (duration, index) /* @override */
+	{
+	},
+
+	/**
+	**	Executed when the text is completely shown.
+	*/
+	onComplete: function () /* @override */
+	{
+	}
+});
+
+/**
+**	Returns a pseudo-random number in the range [0, 1) obtained from the given values.
+*/
+const hash = function (a, b, c)
+{
+	const n = Math.sin(a*12.9898 + b*78.233 + c*37.719) * 43758.5453;
+	return n - Math.floor(n);
+};
+
+/**
+**	Converts HSL components (0 to 1) to a color in #rrggbb format.
+*/
+const hslToHex = function (h, s, l)
+{
+	const a = s * Math.min(l, 1 - l);
+
+	const f = (n) => {
+		const k = (n + h*12) % 12;
+		const v = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+		return Math.round(v*255).toString(16).padStart(2, '0');
+	};
+
+	return '#' + f(0) + f(8) + f(4);
+};
+
+/**
+**	Available glyph effects, each one has default `params` and an `apply (state, glyph, params, age, time)` function that modifies the
+**	state { x, y, alpha, color } of the glyph, `age` is the time since the glyph was revealed. New effects can be added to this map.
+*/
+Typewriter.effects =
+{
+	wave: {
+		params: { amplitude: 2, speed: 8, frequency: 0.6 },
+		apply: function (state, glyph, params, age, time) {
+			state.y += params.amplitude * Math.sin(time*params.speed - glyph.index*params.frequency);
+		}
+	},
+
+	shake: {
+		params: { amount: 1, rate: 20 },
+		apply: function (state, glyph, params, age, time) {
+			const k = Math.floor(time * params.rate);
+			state.x += (hash(glyph.index, k, 0)*2 - 1) * params.amount;
+			state.y += (hash(glyph.index, k, 1)*2 - 1) * params.amount;
+		}
+	},
+
+	// The hue is quantized to `steps` values because each color produces a tinted copy of the font image, keep it below the tint cache size
+	// of the font (see SpriteFont.tintCacheSize) to avoid creating the copies again on every frame.
+	rainbow: {
+		params: { speed: 0.5, spread: 0.08, steps: 12, saturation: 1, lightness: 0.6 },
+		apply: function (state, glyph, params, age, time) {
+			let h = time*params.speed + glyph.index*params.spread;
+			h = Math.floor((h - Math.floor(h)) * params.steps) / params.steps;
+			state.color = hslToHex(h, params.saturation, params.lightness);
+		}
+	},
+
+	fade: {
+		params: { duration: 0.25 },
+		apply: function (state, glyph, params, age, time) {
+			if (age < params.duration) state.alpha *= Math.max(0, age / params.duration);
+		}
+	}
+};
+
+export default Typewriter;
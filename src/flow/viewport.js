@@ -19,6 +19,7 @@
 */
 
 import Rect from '../math/rect.js';
+import Spring from '../anim/spring.js';
 import Log from '../system/log.js';
 import { Class } from '@rsthn/rin';
 
@@ -78,6 +79,12 @@ export default Class.extend
 	focusOffsX: 0,
 	focusOffsY: 0,
 
+	/*
+	**	Springs used to follow the focus rect smoothly (null when following without springs).
+	*/
+	springX: null,
+	springY: null,
+
 	/*
 	**	Indicates if the viewport is enabled.
 	*/
@@ -114,6 +121,8 @@ export default Class.extend
 		this.focusFactorY = focusFactorY == undefined ? 0.4 : focusFactorY;
 
 		this.focusRect = null;
+		this.springX = null;
+		this.springY = null;
 
 		this.sx = sx;
 		this.sy = sy;
@@ -402,20 +411,74 @@ export default Class.extend
 	*/
 	update: function (dt)
 	{
-		if (this.focusRect != null)
+		if (this.focusRect == null)
+			return;
+
+		if (this.springX === null)
+		{
 			this.focusOn (this.focusRect.x1, this.focusRect.y1, this.focusRect.x2, this.focusRect.y2);
+			return;
+		}
+
+		// Obtain the target position and move towards it using the springs.
+		let x = this.x, y = this.y;
+
+		this.focusOn (this.focusRect.x1, this.focusRect.y1, this.focusRect.x2, this.focusRect.y2);
+
+		this.springX.value = x;
+		this.springY.value = y;
+
+		this.springX.setTarget(this.x).update(dt);
+		this.springY.setTarget(this.y).update(dt);
+
+		// Keep the viewport inside the world when the springs overshoot (same as focusOn).
+		let w = this.width >> 1;
+		let h = this.height >> 1;
+
+		x = this.springX.value;
+		y = this.springY.value;
+
+		if (x - w < this.worldX1) x = this.worldX1 + w;
+		if (x + w > this.worldX2) x = this.worldX2 - w;
+
+		if (y - h < this.worldY1) y = this.worldY1 + h;
+		if (y + h > this.worldY2) y = this.worldY2 - h;
+
+		if (x != this.springX.value) this.springX.velocity = 0;
+		if (y != this.springY.value) this.springY.velocity = 0;
+
+		this.x = x;
+		this.y = y;
+
+		this.updateBounds();
 	},
 
 	/*
-	**	Tracks a specified rectangle by maintaining focus on it (a call to `update` must be made on every frame update).
+	**	Tracks a specified rectangle by maintaining focus on it (a call to `update` must be made on every frame update). When `spring` options
+	**	are provided (stiffness, damping, dampingRatio, mass) the viewport follows the rect using springs, keeping its velocity when the rect
+	**	changes or jumps, otherwise it moves immediately.
 	*/
-	setFocusRect: function (/*Rect*/rect, offsX=0, offsY=0)
+	setFocusRect: function (/*Rect*/rect, offsX=0, offsY=0, spring=null)
 	{
 		this.focusRect = rect;
 
 		this.focusOffsX = offsX;
 		this.focusOffsY = offsY;
 
+		if (spring !== null)
+		{
+			if (this.springX === null)
+			{
+				this.springX = new Spring(this.x);
+				this.springY = new Spring(this.y);
+			}
+
+			this.springX.configure(spring);
+			this.springY.configure(spring);
+		}
+		else
+			this.springX = this.springY = null;
+
 		this.update(0);
 		return this;
 	},
@@ -19,16 +19,21 @@ import _G from './system/globals.js'; export const G = _G;
 import _C from './system/config.js'; export const C = _C;
 import _System from './system/system.js'; export const System = _System;
 import _Timer from './system/timer.js'; export const Timer = _Timer;
+import _Recorder from './system/recorder.js'; export const Recorder = _Recorder;
+import _Storage from './system/storage.js'; export const Storage = _Storage;
 import _KeyCodes from './system/keycodes.js'; export const KeyCodes = _KeyCodes;
+import _GamepadCodes from './system/gamepad-codes.js'; export const GamepadCodes = _GamepadCodes;
 import _Canvas from './system/canvas.js'; export const Canvas = _Canvas;
 import _Perf from './system/perf.js'; export const Perf = _Perf;
 import _Log from './system/log.js'; export const Log = _Log;
 import _IDrawable from './system/idrawable.js'; export const IDrawable = _IDrawable;
+import _RenderTarget from './system/render-target.js'; export const RenderTarget = _RenderTarget;
 import _IUpdateable from './system/iupdateable.js'; export const IUpdateable = _IUpdateable;
 
 // resources
 import * as _Wrappers from './resources/wrappers.js'; export const Wrappers = _Wrappers;
 import _Resources from './resources/resources.js'; export const Resources = _Resources;
+import _OfflineAudio from './resources/offline-audio.js'; export const OfflineAudio = _OfflineAudio;
 
 // utils
 import _Recycler from './utils/recycler.js'; export const Recycler = _Recycler;
@@ -39,12 +44,15 @@ import _PriorityQueue from './utils/priority-queue.js'; export const PriorityQue
 // math
 import _Matrix from './math/matrix.js'; export const Matrix = _Matrix;
 import _Rect from './math/rect.js'; export const Rect = _Rect;
+import _Path from './math/path.js'; export const Path = _Path;
 import _Vec2 from './math/vec2.js'; export const Vec2 = _Vec2;
 import _TFunction from './math/tfunction.js'; export const TFunction = _TFunction;
+import _Random from './math/random.js'; export const Random = _Random;
 
 // anim
 import _Easing from './anim/easing.js'; export const Easing = _Easing;
 import _Anim from './anim/anim.js'; export const Anim = _Anim;
+import _Spring from './anim/spring.js'; export const Spring = _Spring;
 
 // spatial
 import _QuadTreeItem from './spatial/quadtree-item.js'; export const QuadTreeItem = _QuadTreeItem;
@@ -0,0 +1,634 @@
+/*
+**	math/path.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS;
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT,
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+/**
+**	Represents a 2D path made of one or more polylines (subpaths). Curves and arcs are flattened to line segments when added, and each
+**	point is transformed by the path matrix (if any). Used by the WebGL canvas to build triangles for fills and strokes.
+*/
+
+/**
+**	Constructs an empty path.
+*/
+
+const Path = function ()
+{
+	this.subpaths = [];
+	this.current = null;
+
+	this.matrix = null;
+
+	this.startX = this.startY = 0;
+	this.lastX = this.lastY = 0;
+};
+
+export default Path;
+
+/**
+**	Maximum distance (in pixels) allowed between a flattened curve and the real one.
+*/
+Path.TOLERANCE = 0.25;
+
+/**
+**	Minimum and maximum number of segments used to flatten a curve.
+*/
+Path.MIN_SEGMENTS = 4;
+Path.MAX_SEGMENTS = 256;
+
+
+/**
+**	Removes all the subpaths.
+**
+**	>> Path reset();
+*/
+Path.prototype.reset = function ()
+{
+	this.subpaths.length = 0;
+	this.current = null;
+	return this;
+};
+
+
+/**
+**	Returns true if the path has no subpaths.
+**
+**	>> bool isEmpty();
+*/
+Path.prototype.isEmpty = function ()
+{
+	return this.subpaths.length == 0;
+};
+
+
+/**
+**	Returns the scale factor of the path matrix (square root of the absolute value of its determinant).
+**
+**	>> float getScale();
+*/
+Path.prototype.getScale = function ()
+{
+	if (!this.matrix) return 1;
+
+	const m = this.matrix;
+	return Math.sqrt(Math.abs(m[0]*m[4] - m[1]*m[3])) || 1;
+};
+
+
+/**
+**	Adds a point to the current subpath after transforming it with the path matrix.
+*/
+Path.prototype._addPoint = function (x, y)
+{
+	this.lastX = x;
+	this.lastY = y;
+
+	if (this.matrix)
+	{
+		const m = this.matrix;
+		this.current.points.push (m[0]*x + m[3]*y + m[6], m[1]*x + m[4]*y + m[7]);
+	}
+	else
+		this.current.points.push (x, y);
+};
+
+
+/**
+**	Returns the number of segments required to flatten a curve with the given approximate length (untransformed).
+*/
+Path.prototype._segments = function (length)
+{
+	const n = Math.ceil(Math.sqrt(length * this.getScale() / Path.TOLERANCE));
+	return Math.max(Path.MIN_SEGMENTS, Math.min(Path.MAX_SEGMENTS, n));
+};
+
+
+/**
+**	Returns the number of segments required to flatten an arc of radius r (untransformed) spanning the given angle.
+*/
+Path.prototype._arcSegments = function (r, angle)
+{
+	const n = Math.ceil(Math.abs(angle) / Math.acos(Math.max(0, 1 - Path.TOLERANCE / Math.max(r * this.getScale(), Path.TOLERANCE))));
+	return Math.max(Path.MIN_SEGMENTS, Math.min(Path.MAX_SEGMENTS, n));
+};
+
+
+/**
+**	Starts a new subpath at the given point.
+**
+**	>> Path moveTo (float x, float y);
+*/
+Path.prototype.moveTo = function (x, y)
+{
+	this.current = { points: [], closed: false };
+	this.subpaths.push (this.current);
+
+	this.startX = x;
+	this.startY = y;
+
+	this._addPoint (x, y);
+	return this;
+};
+
+
+/**
+**	Adds a line from the last point to the given one. Starts a new subpath if there is none.
+**
+**	>> Path lineTo (float x, float y);
+*/
+Path.prototype.lineTo = function (x, y)
+{
+	if (this.current == null)
+		return this.moveTo (x, y);
+
+	this._addPoint (x, y);
+	return this;
+};
+
+
+/**
+**	Closes the current subpath. Any subsequent point will start a new subpath at the starting point of the closed one.
+**
+**	>> Path closePath();
+*/
+Path.prototype.closePath = function ()
+{
+	if (this.current == null)
+		return this;
+
+	this.current.closed = true;
+	this.current = null;
+
+	this.lastX = this.startX;
+	this.lastY = this.startY;
+
+	return this;
+};
+
+
+/**
+**	Ensures there is an open subpath, starting one at the last point if needed.
+*/
+Path.prototype._ensureSubpath = function (x, y)
+{
+	if (this.current == null)
+		this.moveTo (x, y);
+};
+
+
+/**
+**	Adds a quadratic curve from the last point to (x,y) using the given control point.
+**
+**	>> Path quadraticCurveTo (float cpx, float cpy, float x, float y);
+*/
+Path.prototype.quadraticCurveTo = function (cpx, cpy, x, y)
+{
+	this._ensureSubpath (this.lastX, this.lastY);
+
+	const x0 = this.lastX, y0 = this.lastY;
+	const n = this._segments (Math.hypot(cpx-x0, cpy-y0) + Math.hypot(x-cpx, y-cpy));
+
+	for (let i = 1; i <= n; i++)
+	{
+		const t = i / n, s = 1 - t;
+		this._addPoint (s*s*x0 + 2*s*t*cpx + t*t*x, s*s*y0 + 2*s*t*cpy + t*t*y);
+	}
+
+	return this;
+};
+
+
+/**
+**	Adds a cubic bezier curve from the last point to (x,y) using the given control points.
+**
+**	>> Path bezierCurveTo (float cx1, float cy1, float cx2, float cy2, float x, float y);
+*/
+Path.prototype.bezierCurveTo = function (cx1, cy1, cx2, cy2, x, y)
+{
+	this._ensureSubpath (this.lastX, this.lastY);
+
+	const x0 = this.lastX, y0 = this.lastY;
+	const n = this._segments (Math.hypot(cx1-x0, cy1-y0) + Math.hypot(cx2-cx1, cy2-cy1) + Math.hypot(x-cx2, y-cy2));
+
+	for (let i = 1; i <= n; i++)
+	{
+		const t = i / n, s = 1 - t;
+		const a = s*s*s, b = 3*s*s*t, c = 3*s*t*t, d = t*t*t;
+
+		this._addPoint (a*x0 + b*cx1 + c*cx2 + d*x, a*y0 + b*cy1 + c*cy2 + d*y);
+	}
+
+	return this;
+};
+
+
+/**
+**	Adds an arc centered at (x,y) with radius r from angle sA to eA (radians). A line is added from the last point to the start of the arc.
+**
+**	>> Path arc (float x, float y, float r, float sA, float eA, bool ccw=false);
+*/
+Path.prototype.arc = function (x, y, r, sA, eA, ccw=false)
+{
+	let delta = eA - sA;
+
+	if (!ccw && delta < 0)
+		delta = (delta % (2*Math.PI)) + 2*Math.PI;
+	else if (ccw && delta > 0)
+		delta = (delta % (2*Math.PI)) - 2*Math.PI;
+
+	if (Math.abs(eA - sA) >= 2*Math.PI)
+		delta = ccw ? -2*Math.PI : 2*Math.PI;
+
+	const n = this._arcSegments (r, delta);
+
+	for (let i = 0; i <= n; i++)
+	{
+		const a = sA + delta * (i / n);
+		this.lineTo (x + r*Math.cos(a), y + r*Math.sin(a));
+	}
+
+	return this;
+};
+
+
+/**
+**	Adds an arc with the given radius tangent to the lines (last point, p1) and (p1, p2).
+**
+**	>> Path arcTo (float x1, float y1, float x2, float y2, float r);
+*/
+Path.prototype.arcTo = function (x1, y1, x2, y2, r)
+{
+	this._ensureSubpath (x1, y1);
+
+	const x0 = this.lastX, y0 = this.lastY;
+
+	let ax = x0 - x1, ay = y0 - y1;
+	let bx = x2 - x1, by = y2 - y1;
+
+	const la = Math.hypot(ax, ay), lb = Math.hypot(bx, by);
+	const cross = ax*by - ay*bx;
+
+	if (r == 0 || la == 0 || lb == 0 || Math.abs(cross) < 1e-9)
+		return this.lineTo (x1, y1);
+
+	ax /= la; ay /= la;
+	bx /= lb; by /= lb;
+
+	// Distance from p1 to the tangent points, and to the center of the arc.
+	const angle = Math.acos(Math.max(-1, Math.min(1, ax*bx + ay*by)));
+	const t = r / Math.tan(angle / 2);
+	const d = r / Math.sin(angle / 2);
+
+	let cx = ax + bx, cy = ay + by;
+	const lc = Math.hypot(cx, cy);
+
+	cx = x1 + cx/lc*d;
+	cy = y1 + cy/lc*d;
+
+	const tx0 = x1 + ax*t, ty0 = y1 + ay*t;
+	const tx1 = x1 + bx*t, ty1 = y1 + by*t;
+
+	return this.arc (cx, cy, r, Math.atan2(ty0-cy, tx0-cx), Math.atan2(ty1-cy, tx1-cx), cross > 0);
+};
+
+
+/**
+**	Adds a closed rectangular subpath.
+**
+**	>> Path rect (float x, float y, float w, float h);
+*/
+Path.prototype.rect = function (x, y, w, h)
+{
+	this.moveTo (x, y);
+	this.lineTo (x+w, y);
+	this.lineTo (x+w, y+h);
+	this.lineTo (x, y+h);
+	this.closePath ();
+
+	return this;
+};
+
+
+/**
+**	Triangulates the path (each subpath is filled independently, holes are not supported) and appends the coordinates of the resulting
+**	triangles to the output array as x,y pairs. Returns the output array.
+**
+**	>> Array fill (Array output);
+*/
+Path.prototype.fill = function (output)
+{
+	for (let i = 0; i < this.subpaths.length; i++)
+		Path.triangulate (this.subpaths[i].points, output);
+
+	return output;
+};
+
+
+/**
+**	Generates the triangles to stroke the path with the given line width, cap style (butt, round, square), join style (miter, round, bevel)
+**	and miter limit. The line width is in untransformed units. The coordinates are appended to the output array as x,y pairs.
+**
+**	>> Array stroke (Array output, float lineWidth, string lineCap, string lineJoin, float miterLimit);
+*/
+Path.prototype.stroke = function (output, lineWidth=1, lineCap='butt', lineJoin='miter', miterLimit=10)
+{
+	const width = lineWidth * this.getScale();
+
+	for (let i = 0; i < this.subpaths.length; i++)
+		Path.strokePolyline (this.subpaths[i].points, this.subpaths[i].closed, width, lineCap, lineJoin, miterLimit, output);
+
+	return output;
+};
+
+
+/**
+**	Returns a copy of the points array without consecutive duplicates (including the last with the first one when closed).
+*/
+const cleanPoints = function (points, closed)
+{
+	let out = [];
+
+	for (let i = 0; i < points.length; i += 2)
+	{
+		const n = out.length;
+		if (n && Math.abs(out[n-2] - points[i]) < 1e-6 && Math.abs(out[n-1] - points[i+1]) < 1e-6)
+			continue;
+
+		out.push (points[i], points[i+1]);
+	}
+
+	if (closed && out.length > 2 && Math.abs(out[0] - out[out.length-2]) < 1e-6 && Math.abs(out[1] - out[out.length-1]) < 1e-6)
+		out.length -= 2;
+
+	return out;
+};
+
+
+/**
+**	Returns true if point (px,py) is inside or on the edge of triangle (a,b,c).
+*/
+const pointInTriangle = function (px, py, ax, ay, bx, by, cx, cy)
+{
+	const d1 = (px - bx)*(ay - by) - (ax - bx)*(py - by);
+	const d2 = (px - cx)*(by - cy) - (bx - cx)*(py - cy);
+	const d3 = (px - ax)*(cy - ay) - (cx - ax)*(py - ay);
+
+	return !(((d1 < 0) || (d2 < 0) || (d3 < 0)) && ((d1 > 0) || (d2 > 0) || (d3 > 0)));
+};
+
+
+/**
+**	Triangulates a simple polygon (flat array of x,y pairs) using ear clipping, convex polygons are triangulated as a fan. The coordinates of the
+**	triangles are appended to the output array. Returns the output array.
+**
+**	>> Array triangulate (Array points, Array output);
+*/
+Path.triangulate = function (points, output)
+{
+	const p = cleanPoints(points, true);
+	const n = p.length >> 1;
+
+	if (n < 3) return output;
+
+	// Determine orientation and convexity.
+	let area = 0, pos = 0, neg = 0;
+
+	for (let i = 0; i < n; i++)
+	{
+		const j = (i + 1) % n, k = (i + 2) % n;
+
+		area += p[2*i]*p[2*j+1] - p[2*j]*p[2*i+1];
+
+		const cross = (p[2*j] - p[2*i])*(p[2*k+1] - p[2*j+1]) - (p[2*j+1] - p[2*i+1])*(p[2*k] - p[2*j]);
+		if (cross > 0) pos++; else if (cross < 0) neg++;
+	}
+
+	if (pos == 0 || neg == 0)
+	{
+		for (let i = 1; i < n-1; i++)
+			output.push (p[0], p[1], p[2*i], p[2*i+1], p[2*i+2], p[2*i+3]);
+
+		return output;
+	}
+
+	const sign = area > 0 ? 1 : -1;
+
+	let list = [];
+	for (let i = 0; i < n; i++) list.push(i);
+
+	let guard = 2*n*n;
+
+	while (list.length > 3 && guard-- > 0)
+	{
+		let clipped = false;
+
+		for (let i = 0; i < list.length; i++)
+		{
+			const a = list[(i + list.length - 1) % list.length], b = list[i], c = list[(i + 1) % list.length];
+
+			const ax = p[2*a], ay = p[2*a+1];
+			const bx = p[2*b], by = p[2*b+1];
+			const cx = p[2*c], cy = p[2*c+1];
+
+			if (sign*((bx - ax)*(cy - by) - (by - ay)*(cx - bx)) <= 0)
+				continue;
+
+			let isEar = true;
+
+			for (let j = 0; j < list.length; j++)
+			{
+				const v = list[j];
+				if (v == a || v == b || v == c) continue;
+
+				if (pointInTriangle(p[2*v], p[2*v+1], ax, ay, bx, by, cx, cy)) {
+					isEar = false;
+					break;
+				}
+			}
+
+			if (!isEar) continue;
+
+			output.push (ax, ay, bx, by, cx, cy);
+			list.splice (i, 1);
+
+			clipped = true;
+			break;
+		}
+
+		// Self-intersecting or degenerate polygon, fill the rest as a fan.
+		if (!clipped) break;
+	}
+
+	for (let i = 1; i < list.length-1; i++)
+		output.push (p[2*list[0]], p[2*list[0]+1], p[2*list[i]], p[2*list[i]+1], p[2*list[i+1]], p[2*list[i+1]+1]);
+
+	return output;
+};
+
+
+/**
+**	Appends to the output the triangles of a circular fan centered at (x,y) with radius r, from angle a0 sweeping delta radians.
+*/
+const fan = function (output, x, y, r, a0, delta)
+{
+	const n = Math.max(2, Math.ceil(Math.abs(delta) / Math.acos(Math.max(0, 1 - Path.TOLERANCE / Math.max(r, Path.TOLERANCE)))));
+
+	let px = x + r*Math.cos(a0), py = y + r*Math.sin(a0);
+
+	for (let i = 1; i <= n; i++)
+	{
+		const a = a0 + delta * (i / n);
+		const qx = x + r*Math.cos(a), qy = y + r*Math.sin(a);
+
+		output.push (x, y, px, py, qx, qy);
+
+		px = qx;
+		py = qy;
+	}
+};
+
+
+/**
+**	Appends to the output the triangles to stroke a polyline (flat array of x,y pairs) with the given width, cap, join and miter limit.
+**
+**	>> Array strokePolyline (Array points, bool closed, float width, string lineCap, string lineJoin, float miterLimit, Array output);
+*/
+Path.strokePolyline = function (points, closed, width, lineCap, lineJoin, miterLimit, output)
+{
+	const p = cleanPoints(points, closed);
+	const n = p.length >> 1;
+	const hw = width / 2;
+
+	if (n == 0 || hw <= 0) return output;
+
+	// Single point, only round and square caps produce output.
+	if (n == 1)
+	{
+		if (closed) return output;
+
+		if (lineCap == 'round')
+			fan (output, p[0], p[1], hw, 0, 2*Math.PI);
+		else if (lineCap == 'square')
+			output.push (p[0]-hw, p[1]-hw, p[0]+hw, p[1]-hw, p[0]-hw, p[1]+hw, p[0]-hw, p[1]+hw, p[0]+hw, p[1]-hw, p[0]+hw, p[1]+hw);
+
+		return output;
+	}
+
+	if (n == 2) closed = false;
+
+	const numSegments = closed ? n : n-1;
+
+	// Direction of each segment.
+	let dirs = [];
+
+	for (let i = 0; i < numSegments; i++)
+	{
+		const j = (i + 1) % n;
+
+		const dx = p[2*j] - p[2*i], dy = p[2*j+1] - p[2*i+1];
+		const len = Math.hypot(dx, dy);
+
+		dirs.push (dx/len, dy/len);
+	}
+
+	// Segment bodies.
+	for (let i = 0; i < numSegments; i++)
+	{
+		const j = (i + 1) % n;
+		const dx = dirs[2*i], dy = dirs[2*i+1];
+		const nx = -dy*hw, ny = dx*hw;
+
+		let x0 = p[2*i], y0 = p[2*i+1];
+		let x1 = p[2*j], y1 = p[2*j+1];
+
+		if (!closed && lineCap == 'square')
+		{
+			if (i == 0) { x0 -= dx*hw; y0 -= dy*hw; }
+			if (i == numSegments-1) { x1 += dx*hw; y1 += dy*hw; }
+		}
+
+		output.push (x0+nx, y0+ny, x0-nx, y0-ny, x1+nx, y1+ny);
+		output.push (x1+nx, y1+ny, x0-nx, y0-ny, x1-nx, y1-ny);
+	}
+
+	// Joins between consecutive segments.
+	for (let k = closed ? 0 : 1; k < n - (closed ? 0 : 1); k++)
+	{
+		const i0 = (k + numSegments - 1) % numSegments;
+		const i1 = k % numSegments;
+
+		const d0x = dirs[2*i0], d0y = dirs[2*i0+1];
+		const d1x = dirs[2*i1], d1y = dirs[2*i1+1];
+
+		const cross = d0x*d1y - d0y*d1x;
+		const dot = d0x*d1x + d0y*d1y;
+
+		if (Math.abs(cross) < 1e-6 && dot > 0)
+			continue;
+
+		// Outer side of the corner.
+		const s = cross > 0 ? -1 : 1;
+
+		const x = p[2*k], y = p[2*k+1];
+		const ax = x - s*d0y*hw, ay = y + s*d0x*hw;
+		const bx = x - s*d1y*hw, by = y + s*d1x*hw;
+
+		if (lineJoin == 'round')
+		{
+			const a0 = Math.atan2(ay - y, ax - x);
+			let delta = Math.atan2(by - y, bx - x) - a0;
+
+			if (delta > Math.PI) delta -= 2*Math.PI;
+			if (delta < -Math.PI) delta += 2*Math.PI;
+
+			if (Math.abs(cross) < 1e-6) delta = Math.PI;
+
+			fan (output, x, y, hw, a0, delta);
+			continue;
+		}
+
+		if (lineJoin == 'miter' && Math.abs(cross) >= 1e-6)
+		{
+			// Ratio of the miter length to the line width is 1/sin(theta/2), where theta is the interior angle between the segments.
+			const miter = 1 / Math.sqrt((1 + dot) / 2);
+
+			if (miter <= miterLimit)
+			{
+				let mx = (ax + bx) / 2 - x, my = (ay + by) / 2 - y;
+				const ml = Math.hypot(mx, my);
+
+				mx = mx / ml * hw * miter;
+				my = my / ml * hw * miter;
+
+				output.push (x, y, ax, ay, x+mx, y+my);
+				output.push (x, y, x+mx, y+my, bx, by);
+				continue;
+			}
+		}
+
+		output.push (x, y, ax, ay, bx, by);
+	}
+
+	// End caps.
+	if (!closed && lineCap == 'round')
+	{
+		const a0 = Math.atan2(dirs[1], dirs[0]);
+		const a1 = Math.atan2(dirs[2*numSegments-1], dirs[2*numSegments-2]);
+
+		fan (output, p[0], p[1], hw, a0 + Math.PI/2, Math.PI);
+		fan (output, p[2*n-2], p[2*n-1], hw, a1 - Math.PI/2, Math.PI);
+	}
+
+	return output;
+};
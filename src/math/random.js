@@ -0,0 +1,289 @@
+/*
+**	math/random.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+
+/*
+**	Returns a 32-bit hash of the specified stream identifier (number or string).
+*/
+
+const hashStream = function (id)
+{
+	if (typeof(id) === 'number')
+		return id >>> 0;
+
+	let h = 0x811C9DC5;
+
+	for (let i = 0; i < id.length; i++)
+		h = Math.imul(h ^ id.charCodeAt(i), 0x01000193);
+
+	return h >>> 0;
+};
+
+/*
+**	Scrambles a 32-bit value (splitmix32 finalizer).
+*/
+
+const mix = function (z)
+{
+	z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+	z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+	return (z ^ (z >>> 16)) >>> 0;
+};
+
+/**
+**	Seedable pseudo-random number generator (xoshiro128**). Generators with the same seed and stream produce the same sequence, and different
+**	streams of the same seed produce independent sequences, allowing subsystems to consume random numbers without affecting each other.
+*/
+
+const Random = Class.extend
+({
+	className: 'Random',
+
+	/**
+	**	Seed and stream identifier of the generator.
+	*/
+	seedValue: 0,
+	streamId: 0,
+
+	/**
+	**	Internal state (four 32-bit words).
+	*/
+	state: null,
+
+	/**
+	**	Constructs the generator.
+	**
+	**	@param seed:int Initial seed, when not specified one is obtained from the current time.
+	**	@param stream:int|string Stream identifier, defaults to 0.
+	*/
+	__ctor: function (seed=null, stream=0)
+	{
+		this.state = new Uint32Array(4);
+		this.seed (seed === null ? (Date.now() ^ (Math.random()*0x100000000)) >>> 0 : seed, stream);
+	},
+
+	/**
+	**	Seeds the generator, the stream is preserved if not specified.
+	**
+	**	@param seed:int 32-bit seed value.
+	**	@param stream:int|string Stream identifier.
+	**
+	**	@returns Random
+	*/
+	seed: function (seed, stream=null)
+	{
+		if (stream !== null) this.streamId = stream;
+		this.seedValue = seed >>> 0;
+
+		let x = this.seedValue ^ mix(hashStream(this.streamId) + 0x6A09E667);
+
+		for (let i = 0; i < 4; i++)
+		{
+			x = (x + 0x9E3779B9) | 0;
+			this.state[i] = mix(x);
+		}
+
+		if (!(this.state[0] | this.state[1] | this.state[2] | this.state[3]))
+			this.state[0] = 1;
+
+		return this;
+	},
+
+	/**
+	**	Returns the next 32-bit unsigned integer of the sequence.
+	**
+	**	@returns int
+	*/
+	next: function ()
+	{
+		const s = this.state;
+
+		let r = Math.imul(s[1], 5);
+		r = Math.imul((r << 7) | (r >>> 25), 9) >>> 0;
+
+		const t = s[1] << 9;
+
+		s[2] ^= s[0];
+		s[3] ^= s[1];
+		s[1] ^= s[2];
+		s[0] ^= s[3];
+		s[2] ^= t;
+		s[3] = (s[3] << 11) | (s[3] >>> 21);
+
+		return r;
+	},
+
+	/**
+	**	Returns a random float from 0 to 1 (non-inclusive).
+	**
+	**	@returns float
+	*/
+	float: function ()
+	{
+		return this.next() / 0x100000000;
+	},
+
+	/**
+	**	Returns a random integer within the given range (inclusive).
+	**
+	**	@returns int
+	*/
+	int: function (a, b)
+	{
+		return a + Math.floor(this.float() * (b - a + 1));
+	},
+
+	/**
+	**	Returns a random float within the given range (non-inclusive).
+	**
+	**	@returns float
+	*/
+	range: function (a, b)
+	{
+		return a + this.float() * (b - a);
+	},
+
+	/**
+	**	Returns true with the specified probability (0 to 1).
+	**
+	**	@returns bool
+	*/
+	chance: function (p)
+	{
+		return this.float() < p;
+	},
+
+	/**
+	**	Returns a random item from the specified array.
+	*/
+	item: function (arr)
+	{
+		return arr[Math.floor(this.float() * arr.length)];
+	},
+
+	/**
+	**	Shuffles the specified array in place and returns it.
+	**
+	**	@returns array
+	*/
+	shuffle: function (arr)
+	{
+		for (let i = arr.length-1; i > 0; i--)
+		{
+			const j = Math.floor(this.float() * (i+1));
+			const k = arr[i];
+
+			arr[i] = arr[j];
+			arr[j] = k;
+		}
+
+		return arr;
+	},
+
+	/**
+	**	Returns a new generator with the same seed as this one but on a different stream.
+	**
+	**	@returns Random
+	*/
+	fork: function (stream)
+	{
+		return new Random (this.seedValue, stream);
+	},
+
+	/**
+	**	Returns a serializable object with the state of the generator.
+	**
+	**	@returns object
+	*/
+	getState: function ()
+	{
+		return { seed: this.seedValue, stream: this.streamId, state: Array.from(this.state) };
+	},
+
+	/**
+	**	Restores the state of the generator from an object obtained with `getState`.
+	**
+	**	@returns Random
+	*/
+	setState: function (data)
+	{
+		this.seedValue = data.seed;
+		this.streamId = data.stream;
+		this.state.set(data.state);
+
+		return this;
+	}
+});
+
+/**
+**	Default generator, used by the global random functions (rand, randf, randr, etc).
+*/
+Random.default = new Random (null, 0);
+
+/**
+**	Named streams obtained with `getStream`, all of them share the seed of the default generator.
+*/
+Random.streams = { };
+
+/**
+**	Returns the generator of the specified named stream, created on first use with the seed of the default generator. Used by subsystems whose
+**	random numbers should not alter the sequence of the default generator (i.e. audio variations).
+*/
+Random.getStream = function (name)
+{
+	if (!(name in Random.streams))
+		Random.streams[name] = Random.default.fork(name);
+
+	return Random.streams[name];
+};
+
+/**
+**	Seeds the default generator and all named streams.
+*/
+Random.seed = function (seed)
+{
+	Random.default.seed(seed);
+
+	for (let name in Random.streams)
+		Random.streams[name].seed(seed);
+};
+
+/**
+**	Returns a serializable object with the state of the default generator and all named streams.
+*/
+Random.save = function ()
+{
+	let data = { default: Random.default.getState(), streams: { } };
+
+	for (let name in Random.streams)
+		data.streams[name] = Random.streams[name].getState();
+
+	return data;
+};
+
+/**
+**	Restores the state of the default generator and named streams from an object obtained with `save`.
+*/
+Random.restore = function (data)
+{
+	Random.default.setState(data.default);
+
+	for (let name in data.streams)
+		Random.getStream(name).setState(data.streams[name]);
+};
+
+export default Random;
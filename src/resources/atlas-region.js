@@ -0,0 +1,88 @@
+/*
+**	resources/atlas-region.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import IDrawable from '../system/idrawable.js';
+
+/**
+**	Rectangular region of an atlas page. The frame object describes the region in page pixels:
+**
+**	{ x: int, y: int, w: int, h: int, rotated: bool, offsetX: int, offsetY: int, sourceWidth: int, sourceHeight: int }
+**
+**	When the region is trimmed, the offset and source size describe the position of the trimmed rectangle inside the original image. When
+**	rotated, the region is stored in the page rotated 90 degrees clockwise (occupies h by w pixels). The `scale` is used to convert page
+**	pixels into logical units.
+*/
+
+export default IDrawable.extend
+({
+	className: "AtlasRegion",
+
+	/**
+	**	Name of the region.
+	*/
+	name: null,
+
+	/**
+	**	Image of the atlas page.
+	*/
+	data: null,
+
+	/**
+	**	Frame of the region in page pixels.
+	*/
+	frame: null,
+
+	__ctor: function (name, data, frame, scale=1)
+	{
+		this._super.IDrawable.__ctor(frame.sourceWidth*scale, frame.sourceHeight*scale);
+
+		this.name = name;
+		this.data = data;
+		this.frame = frame;
+	},
+
+	draw: function (g, x=0, y=0, width=null, height=null)
+	{
+		const f = this.frame;
+
+		if (!width) width = this.width;
+		if (!height) height = this.height;
+
+		const sx = width / f.sourceWidth;
+		const sy = height / f.sourceHeight;
+
+		x += f.offsetX*sx;
+		y += f.offsetY*sy;
+
+		if (!f.rotated)
+		{
+			g.drawImage (this.data, f.x, f.y, f.w, f.h, x, y, f.w*sx, f.h*sy);
+			return;
+		}
+
+		// Rotate back the region (stored clockwise) and draw it using the rotated destination size.
+		g.pushMatrix();
+		g.translate(x, y + f.h*sy);
+		g.rotate(Math.PI/2);
+		g.drawImage (this.data, f.x, f.y, f.h, f.w, 0, 0, f.h*sy, f.w*sx);
+		g.popMatrix();
+	},
+
+	getDrawable: function ()
+	{
+		return this;
+	}
+});
@@ -0,0 +1,241 @@
+/*
+**	resources/atlas.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+import System from '../system/system.js';
+import Canvas from '../system/canvas.js';
+import Resources from './resources.js';
+import AtlasRegion from './atlas-region.js';
+import Spritesheet from './spritesheet.js';
+
+/*
+	Atlas resources are loaded from a TexturePacker (JSON hash or JSON array) descriptor, the image of the page is obtained from the
+	'meta.image' field (relative to the descriptor) unless the 'image' attribute is provided:
+
+		{ type: "atlas", wrapper: "Atlas", src: "assets/sprites.json", image: "assets/sprites.png"?, scale: 1? }
+
+	The regions are available in the 'frames' map of the resource (name to AtlasRegion), and can be used as frames of a Spritesheet by
+	using the "Spritesheet" or "SpritesheetAnimation" wrappers with config: { prefix: string?, frames: Array? }.
+*/
+
+const Atlas = Class.extend
+({
+	className: "Atlas",
+
+	width: 0, height: 0,
+
+	/**
+	**	Map of region names to AtlasRegion objects.
+	*/
+	frames: null,
+
+	__ctor: function (r)
+	{
+		if (r.type != "atlas")
+			throw new Error ("Resource is not an atlas.");
+
+		this.width = r.width;
+		this.height = r.height;
+
+		this.frames = r.frames;
+
+		this.r = r;
+		this.r.wrapper = this;
+	},
+
+	/**
+	**	Returns the region with the given name or null if it does not exist.
+	*/
+	get: function (name)
+	{
+		return name in this.frames ? this.frames[name] : null;
+	},
+
+	/**
+	**	Returns the region with the given name as a drawable, throws an error if it does not exist.
+	*/
+	getDrawable: function (name)
+	{
+		if (!(name in this.frames))
+			throw new Error ("Atlas region not found: " + name);
+
+		return this.frames[name];
+	},
+
+	/**
+	**	Returns the names of the regions starting with the given prefix, in natural order (i.e. "run2" before "run10").
+	*/
+	getNames: function (prefix=null)
+	{
+		return Atlas.sortNames(Object.keys(this.frames).filter(name => !prefix || name.startsWith(prefix)));
+	},
+
+	/**
+	**	Creates a spritesheet with the regions starting with the given prefix (in natural order) or with the regions in the given array.
+	*/
+	getSpritesheet: function (prefix=null)
+	{
+		const config = Array.isArray(prefix) ? { frames: prefix } : { prefix: prefix };
+		return new Spritesheet ({ type: "atlas", resName: this.r.resName, data: this.r.data, width: this.width, height: this.height, frames: this.frames, config: config });
+	},
+
+	draw: function (g, x=0, y=0, width=null, height=null)
+	{
+		g.drawImageResource (this.r, x, y, width, height);
+	}
+});
+
+/**
+**	Sorts an array of region names in natural order.
+*/
+Atlas.sortNames = function (names)
+{
+	return names.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+};
+
+/**
+**	Builds the regions of an atlas resource (r.data must be the loaded page image) from a TexturePacker JSON descriptor.
+*/
+Atlas.parse = function (r, json)
+{
+	const scale = r.scale || 1;
+	const frames = json.frames || { };
+
+	r.frames = { };
+
+	for (let name in frames)
+	{
+		let item = frames[name];
+		if (Array.isArray(frames)) name = item.filename;
+
+		// The frame rectangle always has the size of the unrotated region.
+		const f = item.frame;
+		const trim = item.spriteSourceSize || { x: 0, y: 0, w: f.w, h: f.h };
+		const source = item.sourceSize || { w: f.w, h: f.h };
+
+		r.frames[name] = new AtlasRegion (name, r.data, {
+			x: f.x, y: f.y, w: f.w, h: f.h, rotated: item.rotated === true,
+			offsetX: trim.x, offsetY: trim.y, sourceWidth: source.w, sourceHeight: source.h
+		}, scale);
+	}
+
+	r.width = r.data.width * scale;
+	r.height = r.data.height * scale;
+
+	return r;
+};
+
+/**
+**	Packs the images of the given loaded resources (of type "image" or "images") into a single atlas page and returns an Atlas. Regions
+**	are named after the resource name, or the resource name followed by "#" and the frame index for "images" resources. Options:
+**
+**	{ name: string, padding: int=1, maxWidth: int=2048, maxHeight: int=2048 }
+*/
+Atlas.pack = function (resources, opts=null)
+{
+	opts = { name: "atlas", padding: 1, maxWidth: 2048, maxHeight: 2048, ...opts };
+
+	let items = [];
+
+	for (let r of resources)
+	{
+		if (r.r) r = r.r;
+
+		if (r.type == "image")
+			items.push({ name: r.resName, data: r.data, width: r.width });
+		else if (r.type == "images")
+			r.data.forEach((i, index) => items.push({ name: r.resName + "#" + index, data: i.data, width: i.width }));
+		else
+			throw new Error ("packImages: resource is not an image: " + r.resName);
+	}
+
+	const padding = opts.padding;
+	let area = 0, minWidth = 0;
+
+	for (let i of items)
+	{
+		area += (i.data.width + padding) * (i.data.height + padding);
+		minWidth = Math.max(minWidth, i.data.width + 2*padding);
+	}
+
+	let width = Math.max(minWidth, 1 << Math.ceil(Math.log2(Math.max(1, Math.sqrt(area)))));
+	if (width > opts.maxWidth) width = Math.max(minWidth, opts.maxWidth);
+
+	// Shelf packing, taller images first.
+	items.sort((a, b) => b.data.height - a.data.height);
+
+	let x = padding, y = padding, shelf = 0;
+
+	for (let i of items)
+	{
+		if (x + i.data.width + padding > width)
+		{
+			x = padding;
+			y += shelf + padding;
+			shelf = 0;
+		}
+
+		i.x = x;
+		i.y = y;
+
+		x += i.data.width + padding;
+		shelf = Math.max(shelf, i.data.height);
+	}
+
+	const height = y + shelf + padding;
+
+	if (width > opts.maxWidth || height > opts.maxHeight)
+		throw new Error ("packImages: images do not fit in a page of " + opts.maxWidth + "x" + opts.maxHeight);
+
+	const page = new Canvas ({ hidden: true }).resize (width, height);
+	for (let i of items)
+		page.drawImage (i.data, i.x, i.y);
+
+	const r = { type: "atlas", wrapper: "Atlas", resName: opts.name, data: page.elem, frames: { } };
+
+	for (let i of items)
+	{
+		r.frames[i.name] = new AtlasRegion (i.name, r.data, {
+			x: i.x, y: i.y, w: i.data.width, h: i.data.height, rotated: false,
+			offsetX: 0, offsetY: 0, sourceWidth: i.data.width, sourceHeight: i.data.height
+		}, i.width / i.data.width);
+	}
+
+	const scale = items.length ? items[0].width / items[0].data.width : 1;
+	r.width = width * scale;
+	r.height = height * scale;
+
+	System.displayBuffer.prepareImage(r.data);
+	return new Atlas (r);
+};
+
+/**
+**	Creates a descriptor for an atlas resource.
+*/
+Resources.Atlas = function (src, opts=null)
+{
+	return { type: "atlas", wrapper: "Atlas", src: src, ...opts };
+};
+
+/**
+**	Packs the images of the given loaded resources into a single atlas page, see Atlas.pack.
+*/
+Resources.packImages = function (resources, opts=null)
+{
+	return Atlas.pack (resources, opts);
+};
+
+export default Atlas;
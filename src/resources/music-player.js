@@ -0,0 +1,468 @@
+/*
+**	resources/music-player.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+import Sound from './sound.js';
+import System from '../system/system.js';
+import Random from '../math/random.js';
+
+/*
+	Each entry of the playlist is an object with the following fields (or just a Sound):
+
+		sound: Sound, name: string, volume: float,
+		loopStart: float (seconds, when set the track plays its intro and then loops the section until changed), loopEnd: float
+*/
+
+/**
+**	Plays music tracks from a playlist (sequential or shuffled) with crossfades between them. The player is updated by the system
+**	update queue, and notifies changes using the on* methods.
+*/
+
+const MusicPlayer = Class.extend
+({
+	className: "MusicPlayer",
+
+	/**
+	**	Playlist entries and order in which they are played (indices of the playlist).
+	*/
+	playlist: null,
+	order: null,
+
+	/**
+	**	Play mode ("sequential" or "shuffle") and whether the playlist starts again after the last track.
+	*/
+	mode: "sequential",
+	repeat: true,
+
+	/**
+	**	Crossfade duration (seconds) and curve ("linear", "equal-power", "smooth" or a function t => gain).
+	*/
+	crossfade: 2,
+	curve: "equal-power",
+
+	/**
+	**	Volume of the player (multiplied by the volume of each entry).
+	*/
+	volume: 1,
+
+	/**
+	**	Current position in the play order, and the current entry and its node.
+	*/
+	position: -1,
+	current: null,
+	node: null,
+
+	/**
+	**	Active fades, each one is { node, entry, from, to, time, duration, stop }.
+	*/
+	fades: null,
+
+	/**
+	**	Indicates if the player is paused.
+	*/
+	paused: false,
+
+	__ctor: function (playlist=null, options=null)
+	{
+		Object.assign(this, options);
+
+		this.fades = [];
+		this.setPlaylist (playlist || []);
+
+		if (System.updateQueue)
+			System.updateQueueAdd (this);
+	},
+
+	__dtor: function ()
+	{
+		this.stop (false);
+
+		if (System.updateQueue)
+			System.updateQueueRemove (this);
+	},
+
+	/**
+	**	Sets the playlist, the current track is not changed.
+	*/
+	setPlaylist: function (playlist)
+	{
+		this.playlist = playlist.map(entry => entry.isInstanceOf && entry.isInstanceOf(Sound) ? { sound: entry } : entry);
+		this.shuffle ();
+		return this;
+	},
+
+	/**
+	**	Adds an entry to the playlist.
+	*/
+	add: function (entry)
+	{
+		this.playlist.push (entry.isInstanceOf && entry.isInstanceOf(Sound) ? { sound: entry } : entry);
+		this.order.push (this.playlist.length-1);
+		return this;
+	},
+
+	/**
+	**	Changes the play mode and rebuilds the play order.
+	*/
+	setMode: function (mode)
+	{
+		this.mode = mode;
+		this.shuffle ();
+		return this;
+	},
+
+	/**
+	**	Rebuilds the play order, in shuffle mode the current entry will not be the first one of the new order.
+	*/
+	shuffle: function ()
+	{
+		this.order = this.playlist.map((entry, index) => index);
+		this.position = -1;
+
+		if (this.mode != "shuffle")
+		{
+			if (this.current) this.position = this.playlist.indexOf(this.current);
+			return;
+		}
+
+		for (let i = this.order.length-1; i > 0; i--)
+		{
+			const j = ~~(Random.getStream('audio').float() * (i+1));
+			const k = this.order[i];
+
+			this.order[i] = this.order[j];
+			this.order[j] = k;
+		}
+
+		if (this.order.length > 1 && this.playlist[this.order[0]] === this.current)
+		{
+			this.order.push (this.order.shift());
+		}
+	},
+
+	/**
+	**	Returns the gain of the crossfade curve at time t (0 to 1).
+	*/
+	getGain: function (t)
+	{
+		if (typeof(this.curve) == "function")
+			return this.curve(t);
+
+		return (MusicPlayer.curves[this.curve] || MusicPlayer.curves.linear)(t);
+	},
+
+	/**
+	**	Plays the entry at the given index of the playlist (or the next one when null), crossfading from the current one.
+	*/
+	play: function (index=null)
+	{
+		if (index === null)
+			return this.next();
+
+		const entry = this.playlist[index];
+		if (!entry) return this;
+
+		this.position = this.mode == "shuffle" ? this.order.indexOf(index) : index;
+		this.start (entry);
+		return this;
+	},
+
+	/**
+	**	Plays the next entry in the play order. When the end is reached and `repeat` is false, the music is stopped.
+	*/
+	next: function ()
+	{
+		if (!this.playlist.length)
+			return this;
+
+		if (this.position+1 >= this.order.length)
+		{
+			if (!this.repeat)
+			{
+				this.stop ();
+				this.onPlaylistEnd ();
+				return this;
+			}
+
+			if (this.mode == "shuffle") this.shuffle ();
+			this.position = -1;
+		}
+
+		this.start (this.playlist[this.order[++this.position]]);
+		return this;
+	},
+
+	/**
+	**	Plays the previous entry in the play order.
+	*/
+	prev: function ()
+	{
+		if (!this.playlist.length)
+			return this;
+
+		this.position = this.position > 0 ? this.position-1 : this.order.length-1;
+		this.start (this.playlist[this.order[this.position]]);
+		return this;
+	},
+
+	/**
+	**	Starts playing an entry, fading out the current one.
+	*/
+	start: function (entry)
+	{
+		const prev = this.current;
+
+		this.fadeOutCurrent ();
+		this.paused = false;
+
+		this.current = entry;
+
+		const volume = this.getVolume(entry);
+		const callback = () => this.ended(node);
+
+		const node = entry.loopStart !== undefined && entry.loopStart !== null
+			? Sound.playLoopSection (entry.sound, entry.loopStart, entry.loopEnd !== undefined ? entry.loopEnd : null, callback, 0)
+			: Sound.play (entry.sound, callback, 0);
+
+		this.node = node;
+
+		if (node)
+		{
+			node.volume = prev && this.crossfade > 0 ? 0 : volume;
+			Sound.updateNode (node, 'setvolume');
+
+			if (prev && this.crossfade > 0)
+				this.fades.push ({ node: node, entry: entry, from: 0, to: 1, time: 0, duration: this.crossfade, stop: false });
+		}
+
+		this.onTrackChange (entry, this.playlist.indexOf(entry), prev);
+	},
+
+	/**
+	**	Fades out (or stops when crossfade is zero) the current node.
+	*/
+	fadeOutCurrent: function ()
+	{
+		const node = this.node;
+		if (!node) return;
+
+		this.node = null;
+		node.callback = null;
+
+		this.fades = this.fades.filter(fade => fade.node !== node);
+
+		if (this.crossfade > 0 && node.playing)
+			this.fades.push ({ node: node, entry: this.current, from: node.volume / (this.getVolume(this.current) || 1), to: 0, time: 0, duration: this.crossfade, stop: true });
+		else
+			Sound.stop (node, true);
+	},
+
+	/**
+	**	Stops the music, fading out when `fade` is true.
+	*/
+	stop: function (fade=true)
+	{
+		if (!fade)
+		{
+			// The callbacks are removed first since the node fading in is the current one, and its end would start the next track.
+			const fades = this.fades;
+			this.fades = [];
+
+			for (let f of fades)
+			{
+				f.node.callback = null;
+				Sound.stop (f.node, true);
+			}
+
+			if (this.node)
+			{
+				this.node.callback = null;
+				Sound.stop (this.node, true);
+				this.node = null;
+			}
+		}
+		else
+			this.fadeOutCurrent ();
+
+		this.current = null;
+		this.paused = false;
+		return this;
+	},
+
+	/**
+	**	Pauses the current track, its position is kept to be resumed later.
+	*/
+	pause: function ()
+	{
+		if (!this.node || this.paused) return this;
+
+		this.paused = true;
+		Sound.pause (this.node);
+
+		// Tracks being faded out are stopped right away.
+		for (let i = 0; i < this.fades.length; i++)
+		{
+			if (!this.fades[i].stop) continue;
+
+			Sound.stop (this.fades[i].node, true);
+			this.fades.splice (i--, 1);
+		}
+
+		return this;
+	},
+
+	/**
+	**	Resumes the current track from the position it was paused.
+	*/
+	resume: function ()
+	{
+		if (!this.node || !this.paused) return this;
+
+		this.paused = false;
+		Sound.resume (this.node);
+		return this;
+	},
+
+	/**
+	**	Returns the current playback position (seconds) of the current track.
+	*/
+	getPosition: function ()
+	{
+		return Sound.getPosition (this.node);
+	},
+
+	/**
+	**	Returns the target volume of an entry.
+	*/
+	getVolume: function (entry)
+	{
+		return this.volume * (entry && entry.volume !== undefined ? entry.volume : 1);
+	},
+
+	/**
+	**	Sets the volume of the player.
+	*/
+	setVolume: function (value)
+	{
+		this.volume = value;
+
+		if (this.node && !this.fades.some(fade => fade.node === this.node))
+		{
+			this.node.volume = this.getVolume(this.current);
+			Sound.updateNode (this.node, 'setvolume');
+		}
+
+		return this;
+	},
+
+	/**
+	**	Executed when a node finished playing.
+	*/
+	ended: function (node)
+	{
+		if (node !== this.node) return;
+
+		this.node = null;
+		this.onTrackEnd (this.current, this.playlist.indexOf(this.current));
+
+		this.next ();
+	},
+
+	/**
+	**	Updates the fades and starts the next track when the current one is about to end (to crossfade them).
+	*/
+	update: function (dt)
+	{
+		for (let i = 0; i < this.fades.length; i++)
+		{
+			const fade = this.fades[i];
+
+			if (!fade.node.playing)
+			{
+				if (!fade.node.pause) this.fades.splice (i--, 1);
+				continue;
+			}
+
+			fade.time = Math.min(fade.time + dt, fade.duration);
+
+			const t = fade.time / fade.duration;
+			const gain = fade.to > fade.from ? this.getGain(t) : fade.from * this.getGain(1 - t);
+
+			fade.node.volume = this.getVolume(fade.entry) * gain;
+			Sound.updateNode (fade.node, 'setvolume');
+
+			if (fade.time < fade.duration) continue;
+
+			if (fade.stop) Sound.stop (fade.node, true);
+
+			this.fades.splice (i--, 1);
+		}
+
+		const node = this.node;
+
+		if (node && node.playing && node.loop == 0 && this.crossfade > 0)
+		{
+			const duration = Sound.getDuration(node);
+
+			if (duration > this.crossfade && duration - Sound.getPosition(node) <= this.crossfade)
+			{
+				this.onTrackEnd (this.current, this.playlist.indexOf(this.current));
+				this.next ();
+			}
+		}
+	},
+
+	/**
+	**	Executed when the current track changes, `prev` is the previous entry (or null).
+	*/
+	onTrackChange: function (entry, index, prev) /* @override */
+	{
+	},
+
+	/**
+	**	Executed when a track ends (or starts crossfading to the next one at its end).
+	*/
+	onTrackEnd: function (entry, index) /* @override */
+	{
+	},
+
+	/**
+	**	Executed when the last track of the playlist ended and `repeat` is false.
+	*/
+	onPlaylistEnd: function () /* @override */
+	{
+	}
+});
+
+/**
+**	Crossfade curves, gain of the incoming track at time t (the outgoing track uses 1-t).
+*/
+MusicPlayer.curves =
+{
+	linear: function (t) {
+		return t;
+	},
+
+	"equal-power": function (t) {
+		return Math.sin(t * Math.PI / 2);
+	},
+
+	smooth: function (t) {
+		return t*t*(3 - 2*t);
+	}
+};
+
+export default MusicPlayer;
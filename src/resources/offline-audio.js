@@ -0,0 +1,1068 @@
+/*
+**	resources/offline-audio.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+
+// The wrappers are imported first to evaluate the resources modules in dependency order, this allows using the module on its own (i.e. to
+// render audio in Node without loading the rest of the library).
+import './wrappers.js';
+import Sound from './sound.js';
+
+/*
+	Offline mode of the audio engine. While active, the global audioContext is replaced by a pure-JS mixer implementing the subset of
+	WebAudio used by Sound (gain, buffer source, stereo panner, biquad filter, compressor and convolver), and the time used by Sound
+	(positions and fades) is the simulated time of the mixer, so the same results are obtained in browsers and in Node:
+
+		OfflineAudio.start({ sampleRate: 44100 });
+		// load resources and play sounds
+		OfflineAudio.render(2.0, (dt, time) => System.update(dt));
+		const wav = OfflineAudio.encodeWAV(OfflineAudio.stop());
+
+	Audio resources must be loaded after calling start() unless they were already decoded by a real audio context, the mixer decodes
+	WAV files only. The compressor and the convolver normalization are approximations of the ones of the browsers.
+*/
+
+/**
+**	Number of frames rendered at once.
+*/
+const BLOCK_SIZE = 128;
+
+/**
+**	In-place radix-2 FFT of the given real and imaginary arrays (length must be a power of two).
+*/
+const fft = function (re, im, inverse)
+{
+	const n = re.length;
+
+	for (let i = 1, j = 0; i < n; i++)
+	{
+		let bit = n >> 1;
+		for (; j & bit; bit >>= 1) j ^= bit;
+		j ^= bit;
+
+		if (i < j)
+		{
+			let t = re[i]; re[i] = re[j]; re[j] = t;
+			t = im[i]; im[i] = im[j]; im[j] = t;
+		}
+	}
+
+	for (let len = 2; len <= n; len <<= 1)
+	{
+		const angle = (inverse ? 2 : -2) * Math.PI / len;
+		const wr = Math.cos(angle), wi = Math.sin(angle);
+		const half = len >> 1;
+
+		for (let i = 0; i < n; i += len)
+		{
+			let cr = 1, ci = 0;
+
+			for (let j = 0; j < half; j++)
+			{
+				const a = i + j, b = a + half;
+				const tr = re[b]*cr - im[b]*ci;
+				const ti = re[b]*ci + im[b]*cr;
+
+				re[b] = re[a] - tr; im[b] = im[a] - ti;
+				re[a] += tr; im[a] += ti;
+
+				const t = cr*wr - ci*wi;
+				ci = cr*wi + ci*wr;
+				cr = t;
+			}
+		}
+	}
+
+	if (inverse)
+	{
+		for (let i = 0; i < n; i++)
+		{
+			re[i] /= n;
+			im[i] /= n;
+		}
+	}
+};
+
+/**
+**	Creates an object compatible with AudioBuffer.
+*/
+const createBuffer = function (numberOfChannels, length, sampleRate)
+{
+	const channels = [];
+
+	for (let i = 0; i < numberOfChannels; i++)
+		channels.push(new Float32Array(length));
+
+	return {
+		sampleRate: sampleRate,
+		length: length,
+		duration: length / sampleRate,
+		numberOfChannels: numberOfChannels,
+		getChannelData: function (index) { return channels[index]; }
+	};
+};
+
+/**
+**	Parameter of a node (AudioParam), supports direct values and scheduled values with linear ramps.
+*/
+const Param = Class.extend
+({
+	className: "OfflineParam",
+
+	value: 0,
+	events: null,
+	lastTime: 0,
+
+	__ctor: function (value)
+	{
+		this.value = value;
+		this.events = [];
+	},
+
+	setValueAtTime: function (value, time)
+	{
+		return this.schedule({ ramp: false, value: value, time: time });
+	},
+
+	linearRampToValueAtTime: function (value, time)
+	{
+		return this.schedule({ ramp: true, value: value, time: time });
+	},
+
+	cancelScheduledValues: function (time)
+	{
+		this.events = this.events.filter(e => e.time < time);
+		return this;
+	},
+
+	schedule: function (event)
+	{
+		this.events.push(event);
+		this.events.sort((a, b) => a.time - b.time);
+		return this;
+	},
+
+	/**
+	**	Updates the value for the given time and returns it.
+	*/
+	update: function (time)
+	{
+		while (this.events.length && this.events[0].time <= time)
+		{
+			const e = this.events.shift();
+
+			this.value = e.value;
+			this.lastTime = e.time;
+		}
+
+		if (this.events.length && this.events[0].ramp)
+		{
+			const e = this.events[0];
+			this.value += (e.value - this.value) * Math.min(1, (time - this.lastTime) / (e.time - this.lastTime));
+			this.lastTime = time;
+		}
+
+		return this.value;
+	}
+});
+
+/**
+**	Base node of the mixer, the output is always two channels of BLOCK_SIZE frames. When all the inputs are mono the `mono` flag is
+**	set (both channels are equal).
+*/
+const Node = Class.extend
+({
+	className: "OfflineNode",
+
+	context: null,
+	inputs: null,
+	outputs: null,
+
+	output: null,
+	mono: false,
+	blockId: -1,
+
+	__ctor: function (context)
+	{
+		this.context = context;
+
+		this.inputs = [];
+		this.outputs = [];
+
+		this.output = [ new Float32Array(BLOCK_SIZE), new Float32Array(BLOCK_SIZE) ];
+	},
+
+	connect: function (node)
+	{
+		if (node.inputs.indexOf(this) == -1)
+			node.inputs.push(this);
+
+		if (this.outputs.indexOf(node) == -1)
+			this.outputs.push(node);
+
+		return node;
+	},
+
+	disconnect: function ()
+	{
+		for (let node of this.outputs)
+		{
+			const i = node.inputs.indexOf(this);
+			if (i != -1) node.inputs.splice(i, 1);
+		}
+
+		this.outputs = [];
+	},
+
+	/**
+	**	Returns the output of the node for the current block (processed only once per block).
+	*/
+	pull: function ()
+	{
+		if (this.blockId != this.context.blockId)
+		{
+			this.blockId = this.context.blockId;
+			this.process(this.output);
+		}
+
+		return this.output;
+	},
+
+	/**
+	**	Writes the sum of the inputs to the given output.
+	*/
+	mixInputs: function (out)
+	{
+		out[0].fill(0);
+		out[1].fill(0);
+
+		this.mono = true;
+
+		for (let node of this.inputs.slice())
+		{
+			const data = node.pull();
+
+			for (let i = 0; i < BLOCK_SIZE; i++)
+			{
+				out[0][i] += data[0][i];
+				out[1][i] += data[1][i];
+			}
+
+			this.mono = this.mono && node.mono;
+		}
+	},
+
+	process: function (out)
+	{
+		this.mixInputs(out);
+	}
+});
+
+const GainNode = Node.extend
+({
+	className: "OfflineGainNode",
+
+	__ctor: function (context)
+	{
+		this._super.OfflineNode.__ctor(context);
+		this.gain = new Param(1);
+	},
+
+	process: function (out)
+	{
+		this.mixInputs(out);
+
+		const gain = this.gain.update(this.context.currentTime);
+
+		for (let i = 0; i < BLOCK_SIZE; i++)
+		{
+			out[0][i] *= gain;
+			out[1][i] *= gain;
+		}
+	}
+});
+
+const BufferSourceNode = Node.extend
+({
+	className: "OfflineBufferSourceNode",
+
+	buffer: null,
+	loop: false, loopStart: 0, loopEnd: 0,
+	onended: null,
+
+	started: false,
+	stopped: false,
+	position: 0,
+	startFrame: 0,
+
+	__ctor: function (context)
+	{
+		this._super.OfflineNode.__ctor(context);
+		this.playbackRate = new Param(1);
+	},
+
+	start: function (when=0, offset=0)
+	{
+		this.started = true;
+		this.startFrame = Math.round(when * this.context.sampleRate);
+		this.position = offset * this.buffer.sampleRate;
+	},
+
+	stop: function ()
+	{
+		if (!this.started || this.stopped) return;
+
+		this.stopped = true;
+		this.context.ended.push(this);
+	},
+
+	process: function (out)
+	{
+		out[0].fill(0);
+		out[1].fill(0);
+
+		const buffer = this.buffer;
+		if (!this.started || this.stopped || !buffer) return;
+
+		const left = buffer.getChannelData(0);
+		const right = buffer.numberOfChannels > 1 ? buffer.getChannelData(1) : left;
+
+		this.mono = left === right;
+
+		const step = this.playbackRate.update(this.context.currentTime) * buffer.sampleRate / this.context.sampleRate;
+		const loopStart = this.loopStart * buffer.sampleRate;
+		const loopEnd = this.loopEnd > this.loopStart ? Math.min(this.loopEnd * buffer.sampleRate, buffer.length) : buffer.length;
+
+		// Output starts at the frame given to `start`, or immediately if that time has already passed.
+		const first = Math.max(0, Math.min(BLOCK_SIZE, this.startFrame - this.context.frame));
+
+		for (let i = first; i < BLOCK_SIZE; i++)
+		{
+			if (this.loop && this.position >= loopEnd && loopEnd > loopStart)
+				this.position = loopStart + (this.position - loopEnd) % (loopEnd - loopStart);
+
+			if (this.position >= buffer.length)
+			{
+				this.stopped = true;
+				this.context.ended.push(this);
+				break;
+			}
+
+			const j = ~~this.position;
+			const k = j+1 < buffer.length ? j+1 : j;
+			const f = this.position - j;
+
+			out[0][i] = left[j] + (left[k] - left[j]) * f;
+			out[1][i] = right[j] + (right[k] - right[j]) * f;
+
+			this.position += step;
+		}
+	}
+});
+
+const StereoPannerNode = Node.extend
+({
+	className: "OfflineStereoPannerNode",
+
+	__ctor: function (context)
+	{
+		this._super.OfflineNode.__ctor(context);
+		this.pan = new Param(0);
+	},
+
+	// Equal-power panning as defined by WebAudio for mono and stereo inputs.
+	process: function (out)
+	{
+		this.mixInputs(out);
+
+		const pan = Math.max(-1, Math.min(1, this.pan.update(this.context.currentTime)));
+		const mono = this.mono;
+
+		this.mono = false;
+
+		if (mono)
+		{
+			const x = (pan + 1) / 2;
+			const gl = Math.cos(x * Math.PI / 2), gr = Math.sin(x * Math.PI / 2);
+
+			for (let i = 0; i < BLOCK_SIZE; i++)
+			{
+				out[0][i] *= gl;
+				out[1][i] *= gr;
+			}
+
+			return;
+		}
+
+		const x = pan <= 0 ? pan + 1 : pan;
+		const gl = Math.cos(x * Math.PI / 2), gr = Math.sin(x * Math.PI / 2);
+
+		for (let i = 0; i < BLOCK_SIZE; i++)
+		{
+			const l = out[0][i], r = out[1][i];
+
+			if (pan <= 0)
+			{
+				out[0][i] = l + r*gl;
+				out[1][i] = r*gr;
+			}
+			else
+			{
+				out[0][i] = l*gl;
+				out[1][i] = r + l*gr;
+			}
+		}
+	}
+});
+
+const BiquadFilterNode = Node.extend
+({
+	className: "OfflineBiquadFilterNode",
+
+	type: "lowpass",
+
+	__ctor: function (context)
+	{
+		this._super.OfflineNode.__ctor(context);
+
+		this.frequency = new Param(350);
+		this.Q = new Param(1);
+		this.gain = new Param(0);
+
+		this.state = [ [0, 0, 0, 0], [0, 0, 0, 0] ];
+	},
+
+	/**
+	**	Returns the normalized coefficients [b0, b1, b2, a1, a2] for the current parameters (RBJ cookbook), or null for pass-through.
+	*/
+	coefficients: function ()
+	{
+		const time = this.context.currentTime;
+		const w = 2 * Math.PI * Math.min(this.frequency.update(time), this.context.sampleRate / 2 - 1) / this.context.sampleRate;
+		const cos = Math.cos(w), sin = Math.sin(w);
+		const Q = this.Q.update(time);
+		const A = Math.pow(10, this.gain.update(time) / 40);
+
+		let alpha = sin / (2 * Math.max(Q, 0.0001));
+		let c;
+
+		switch (this.type)
+		{
+			case "lowpass":
+				alpha = sin / (2 * Math.pow(10, Q / 20));
+				c = [ (1-cos)/2, 1-cos, (1-cos)/2, 1+alpha, -2*cos, 1-alpha ];
+				break;
+
+			case "highpass":
+				alpha = sin / (2 * Math.pow(10, Q / 20));
+				c = [ (1+cos)/2, -(1+cos), (1+cos)/2, 1+alpha, -2*cos, 1-alpha ];
+				break;
+
+			case "bandpass":
+				c = [ alpha, 0, -alpha, 1+alpha, -2*cos, 1-alpha ];
+				break;
+
+			case "notch":
+				c = [ 1, -2*cos, 1, 1+alpha, -2*cos, 1-alpha ];
+				break;
+
+			case "peaking":
+				c = [ 1+alpha*A, -2*cos, 1-alpha*A, 1+alpha/A, -2*cos, 1-alpha/A ];
+				break;
+
+			default:
+				return null;
+		}
+
+		return [ c[0]/c[3], c[1]/c[3], c[2]/c[3], c[4]/c[3], c[5]/c[3] ];
+	},
+
+	process: function (out)
+	{
+		this.mixInputs(out);
+
+		const c = this.coefficients();
+		if (!c) return;
+
+		for (let ch = 0; ch < 2; ch++)
+		{
+			const s = this.state[ch];
+			const data = out[ch];
+
+			for (let i = 0; i < BLOCK_SIZE; i++)
+			{
+				const x = data[i];
+				const y = c[0]*x + c[1]*s[0] + c[2]*s[1] - c[3]*s[2] - c[4]*s[3];
+
+				s[1] = s[0]; s[0] = x;
+				s[3] = s[2]; s[2] = y;
+
+				data[i] = y;
+			}
+		}
+	}
+});
+
+const DynamicsCompressorNode = Node.extend
+({
+	className: "OfflineDynamicsCompressorNode",
+
+	envelope: 0,
+
+	__ctor: function (context)
+	{
+		this._super.OfflineNode.__ctor(context);
+
+		this.threshold = new Param(-24);
+		this.knee = new Param(30);
+		this.ratio = new Param(12);
+		this.attack = new Param(0.003);
+		this.release = new Param(0.25);
+	},
+
+	process: function (out)
+	{
+		this.mixInputs(out);
+
+		const time = this.context.currentTime;
+		const threshold = this.threshold.update(time);
+		const knee = this.knee.update(time);
+		const ratio = Math.max(1, this.ratio.update(time));
+		const attack = Math.exp(-1 / (Math.max(this.attack.update(time), 0.0001) * this.context.sampleRate));
+		const release = Math.exp(-1 / (Math.max(this.release.update(time), 0.0001) * this.context.sampleRate));
+
+		for (let i = 0; i < BLOCK_SIZE; i++)
+		{
+			const level = Math.max(Math.abs(out[0][i]), Math.abs(out[1][i]));
+			const db = 20 * Math.log10(level + 1e-9);
+			const over = db - threshold;
+
+			let reduction = 0;
+
+			if (2*over > knee)
+				reduction = threshold + over/ratio - db;
+			else if (knee > 0 && 2*Math.abs(over) <= knee)
+				reduction = (1/ratio - 1) * (over + knee/2) * (over + knee/2) / (2*knee);
+
+			const coef = reduction < this.envelope ? attack : release;
+			this.envelope = reduction + coef * (this.envelope - reduction);
+
+			const gain = Math.pow(10, this.envelope / 20);
+
+			out[0][i] *= gain;
+			out[1][i] *= gain;
+		}
+	}
+});
+
+/**
+**	Convolver using uniformly partitioned FFT convolution (partitions of BLOCK_SIZE frames).
+*/
+const ConvolverNode = Node.extend
+({
+	className: "OfflineConvolverNode",
+
+	buffer: null,
+	normalize: true,
+
+	prepared: null,
+	silentBlocks: 0,
+
+	prepare: function ()
+	{
+		const buffer = this.buffer;
+		const n = 2 * BLOCK_SIZE;
+		const count = Math.ceil(buffer.length / BLOCK_SIZE);
+
+		let scale = 1;
+
+		if (this.normalize)
+		{
+			let power = 0;
+
+			for (let c = 0; c < buffer.numberOfChannels; c++)
+				for (let v of buffer.getChannelData(c)) power += v*v;
+
+			power = Math.max(Math.sqrt(power / (buffer.numberOfChannels * buffer.length)), 0.000125);
+			scale = 0.00125 / power * (44100 / this.context.sampleRate);
+		}
+
+		this.filters = [];
+		this.channels = [];
+
+		for (let c = 0; c < Math.min(buffer.numberOfChannels, 2); c++)
+		{
+			const data = buffer.getChannelData(c);
+			const partitions = [];
+
+			for (let p = 0; p < count; p++)
+			{
+				const re = new Float64Array(n), im = new Float64Array(n);
+
+				for (let i = 0; i < BLOCK_SIZE && p*BLOCK_SIZE + i < data.length; i++)
+					re[i] = data[p*BLOCK_SIZE + i] * scale;
+
+				fft(re, im, false);
+				partitions.push({ re: re, im: im });
+			}
+
+			this.filters.push(partitions);
+		}
+
+		for (let c = 0; c < 2; c++)
+		{
+			const delayLine = [];
+
+			for (let p = 0; p < count; p++)
+				delayLine.push({ re: new Float64Array(n), im: new Float64Array(n) });
+
+			this.channels.push({ prev: new Float64Array(BLOCK_SIZE), delayLine: delayLine, index: 0 });
+		}
+
+		this.prepared = buffer;
+		this.silentBlocks = count;
+	},
+
+	process: function (out)
+	{
+		this.mixInputs(out);
+		this.mono = false;
+
+		if (!this.buffer)
+			return;
+
+		if (this.prepared !== this.buffer)
+			this.prepare();
+
+		const count = this.filters[0].length;
+		const silent = out[0].every(v => v == 0) && out[1].every(v => v == 0);
+
+		// The tail of the previous input was completely output.
+		this.silentBlocks = silent ? this.silentBlocks + 1 : 0;
+		if (this.silentBlocks > count)
+		{
+			out[0].fill(0);
+			out[1].fill(0);
+			return;
+		}
+
+		const n = 2 * BLOCK_SIZE;
+		const yre = new Float64Array(n), yim = new Float64Array(n);
+
+		for (let c = 0; c < 2; c++)
+		{
+			const state = this.channels[c];
+			const filter = this.filters[Math.min(c, this.filters.length-1)];
+			const x = state.delayLine[state.index];
+
+			x.re.fill(0);
+			x.im.fill(0);
+
+			x.re.set(state.prev, 0);
+			x.re.set(out[c], BLOCK_SIZE);
+			state.prev.set(out[c]);
+
+			fft(x.re, x.im, false);
+
+			yre.fill(0);
+			yim.fill(0);
+
+			for (let p = 0; p < count; p++)
+			{
+				const a = state.delayLine[(state.index - p + count) % count];
+				const h = filter[p];
+
+				for (let k = 0; k < n; k++)
+				{
+					yre[k] += a.re[k]*h.re[k] - a.im[k]*h.im[k];
+					yim[k] += a.re[k]*h.im[k] + a.im[k]*h.re[k];
+				}
+			}
+
+			fft(yre, yim, true);
+
+			for (let i = 0; i < BLOCK_SIZE; i++)
+				out[c][i] = yre[BLOCK_SIZE + i];
+
+			state.index = (state.index + 1) % count;
+		}
+	}
+});
+
+/**
+**	Pure-JS mixer compatible with the subset of AudioContext used by Sound.
+*/
+const Mixer = Class.extend
+({
+	className: "OfflineMixer",
+
+	sampleRate: 44100,
+	currentTime: 0,
+
+	frame: 0,
+	blockId: 0,
+
+	destination: null,
+	ended: null,
+	blocks: null,
+
+	timers: null,
+	timerId: 0,
+
+	__ctor: function (sampleRate)
+	{
+		this.sampleRate = sampleRate;
+
+		this.destination = new Node(this);
+		this.ended = [];
+		this.blocks = [];
+		this.timers = [];
+	},
+
+	createGain: function () { return new GainNode(this); },
+	createBufferSource: function () { return new BufferSourceNode(this); },
+	createStereoPanner: function () { return new StereoPannerNode(this); },
+	createBiquadFilter: function () { return new BiquadFilterNode(this); },
+	createDynamicsCompressor: function () { return new DynamicsCompressorNode(this); },
+	createConvolver: function () { return new ConvolverNode(this); },
+
+	createBuffer: function (numberOfChannels, length, sampleRate)
+	{
+		return createBuffer(numberOfChannels, length, sampleRate);
+	},
+
+	decodeAudioData: function (arrayBuffer)
+	{
+		return new Promise((resolve) =>
+		{
+			const wav = OfflineAudio.decodeWAV(arrayBuffer);
+			const buffer = createBuffer(wav.channels.length, wav.channels[0].length, wav.sampleRate);
+
+			wav.channels.forEach((data, i) => buffer.getChannelData(i).set(data));
+			resolve(buffer);
+		});
+	},
+
+	setInterval: function (fn, millis)
+	{
+		this.timers.push({ id: ++this.timerId, fn: fn, interval: Math.max(millis, 1), next: this.currentTime*1000 + millis });
+		return this.timerId;
+	},
+
+	clearInterval: function (id)
+	{
+		this.timers = this.timers.filter(timer => timer.id !== id);
+	},
+
+	/**
+	**	Executes the timers that are due.
+	*/
+	runTimers: function ()
+	{
+		const now = this.currentTime*1000;
+
+		for (let timer of this.timers.slice())
+		{
+			while (timer.next <= now && this.timers.indexOf(timer) != -1)
+			{
+				timer.next += timer.interval;
+				timer.fn();
+			}
+		}
+	},
+
+	/**
+	**	Renders a block of frames and advances the time.
+	*/
+	renderBlock: function ()
+	{
+		this.blockId++;
+
+		const out = this.destination.pull();
+		this.blocks.push([ out[0].slice(), out[1].slice() ]);
+
+		this.frame += BLOCK_SIZE;
+		this.currentTime = this.frame / this.sampleRate;
+
+		const ended = this.ended;
+		this.ended = [];
+
+		for (let node of ended)
+			if (node.onended) node.onended({ currentTarget: node, target: node });
+	},
+
+	/**
+	**	Renders the given number of seconds, the timers and the callback are executed every `step` seconds of simulated time.
+	*/
+	render: function (seconds, callback=null, step=1/60)
+	{
+		const end = this.frame + Math.round(seconds * this.sampleRate);
+		let next = this.frame;
+
+		while (this.frame < end)
+		{
+			if (this.frame >= next)
+			{
+				this.runTimers();
+				if (callback) callback(step, this.currentTime);
+
+				next += step * this.sampleRate;
+			}
+
+			this.renderBlock();
+		}
+	},
+
+	/**
+	**	Returns the rendered channels.
+	*/
+	getChannels: function ()
+	{
+		const channels = [ new Float32Array(this.frame), new Float32Array(this.frame) ];
+
+		this.blocks.forEach((block, i) =>
+		{
+			channels[0].set(block[0], i * BLOCK_SIZE);
+			channels[1].set(block[1], i * BLOCK_SIZE);
+		});
+
+		return channels;
+	}
+});
+
+const OfflineAudio =
+{
+	/**
+	**	Active mixer and the saved state of the audio engine.
+	*/
+	context: null,
+	saved: null,
+
+	/**
+	**	Starts the offline mode. Supported options: sampleRate (default 44100). Returns the mixer.
+	*/
+	start: function (options=null)
+	{
+		if (this.context)
+			throw new Error ("OfflineAudio: offline mode is already active.");
+
+		options = { sampleRate: 44100, ...options };
+
+		this.stopNodes();
+
+		const context = new Mixer(options.sampleRate);
+
+		this.saved = { audioContext: global.audioContext, now: Sound.now, setInterval: Sound.setInterval, clearInterval: Sound.clearInterval };
+		this.context = context;
+
+		global.audioContext = context;
+
+		Sound.now = () => context.currentTime * 1000;
+		Sound.setInterval = (fn, millis) => context.setInterval(fn, millis);
+		Sound.clearInterval = (id) => context.clearInterval(id);
+
+		this.resetBuses();
+		return context;
+	},
+
+	/**
+	**	Renders the given number of seconds of simulated time, the callback (dt, time) is executed every `step` seconds.
+	*/
+	render: function (seconds, callback=null, step=1/60)
+	{
+		if (!this.context)
+			throw new Error ("OfflineAudio: offline mode is not active.");
+
+		this.context.render(seconds, callback, step);
+		return this;
+	},
+
+	/**
+	**	Stops the offline mode restoring the audio engine, returns the rendered audio { sampleRate, channels }.
+	*/
+	stop: function ()
+	{
+		if (!this.context)
+			throw new Error ("OfflineAudio: offline mode is not active.");
+
+		const result = { sampleRate: this.context.sampleRate, channels: this.context.getChannels() };
+
+		this.stopNodes();
+
+		global.audioContext = this.saved.audioContext;
+
+		Sound.now = this.saved.now;
+		Sound.setInterval = this.saved.setInterval;
+		Sound.clearInterval = this.saved.clearInterval;
+
+		this.context = null;
+		this.saved = null;
+
+		this.resetBuses();
+		return result;
+	},
+
+	/**
+	**	Stops all active nodes of the audio engine.
+	*/
+	stopNodes: function ()
+	{
+		for (let node of Sound.active.slice())
+		{
+			if (node.timer)
+			{
+				Sound.clearInterval(node.timer);
+				node.timer = null;
+			}
+
+			node.callback = null;
+			Sound.stop(node, true);
+		}
+	},
+
+	/**
+	**	Removes the buses of the tracks (they are created again in the active audio context when needed).
+	*/
+	resetBuses: function ()
+	{
+		for (let name of Sound.tracks)
+			Sound[name].bus = null;
+
+		Sound.reverbNode = null;
+	},
+
+	/**
+	**	Encodes the rendered audio { sampleRate, channels } as a 16-bit PCM WAV file, returns an ArrayBuffer.
+	*/
+	encodeWAV: function (audio)
+	{
+		const channels = audio.channels;
+		const length = channels.length ? channels[0].length : 0;
+		const size = length * channels.length * 2;
+
+		const buffer = new ArrayBuffer(44 + size);
+		const view = new DataView(buffer);
+
+		const writeString = (offset, str) => { for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i)); };
+
+		writeString(0, "RIFF");
+		view.setUint32(4, 36 + size, true);
+		writeString(8, "WAVE");
+		writeString(12, "fmt ");
+		view.setUint32(16, 16, true);
+		view.setUint16(20, 1, true);
+		view.setUint16(22, channels.length, true);
+		view.setUint32(24, audio.sampleRate, true);
+		view.setUint32(28, audio.sampleRate * channels.length * 2, true);
+		view.setUint16(32, channels.length * 2, true);
+		view.setUint16(34, 16, true);
+		writeString(36, "data");
+		view.setUint32(40, size, true);
+
+		let offset = 44;
+
+		for (let i = 0; i < length; i++)
+		{
+			for (let c = 0; c < channels.length; c++)
+			{
+				const s = Math.max(-1, Math.min(1, channels[c][i]));
+				view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+				offset += 2;
+			}
+		}
+
+		return buffer;
+	},
+
+	/**
+	**	Decodes a PCM (8, 16, 24 or 32 bits) or float (32 bits) WAV file, returns { sampleRate, channels }.
+	*/
+	decodeWAV: function (arrayBuffer)
+	{
+		const view = new DataView(arrayBuffer);
+		const readString = (offset, length) => String.fromCharCode(...new Uint8Array(arrayBuffer, offset, length));
+
+		if (arrayBuffer.byteLength < 12 || readString(0, 4) != "RIFF" || readString(8, 4) != "WAVE")
+			throw new Error ("OfflineAudio: invalid WAV file.");
+
+		let format = null;
+		let offset = 12;
+
+		while (offset + 8 <= arrayBuffer.byteLength)
+		{
+			const id = readString(offset, 4);
+			const size = view.getUint32(offset + 4, true);
+
+			offset += 8;
+
+			if (id == "fmt ")
+			{
+				format = {
+					type: view.getUint16(offset, true),
+					channels: view.getUint16(offset + 2, true),
+					sampleRate: view.getUint32(offset + 4, true),
+					bits: view.getUint16(offset + 14, true)
+				};
+			}
+			else if (id == "data")
+			{
+				if (!format)
+					throw new Error ("OfflineAudio: invalid WAV file (data before format).");
+
+				if ((format.type != 1 && format.type != 3) || (format.type == 3 && format.bits != 32))
+					throw new Error ("OfflineAudio: unsupported WAV format (" + format.type + "/" + format.bits + ").");
+
+				const bytes = format.bits / 8;
+				const length = ~~(Math.min(size, arrayBuffer.byteLength - offset) / (bytes * format.channels));
+				const channels = [];
+
+				for (let c = 0; c < format.channels; c++)
+					channels.push(new Float32Array(length));
+
+				for (let i = 0, p = offset; i < length; i++)
+				{
+					for (let c = 0; c < format.channels; c++, p += bytes)
+					{
+						let value;
+
+						if (format.type == 3)
+							value = view.getFloat32(p, true);
+						else if (bytes == 1)
+							value = (view.getUint8(p) - 128) / 128;
+						else if (bytes == 2)
+							value = view.getInt16(p, true) / 32768;
+						else if (bytes == 3)
+							value = ((view.getUint8(p+2) << 24 | view.getUint8(p+1) << 16 | view.getUint8(p) << 8) >> 8) / 8388608;
+						else
+							value = view.getInt32(p, true) / 2147483648;
+
+						channels[c][i] = value;
+					}
+				}
+
+				return { sampleRate: format.sampleRate, channels: channels };
+			}
+
+			offset += size + (size & 1);
+		}
+
+		throw new Error ("OfflineAudio: invalid WAV file (no data).");
+	},
+
+	Mixer: Mixer
+};
+
+export default OfflineAudio;
@@ -23,6 +23,172 @@ export default Resources;
 
 import * as Wrappers from './wrappers.js';
 
+/**
+**	Returns the list of sources of a resource with a sequence pattern in the `src` attribute (i.e. "snd-##.wav").
+*/
+const sequence = function (r)
+{
+	var d0 = r.src.indexOf("#");
+	var d1 = r.src.lastIndexOf("#");
+	var dN = d1 - d0 + 1;
+
+	if (d0 == -1)
+		throw new Error ("The 'src' attribute requires one or more '#' marks.");
+
+	if (!r.count)
+		throw new Error ("The 'count' attribute was not found.");
+
+	var list = [ ];
+
+	for (var i = 0; i < r.count; i++)
+		list.push (r.src.substr(0, d0) + (i / Math.pow(10,dN)).toFixed(dN).substr(2) + r.src.substr(d1+1));
+
+	return list;
+};
+
+/**
+**	Returns a handler for the progress event of a request that reports the fraction of bytes received (multiplied by the given scale).
+*/
+const bytesProgress = function (progress, scale=1)
+{
+	return function (e) {
+		if (e.lengthComputable && e.total) progress (scale * e.loaded / e.total);
+	};
+};
+
+/**
+**	Deletes the texture of an image prepared for WebGL rendering.
+*/
+const releaseImage = function (image)
+{
+	if (image && image.gl_texture && System.displayBuffer)
+		System.displayBuffer.releaseImage(image);
+};
+
+/**
+**	Loads an image into the `data` field of the resource and applies the sizing rules of image resources (scale, width, height, original
+**	and pixelated attributes).
+*/
+const loadImage = function (r, url, pixelated)
+{
+	return new Promise ((resolve, reject) =>
+	{
+		const data = new Image ();
+
+		data.onload = function ()
+		{
+			try
+			{
+				r.data = data;
+
+				var ratio = r.data.width / r.data.height;
+
+				if (r.scale)
+				{
+					r.width = ~~(r.data.width*r.scale);
+					r.height = ~~(r.data.height*r.scale);
+				}
+
+				if (!r.width && !r.height)
+				{
+					r.width = r.data.width;
+					r.height = r.data.height;
+				}
+				else if (r.width && !r.height)
+				{
+					r.height = int(r.width / ratio);
+				}
+				else if (!r.width && r.height)
+				{
+					r.width = int(ratio * r.height);
+				}
+
+				r.owidth = r.data.width;
+				r.oheight = r.data.height;
+
+				if (r.data.width != r.width || r.data.height != r.height || (r.original !== true && System.scaleFactor != 1))
+				{
+					if (r.original === true)
+						r.data = Resources.resizeImage (r, r.width, r.height, pixelated, true);
+					else
+						r.data = Resources.resizeImage (r, r.width * (pixelated ? System.integerScaleFactor : System.scaleFactor), r.height * (pixelated ? System.integerScaleFactor : System.scaleFactor), pixelated, true);
+				}
+
+				r.rscale = r.data.width / r.width;
+
+				// Used to prevent a delay when rendering an image for the first time on some browsers.
+				System.tempDisplayBuffer.drawImage(r.data, 0, 0);
+
+				System.displayBuffer.prepareImage(r.data);
+				resolve (r);
+			}
+			catch (err) {
+				reject (err);
+			}
+		};
+
+		data.onerror = function () {
+			reject (new Error ("Unable to load image: " + url));
+		};
+
+		data.src = url;
+	});
+};
+
+/**
+**	Loads an audio resource using the best available engine (NativeAudio for sfx, WebAudio or HTML5 audio).
+*/
+const loadAudio = function (r, nativeId, progress)
+{
+	if (!r.track) r.track = "sfx";
+
+	return new Promise ((resolve, reject) =>
+	{
+		if (global.plugins && global.plugins.NativeAudio && r.track == "sfx")
+		{
+			r.engine = Wrappers.Sound.ENGINE_NATIVEAUDIO;
+			r.data = nativeId;
+
+			global.plugins.NativeAudio.preloadSimple(r.data, r.src,
+				() => resolve(r),
+				(e) => reject(new Error ("Unable to load (sfx): " + r.src + " " + e))
+			);
+
+			return;
+		}
+
+		if (global.audioContext)
+		{
+			r.engine = Wrappers.Sound.ENGINE_WEBAUDIO;
+
+			fetchd (Resources.url(r.src, r), { onprogress: progress ? bytesProgress(progress) : null })
+			.then (arrayBuffer => audioContext.decodeAudioData(arrayBuffer))
+			.then (audioBuffer => {
+				r.data = audioBuffer;
+				resolve(r);
+			})
+			.catch (err => reject(err instanceof Error ? err : new Error ("Unable to load audio: " + r.src + " " + err)));
+
+			return;
+		}
+
+		r.data = new Audio ();
+		r.engine = Wrappers.Sound.ENGINE_HTML5;
+
+		r.data.oncanplaythrough = function ()
+		{
+			r.data.oncanplaythrough = null;
+			resolve(r);
+		};
+
+		r.data.onerror = function () {
+			reject(new Error ("Unable to load audio: " + r.src));
+		};
+
+		r.data.src = Resources.url(r.src, r);
+	});
+};
+
 /**
 **	Provides functionality to load and manipulate resources (images, audio, etc).
 */
@@ -49,380 +215,423 @@ Object.assign(Resources,
 			Object.assign(this, opts);
 	},
 
+	/**
+	**	Cache busting policy used when building resource URLs. When `false` URLs are not changed, when `true` a random value is appended
+	**	to every URL, and when a string is provided it is appended as a version tag (i.e. "?v=1.2.0"). Can be overriden per resource with
+	**	the `cacheBusting` attribute.
+	*/
+	cacheBusting: false,
+
+	/**
+	**	Maximum number of resources loaded in parallel.
+	*/
+	concurrency: 4,
+
+	/**
+	**	Number of times a failed resource is retried before giving up.
+	*/
+	retries: 2,
+
+	/**
+	**	Delay in milliseconds before retrying a failed resource, multiplied by the attempt number.
+	*/
+	retryDelay: 500,
+
 	/**
 	**	Loads a list of resources. The list parameter is a map with elements as shown in the example below,
-	**	the callback can be optionally specified and it will be called with the index of the element being
-	**	loaded and the total number of elements to load.
+	**	the callback can be optionally specified and it will be called with the number of elements loaded,
+	**	the total number of elements to load and the loading progress (0 to 1).
 	**
 	**	{ type: "image", wrapper: "", src: "assets/ui/btn-left.png", width: 64, [ height: 64 ], scale: 1, pixelated: false, original: false }
 	**	{ type: "images", wrapper: "", src: "assets/ui/##.png", count: 16, width: 64, [ height: 64 ], pixelated: false }
 	**	{ type: "audio", wrapper: "", src: "assets/ui/tap.wav" }
 	**	{ type: "audios", wrapper: "", src: "assets/ui/snd-##.wav", count: 4 }
+	**	{ type: "synth", wrapper: "", wave: "square", frequency: 440, ... } (see Synth)
 	**	{ type: "json", wrapper: "", src: "assets/config.json" }
+	**	{ type: "timeline", wrapper: "Timeline", src: "assets/anims/intro.json" } (see Timeline)
+	**	{ type: "atlas", wrapper: "", src: "assets/sprites.json", [ image: "assets/sprites.png" ], scale: 1 }
+	**	{ type: "bmfont", wrapper: "", src: "assets/font.fnt", scale: 1 }
 	**	{ type: "object", wrapper: "" }
+	**
+	**	Any element can additionally have a `weight` (relative cost used to report progress, defaults to the number of files) and a
+	**	`cacheBusting` attribute. When loading fails the errorCallback is called with the error (see loadAsync), if not provided the error
+	**	is reported in the console and the completeCallback is called anyway. Returns the promise of `loadAsync`.
+	**
+	**	>> Promise load (object list, function callback, function completeCallback, function errorCallback);
 	*/
-	load: function (list, callback, completeCallback, keyList, index)
+	load: function (list, callback, completeCallback, errorCallback)
 	{
-		if (!keyList)
-		{
-			keyList = Object.keys(list);
-			list.__original = Rin.clone(list);
-			index = 0;
-		}
+		const promise = this.loadAsync (list, {
+			onProgress: callback ? (progress, loaded, total) => callback (loaded, total, progress) : null
+		});
 
-		if (callback) callback (index, keyList.length, index / keyList.length);
-
-		if (index == keyList.length)
+		promise.then (list =>
 		{
 			if (completeCallback) completeCallback(list);
-			return;
-		}
+		},
+		err =>
+		{
+			if (errorCallback) {
+				errorCallback(err);
+				return;
+			}
 
-		var r = list[keyList[index]];
+			console.error ("Error: " + err.message);
+			if (completeCallback) completeCallback(list);
+		});
 
-		r.resName = keyList[index];
+		return promise;
+	},
 
-		switch (r.type)
-		{
-			// *********************
-			case "image":
-				r.data = new Image ();
+	/**
+	**	Loads a list of resources (see `load`) and returns a promise resolved with the list when all of them have been loaded. Resources
+	**	are loaded in parallel, failed resources are retried and when some of them cannot be loaded the promise is rejected with an error
+	**	having a `failed` field (array of { name, error }) and a `list` field. Options:
+	**
+	**	{ concurrency: int, retries: int, retryDelay: int, onProgress: function (float progress, int loaded, int total, string name) }
+	**
+	**	The progress is weighted using the `weight` of each resource, and uses the bytes received when the size is available.
+	**
+	**	>> Promise loadAsync (object list, object options=null);
+	*/
+	loadAsync: function (list, options=null)
+	{
+		const opts = { concurrency: this.concurrency, retries: this.retries, retryDelay: this.retryDelay, onProgress: null, ...options };
 
-				r.data.onload = function ()
-				{
-					var ratio = r.data.width / r.data.height;
+		const keyList = Object.keys(list).filter(name => name != "__original");
+		list.__original = Rin.clone(list);
 
-					if (r.scale)
-					{
-						r.width = ~~(r.data.width*r.scale);
-						r.height = ~~(r.data.height*r.scale);
-					}
+		const total = keyList.length;
+		const weights = { };
+		const fractions = { };
 
-					if (!r.width && !r.height)
-					{
-						r.width = r.data.width;
-						r.height = r.data.height;
-					}
-					else if (r.width && !r.height)
-					{
-						r.height = int(r.width / ratio);
-					}
-					else if (!r.width && r.height)
-					{
-						r.width = int(ratio * r.height);
-					}
+		let totalWeight = 0;
+		let loaded = 0;
+		let failed = [];
 
-					r.owidth = r.data.width;
-					r.oheight = r.data.height;
+		for (let name of keyList)
+		{
+			const r = list[name];
 
-					if (r.pixelated === null || !r.hasOwnProperty('pixelated'))
-						r.pixelated = Resources.pixelated;
+			r.resName = name;
 
-					if (r.data.width != r.width || r.data.height != r.height || (r.original !== true && System.scaleFactor != 1))
-					{
-						if (r.original === true)
-							r.data = Resources.resizeImage (r, r.width, r.height, r.pixelated, true);
-						else
-							r.data = Resources.resizeImage (r, r.width * (r.pixelated ? System.integerScaleFactor : System.scaleFactor), r.height * (r.pixelated ? System.integerScaleFactor : System.scaleFactor), r.pixelated, true);
-					}
+			weights[name] = r.weight || r.count || 1;
+			fractions[name] = 0;
 
-					r.rscale = r.data.width / r.width;
+			totalWeight += weights[name];
+		}
 
-					// Used to prevent a delay when rendering an image for the first time on some browsers.
-					System.tempDisplayBuffer.drawImage(r.data, 0, 0);
+		const report = function (name)
+		{
+			if (!opts.onProgress) return;
 
-					System.displayBuffer.prepareImage(r.data);
-					Resources.onLoaded (list, keyList[index]);
+			let value = 0;
+			for (let i of keyList) value += weights[i] * fractions[i];
 
-					Resources.load (list, callback, completeCallback, keyList, index+1);
-				};
+			opts.onProgress (totalWeight ? value / totalWeight : 1, loaded, total, name);
+		};
 
-				r.data.onerror = function () {
-					console.error ("Error: Unable to load: " + r.resName);
-				};
+		const loadOne = function (name, attempt)
+		{
+			const r = list[name];
 
-				r.data.src = r.src + "?r=" + Math.random();
-				break;
+			const progress = function (value)
+			{
+				fractions[name] = Math.max(0, Math.min(1, value));
+				report (name);
+			};
 
-			// *********************
-			case "images":
+			if (!(r.type in Resources.loaders))
+				return Promise.reject (new Error ("Unknown resource type: " + r.type));
 
-				var src = r.src;
+			// The loader runs inside the chain so that a synchronous throw is retried like a rejection.
+			return Promise.resolve().then (() => Resources.loaders[r.type](r, progress)).catch (err =>
+			{
+				if (attempt >= opts.retries)
+					throw err;
 
-				var d0 = src.indexOf("#");
-				var d1 = src.lastIndexOf("#");
-				var dN = d1 - d0 + 1;
+				fractions[name] = 0;
 
-				if (d0 == -1)
-				{
-					console.error ("Unable to load: " + r.resName + "\nError: The 'src' attribute requires one or more '#' marks.");
-					return;
-				}
+				return new Promise (resolve => setTimeout(resolve, opts.retryDelay * (attempt + 1)))
+				.then (() => loadOne (name, attempt + 1));
+			});
+		};
 
-				if (!r.count)
-				{
-					console.error ("Unable to load: " + r.resName + "\nError: The 'count' attribute was not found.");
-					return;
-				}
+		let next = 0;
 
-				r._i = 0;
-				r.data = [ ];
+		const worker = function ()
+		{
+			if (next == keyList.length)
+				return Promise.resolve();
 
-				var cb = function ()
-				{
-					if (r._i == r.count)
-					{
-						Resources.onLoaded (list, keyList[index]);
-						Resources.load (list, callback, completeCallback, keyList, index + 1);
-						return;
-					}
+			const name = keyList[next++];
 
-					var tmp = { type: "image", width: r.width, height: r.height, scale: r.scale };
+			return loadOne (name, 0).then (() =>
+			{
+				Resources.onLoaded (list, name);
+			},
+			err =>
+			{
+				failed.push ({ name: name, error: err });
+			})
+			.then (() =>
+			{
+				loaded++;
+				fractions[name] = 1;
+				report (name);
 
-					tmp.src = r.src.substr(0, d0) + ((r._i++) / Math.pow(10,dN)).toFixed(dN).substr(2) + r.src.substr(d1+1);
-					tmp.data = new Image ();
-					tmp.resName = r.resName + "#" + (r._i - 1);
+				return worker();
+			});
+		};
 
-					tmp.data.onload = function ()
-					{
-						var ratio = tmp.data.width / tmp.data.height;
+		report (null);
 
-						if (tmp.scale)
-						{
-							tmp.width = ~~(tmp.data.width*tmp.scale);
-							tmp.height = ~~(tmp.data.height*tmp.scale);
-						}
+		let workers = [];
+		for (let i = 0; i < Math.max(1, opts.concurrency); i++)
+			workers.push (worker());
 
-						if (!tmp.width && !tmp.height)
-						{
-							tmp.width = tmp.data.width;
-							tmp.height = tmp.data.height;
-						}
-						else if (tmp.width && !tmp.height)
-						{
-							tmp.height = int(tmp.width / ratio);
-						}
-						else if (!tmp.width && tmp.height)
-						{
-							tmp.width = int(ratio * tmp.height);
-						}
+		return Promise.all (workers).then (() =>
+		{
+			if (!failed.length)
+				return list;
 
-						if (r._i == 1)
-						{
-							r.owidth = tmp.data.width;
-							r.oheight = tmp.data.height;
-						}
+			const err = new Error ("Unable to load resources: " + failed.map(i => i.name).join(", "));
+			err.failed = failed.map(i => ({ name: i.name, error: i.error }));
+			err.list = list;
 
-						if (tmp.data.width != tmp.width || tmp.data.height != tmp.height || (tmp.original !== true && System.scaleFactor != 1))
-						{
-							if (r.pixelated === null || !r.hasOwnProperty('pixelated'))
-								r.pixelated = Resources.pixelated;
+			throw err;
+		});
+	},
 
-							if (tmp.original === true)
-								tmp.data = Resources.resizeImage (tmp, tmp.width, tmp.height, r.pixelated, true);
-							else
-								tmp.data = Resources.resizeImage (tmp, tmp.width * (r.pixelated ? System.integerScaleFactor : System.scaleFactor), tmp.height * (r.pixelated ? System.integerScaleFactor : System.scaleFactor), r.pixelated, true);
-						}
+	/**
+	**	Returns the URL with the cache busting policy applied (see `cacheBusting`).
+	**
+	**	>> string url (string src, object r=null);
+	*/
+	url: function (src, r=null)
+	{
+		const policy = r && 'cacheBusting' in r ? r.cacheBusting : this.cacheBusting;
 
-						tmp.rscale = tmp.data.width / tmp.width;
+		if (policy === false || policy === null || policy === undefined)
+			return src;
 
-						if (r._i == 1)
-						{
-							r.width = tmp.width;
-							r.height = tmp.height;
-							r.rscale = tmp.rscale;
-						}
+		return src + (src.indexOf('?') == -1 ? '?' : '&') + (policy === true ? 'r=' + Math.random() : 'v=' + encodeURIComponent(policy));
+	},
 
-						System.tempDisplayBuffer.drawImage(tmp.data, 0, 0);
-						System.displayBuffer.prepareImage(tmp.data);
+	/**
+	**	Loaders for each resource type. Each loader receives the resource descriptor and a progress function (accepts a value from 0 to 1),
+	**	and returns a promise that is resolved when the `data` field of the resource has been loaded. Additional types can be registered.
+	*/
+	loaders:
+	{
+		image: function (r, progress)
+		{
+			if (r.pixelated === null || !r.hasOwnProperty('pixelated'))
+				r.pixelated = Resources.pixelated;
 
-						r.data.push(tmp);
-						cb();
-					};
+			return loadImage (r, Resources.url(r.src, r), r.pixelated);
+		},
 
-					tmp.data.onerror = function () {
-						console.error("Error: Unable to load: " + tmp.resName);
-					};
+		images: function (r, progress)
+		{
+			const list = sequence (r);
 
-					tmp.data.src = tmp.src + "?r=" + Math.random();
-				};
+			if (r.pixelated === null || !r.hasOwnProperty('pixelated'))
+				r.pixelated = Resources.pixelated;
 
-				cb();
-				break;
+			r.data = [ ];
 
-			case "audio":
+			const loadNext = function (i)
+			{
+				if (i == list.length)
+					return Promise.resolve(r);
 
-				if (!r.track) r.track = "sfx";
+				var tmp = { type: "image", width: r.width, height: r.height, scale: r.scale, src: list[i], resName: r.resName + "#" + i };
 
-				if (global.plugins && global.plugins.NativeAudio && r.track == "sfx")
+				return loadImage (tmp, Resources.url(tmp.src, r), r.pixelated).then (() =>
 				{
-					r.engine = Wrappers.Sound.ENGINE_NATIVEAUDIO;
-					r.data = "snd_" + index;
-
-					global.plugins.NativeAudio.preloadSimple(r.data, r.src,
-						function() {
-							Resources.onLoaded (list, keyList[index]);
-							Resources.load (list, callback, completeCallback, keyList, index + 1);		
-						},
-						function(e) {
-							console.error("Error: Unable to load (sfx): " + r.resName + "\n" + e);
-						}
-					);
+					if (i == 0)
+					{
+						r.owidth = tmp.owidth;
+						r.oheight = tmp.oheight;
 
-					break;
-				}
+						r.width = tmp.width;
+						r.height = tmp.height;
+						r.rscale = tmp.rscale;
+					}
 
-				if (global.audioContext)
-				{
-					r.engine = Wrappers.Sound.ENGINE_WEBAUDIO;
-
-					fetchAudioBuffer (r.src + "?r=" + Math.random())
-					.then (audioBuffer => {
-						r.data = audioBuffer;
-						Resources.onLoaded (list, keyList[index]);
-						Resources.load (list, callback, completeCallback, keyList, index + 1);		
-					})
-					.catch (err => {
-						console.error("Error: Unable to load: " + r.resName);
-					});
+					r.data.push(tmp);
+					progress ((i + 1) / list.length);
 
-					break;
-				}
+					return loadNext (i + 1);
+				});
+			};
 
-				r.data = new Audio ();
-				r.engine = Wrappers.Sound.ENGINE_HTML5;
+			return loadNext (0);
+		},
 
-				r.data.oncanplaythrough = function ()
-				{
-					Resources.onLoaded (list, keyList[index]);
-					Resources.load (list, callback, completeCallback, keyList, index + 1);
-				};
+		audio: function (r, progress)
+		{
+			return loadAudio (r, "snd_" + r.resName, progress);
+		},
+
+		audios: function (r, progress)
+		{
+			const list = sequence (r);
+
+			r.data = [ ];
 
-				r.data.onerror = function ()
+			const loadNext = function (i)
+			{
+				if (i == list.length)
+					return Promise.resolve(r);
+
+				var tmp = { type: "audio", track: r.track, src: list[i], resName: r.resName + "#" + i, cacheBusting: r.cacheBusting };
+
+				return loadAudio (tmp, "snd_" + r.resName + "_" + i, null).then (() =>
 				{
-					console.error("Error: Unable to load: " + r.resName);
-				};
+					r.data.push(tmp);
+					progress ((i + 1) / list.length);
 
-				r.data.src = r.src + "?r=" + Math.random();
-				break;
+					return loadNext (i + 1);
+				});
+			};
 
-			case "audios":
+			return loadNext (0);
+		},
 
-				var src = r.src;
+		synth: function (r, progress)
+		{
+			if (!global.audioContext)
+				return Promise.reject(new Error ("Unable to render synth (WebAudio is not available): " + r.resName));
 
-				var d0 = src.indexOf("#");
-				var d1 = src.lastIndexOf("#");
-				var dN = d1 - d0 + 1;
+			if (!r.track) r.track = "sfx";
 
-				if (d0 == -1)
-				{
-					console.error ("Unable to load: " + r.resName + "\nError: The 'src' attribute requires one or more '#' marks.");
-					return;
-				}
+			r.engine = Wrappers.Sound.ENGINE_WEBAUDIO;
+			r.data = Wrappers.Synth.createBuffer(r, audioContext);
 
-				if (!r.count)
-				{
-					console.error ("Unable to load: " + r.resName + "\nError: The 'count' attribute was not found.");
-					return;
-				}
+			return Promise.resolve(r);
+		},
 
-				r._i = 0;
-				r.data = [ ];
+		json: function (r, progress)
+		{
+			return fetchd (Resources.url(r.src, r), { responseType: 'json', onprogress: bytesProgress(progress) }).then (json =>
+			{
+				r.data = json;
+				return r;
+			});
+		},
 
-				var cb = function ()
-				{
-					if (r._i == r.count)
-					{
-						Resources.onLoaded (list, keyList[index]);
-						Resources.load (list, callback, completeCallback, keyList, index + 1);
-						return;
-					}
+		timeline: function (r, progress)
+		{
+			if (!r.src)
+			{
+				if (!r.data) return Promise.reject(new Error ("Timeline has no 'src' or 'data' attribute: " + r.resName));
+				return Promise.resolve(r);
+			}
+
+			return fetchd (Resources.url(r.src, r), { responseType: 'json', onprogress: bytesProgress(progress) }).then (json =>
+			{
+				r.data = json;
+				return r;
+			});
+		},
 
-					var tmp = { type: "audio", track: r.track };
+		atlas: function (r, progress)
+		{
+			return fetchd (Resources.url(r.src, r), { responseType: 'json', onprogress: bytesProgress(progress, 0.5) }).then (json =>
+			{
+				if (!json || !json.frames)
+					throw new Error ("The descriptor has no 'frames' attribute: " + r.src);
 
-					tmp.src = r.src.substr(0, d0) + ((r._i++) / Math.pow(10,dN)).toFixed(dN).substr(2) + r.src.substr(d1+1);
-					tmp.resName = r.resName + "#" + (r._i - 1);
+				var src = r.image || (json.meta && json.meta.image);
+				if (!src)
+					throw new Error ("The 'image' attribute was not found: " + r.src);
 
-					if (!tmp.track) tmp.track = "sfx";
+				// Paths in the descriptor without a scheme or leading slash are relative to the descriptor.
+				if (!r.image && !/^([a-z][a-z0-9+.-]*:|\/)/i.test(src))
+					src = r.src.substr(0, r.src.lastIndexOf('/') + 1) + src;
 
-					if (global.plugins && global.plugins.NativeAudio && tmp.track == "sfx")
-					{
-						tmp.engine = Wrappers.Sound.ENGINE_NATIVEAUDIO;
-						tmp.data = "snd_" + index + "_" + r._i;
-	
-						global.plugins.NativeAudio.preloadSimple(tmp.data, tmp.src,
-							function() {
-								r.data.push(tmp);
-								cb();
-							},
-							function(e) {
-								console.error("Error: Unable to load (sfx): " + tmp.resName + "\n" + e);
-							}
-						);
-
-						return;
-					}
+				return new Promise ((resolve, reject) =>
+				{
+					const data = new Image ();
 
-					if (global.audioContext)
+					data.onload = function ()
 					{
-						tmp.engine = Wrappers.Sound.ENGINE_WEBAUDIO;
-
-						fetchAudioBuffer (tmp.src + "?r=" + Math.random())
-						.then (audioBuffer => {
-							tmp.data = audioBuffer;
-							r.data.push(tmp);
-							cb();
-						})
-						.catch (err => {
-							console.error("Error: Unable to load: " + tmp.resName);
-						});
-
-						return;
-					}
+						try
+						{
+							r.data = data;
+							Wrappers.Atlas.parse (r, json);
 
-					tmp.data = new Audio ();
-					tmp.engine = Wrappers.Sound.ENGINE_HTML5;
+							System.tempDisplayBuffer.drawImage(r.data, 0, 0);
+							System.displayBuffer.prepareImage(r.data);
 
-					tmp.data.oncanplaythrough = function ()
-					{
-						r.data.push(tmp);
-						cb();
+							resolve (r);
+						}
+						catch (err) {
+							reject (err);
+						}
 					};
 
-					tmp.data.onerror = function ()
-					{
-						console.error("Error: Unable to load: " + tmp.resName);
+					data.onerror = function () {
+						reject (new Error ("Unable to load image: " + src));
 					};
 
-					tmp.data.src = tmp.src + "?r=" + Math.random();
-				};
-
-				cb();
+					data.src = Resources.url(src, r);
+				});
+			});
+		},
 
-				break;
+		bmfont: function (r, progress)
+		{
+			return fetchd (Resources.url(r.src, r), { responseType: 'text', onprogress: bytesProgress(progress, 0.5) }).then (text =>
+			{
+				r.font = Wrappers.SpriteFont.parse (text);
+				r.pages = [ ];
 
-			case "json":
+				const path = r.src.substr(0, r.src.lastIndexOf('/') + 1);
 
-				fetchd (r.src + "?r=" + Math.random(), { responseType: 'json' }).then(function(json)
+				return Promise.all (r.font.pages.map((file, index) => new Promise ((resolve, reject) =>
 				{
-					r.data = json;
+					const data = new Image ();
 
-					Resources.onLoaded (list, keyList[index]);
-					Resources.load (list, callback, completeCallback, keyList, index + 1);
-				})
-				.catch(function(err)
-				{
-					console.error("Error: Unable to load: " + r.resName + ". Error: " + err);
-				});
+					data.onload = function ()
+					{
+						try
+						{
+							r.pages[index] = data;
 
-				break;
+							System.tempDisplayBuffer.drawImage(data, 0, 0);
+							System.displayBuffer.prepareImage(data);
+
+							resolve (data);
+						}
+						catch (err) {
+							reject (err);
+						}
+					};
 
-			case "object":
-				r.data = { };
+					data.onerror = function () {
+						reject (new Error ("Unable to load image: " + path + file));
+					};
 
-				Resources.onLoaded (list, keyList[index]);
-				Resources.load (list, callback, completeCallback, keyList, index + 1);
-				break;
+					data.src = Resources.url(path + file, r);
+				})));
+			})
+			.then (() =>
+			{
+				r.data = r.pages[0];
+				r.width = r.data.width * (r.scale || 1);
+				r.height = r.data.height * (r.scale || 1);
+
+				return r;
+			});
+		},
+
+		object: function (r, progress)
+		{
+			r.data = { };
+			return Promise.resolve(r);
 		}
 	},
 
@@ -442,40 +651,245 @@ Object.assign(Resources,
 				continue;
 			}
 
-			if (list[i].r)
+			this.release (list[i]);
+			delete list[i];
+		}
+
+		for (var i in __original)
+			list[i] = __original[i];
+	},
+
+	/**
+	**	Releases the data of a loaded resource (or its wrapper), including the textures created for images in WebGL mode.
+	**
+	**	>> void release (object r);
+	*/
+	release: function (r)
+	{
+		if (r.r)
+		{
+			dispose(r);
+			r = r.r;
+		}
+
+		if (r.wrapper instanceof Wrappers.SpriteFont)
+			r.wrapper.clearTintCache();
+
+		if (!r.data) return;
+
+		switch (r.type)
+		{
+			case "audio":
+				// violet: unload audio if using NativeAudio
+				// global.plugins.NativeAudio.unload
+				break;
+
+			case "audios":
+				// violet: unload audio if using NativeAudio
+				// global.plugins.NativeAudio.unload
+				break;
+
+			case "images":
+				for (var j = 0; j < r.data.length; j++)
+				{
+					releaseImage (r.data[j].data);
+					dispose (r.data[j]);
+				}
+
+				break;
+
+			case "image":
+			case "atlas":
+				releaseImage (r.data);
+				dispose (r.data);
+				break;
+
+			case "bmfont":
+				for (var j = 0; j < r.pages.length; j++)
+				{
+					releaseImage (r.pages[j]);
+					dispose (r.pages[j]);
+				}
+
+				r.pages = null;
+				break;
+
+			default:
+				dispose (r.data);
+				break;
+		}
+
+		r.data = null;
+	},
+
+	/**
+	**	Loaded bundles, map of bundle names to bundle state objects.
+	*/
+	bundles: { },
+
+	/**
+	**	Resources loaded by bundles, map of resource keys (see `resourceKey`) to { resource, refs, promise }.
+	*/
+	cache: { },
+
+	/**
+	**	Returns the key used to identify equivalent resources across bundles, resources with the same descriptor are loaded only once.
+	**
+	**	>> string resourceKey (object r);
+	*/
+	resourceKey: function (r)
+	{
+		return JSON.stringify(r);
+	},
+
+	/**
+	**	Loads a named bundle of resources (same list format as `load`), returns a promise resolved with the map of loaded resources. Resources
+	**	already loaded by other bundles are shared and reference-counted. Loading a bundle that is already loaded (or loading) returns the
+	**	same promise. When some resources fail to load, the bundle is released and the promise is rejected with the error of `loadAsync`. If
+	**	the bundle is released before it finishes loading the promise is resolved with null.
+	**
+	**	>> Promise loadBundle (string name, object list, object options=null);
+	*/
+	loadBundle: function (name, list, options=null)
+	{
+		if (name in this.bundles)
+			return this.bundles[name].promise;
+
+		const bundle = { name: name, keys: { }, resources: { }, loaded: false, promise: null };
+		this.bundles[name] = bundle;
+
+		const pending = { };
+		const shared = [];
+
+		for (let i in list)
+		{
+			if (i == "__original") continue;
+
+			const key = this.resourceKey(list[i]);
+			bundle.keys[i] = key;
+
+			if (key in this.cache)
 			{
-				dispose(list[i]);
-				list[i] = list[i].r;
+				this.cache[key].refs++;
+				shared.push(i);
+				continue;
 			}
 
-			switch (list[i].type)
+			this.cache[key] = { resource: null, refs: 1, promise: null };
+			pending[i] = Rin.clone(list[i]);
+		}
+
+		const names = Object.keys(pending);
+		const loading = names.length ? this.loadAsync(pending, options).catch(err => err) : Promise.resolve(pending);
+
+		for (let i of names)
+		{
+			this.cache[bundle.keys[i]].promise = loading.then(result =>
 			{
-				case "audio":
-					// violet: unload audio if using NativeAudio
-					// global.plugins.NativeAudio.unload
-					break;
+				const failed = result instanceof Error ? result.failed.find(f => f.name == i) : null;
+				if (failed) throw failed.error;
 
-				case "audios":
-					// violet: unload audio if using NativeAudio
-					// global.plugins.NativeAudio.unload
-					break;
+				return this.cache[bundle.keys[i]].resource = pending[i];
+			});
+		}
 
-				case "images":
-					for (var j = 0; j < list[i].data.length; j++)
-						dispose (list[i].data[j]);
-					break;
+		const entries = Object.keys(bundle.keys).map(i =>
+		{
+			return this.cache[bundle.keys[i]].promise.then (
+				resource => { bundle.resources[i] = resource; },
+				error => ({ name: i, error: error })
+			);
+		});
 
-				default:
-					dispose (list[i].data);
-					break;
+		bundle.promise = Promise.all(entries).then (results =>
+		{
+			// The bundle was released (and possibly requested again) while loading, its resources were already released.
+			if (this.bundles[name] !== bundle)
+				return null;
+
+			const failed = results.filter(i => i !== undefined);
+
+			if (failed.length)
+			{
+				this.releaseBundle (name);
+
+				const err = new Error ("Unable to load bundle " + name + ": " + failed.map(i => i.name).join(", "));
+				err.failed = failed;
+				err.bundle = name;
+
+				throw err;
 			}
 
-			list[i].data = null;
-			delete list[i];
+			bundle.loaded = true;
+			return bundle.resources;
+		});
+
+		return bundle.promise;
+	},
+
+	/**
+	**	Returns the map of resources of a loaded bundle, or null if the bundle is not loaded.
+	**
+	**	>> object getBundle (string name);
+	*/
+	getBundle: function (name)
+	{
+		return name in this.bundles && this.bundles[name].loaded ? this.bundles[name].resources : null;
+	},
+
+	/**
+	**	Returns a resource of a loaded bundle, or null if the bundle is not loaded or the resource does not exist.
+	**
+	**	>> object getResource (string bundleName, string name);
+	*/
+	getResource: function (bundleName, name)
+	{
+		const resources = this.getBundle(bundleName);
+		return resources && name in resources ? resources[name] : null;
+	},
+
+	/**
+	**	Returns true if the bundle is loaded.
+	**
+	**	>> bool isBundleLoaded (string name);
+	*/
+	isBundleLoaded: function (name)
+	{
+		return this.getBundle(name) !== null;
+	},
+
+	/**
+	**	Releases a bundle, the resources not used by other bundles are released as well (see `release`). If the bundle is still loading
+	**	its resources are released once they are ready.
+	**
+	**	>> void releaseBundle (string name);
+	*/
+	releaseBundle: function (name)
+	{
+		if (!(name in this.bundles))
+			return;
+
+		const bundle = this.bundles[name];
+		delete this.bundles[name];
+
+		for (let i in bundle.keys)
+		{
+			const key = bundle.keys[i];
+			const entry = this.cache[key];
+
+			if (!entry || --entry.refs > 0)
+				continue;
+
+			delete this.cache[key];
+
+			if (entry.resource)
+				this.release (entry.resource);
+			else if (entry.promise)
+				entry.promise.then(resource => this.release(resource), () => { });
 		}
 
-		for (var i in __original)
-			list[i] = __original[i];
+		bundle.resources = { };
+		bundle.loaded = false;
 	},
 
 	/**
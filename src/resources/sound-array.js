@@ -20,6 +20,9 @@ import Sound from './sound.js';
 /*
 	track: string (music|sfx)
 	mode: sequential|random
+
+	The voice control options of Sound (maxVoices, steal, priority, minInterval, pitchVariation and volumeVariation) apply to the
+	array as a whole.
 */
 
 export default Class.extend
@@ -48,7 +51,10 @@ export default Class.extend
 		for (var i = 0; i < this.r.data.length; i++)
 		{
 			this.sounds.push(new Sound (Object.assign (this.r.data[i], { track: this.r.track })));
+			this.sounds[i].owner = this;
 		}
+
+		this.lastPlayTime = null;
 	},
 
 	getRandomSound: function ()
@@ -78,5 +84,15 @@ export default Class.extend
 	playLoopAt: function (index, callback, volume)
 	{
 		return Sound.playLoop (this.sounds[index % this.sounds.length], callback, volume);
+	},
+
+	playPositioned: function (x, y, callback, volume, loop=false)
+	{
+		return Sound.playPositioned (this.getRandomSound(), x, y, callback, volume, loop);
+	},
+
+	playAttached: function (element, callback, volume, loop=false)
+	{
+		return Sound.playAttached (this.getRandomSound(), element, callback, volume, loop);
 	}
 });
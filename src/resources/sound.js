@@ -16,24 +16,43 @@
 
 import { Class } from '@rsthn/rin';
 import Resources from './resources.js';
+import System from '../system/system.js';
+import Random from '../math/random.js';
+import Storage from '../system/storage.js';
 
 /*
 	track: string (music|sfx)
+
+	Voice control (optional):
+		maxVoices: int (maximum simultaneous nodes of the sound, 0 for unlimited),
+		steal: string (oldest|quietest|priority|none, policy used when the limit is reached),
+		priority: int (nodes with lower priority are stolen first),
+		minInterval: float (minimum time in milliseconds between two plays of the sound),
+		pitchVariation: float (random playback rate variation, i.e. 0.1 for 0.9 to 1.1),
+		volumeVariation: float (random volume reduction, i.e. 0.2 for 80% to 100%)
 */
 
 const Sound = Class.extend
 ({
 	r: null,
 
+	/**
+	**	Object whose descriptor defines the voice limits of the sound, and time of its last play. This is the sound itself or the
+	**	SoundArray it belongs to.
+	*/
+	owner: null,
+	lastPlayTime: null,
+
 	__ctor: function (r)
 	{
-		if (r.type != "audio")
+		if (r.type != "audio" && r.type != "synth")
 			throw new Error ("Resource is not audio.");
 
 		this.r = r;
 		this.r.wrapper = this;
 
 		this.track = Sound[this.r.track.toUpperCase()];
+		this.owner = this;
 	},
 
 	play: function (callback, volume)
@@ -44,6 +63,16 @@ const Sound = Class.extend
 	playLoop: function (callback, volume)
 	{
 		return Sound.playLoop (this, callback, volume);
+	},
+
+	playPositioned: function (x, y, callback, volume, loop=false)
+	{
+		return Sound.playPositioned (this, x, y, callback, volume, loop);
+	},
+
+	playAttached: function (element, callback, volume, loop=false)
+	{
+		return Sound.playAttached (this, element, callback, volume, loop);
 	}
 });
 
@@ -51,30 +80,112 @@ Sound.ENGINE_HTML5 = 1;
 Sound.ENGINE_WEBAUDIO = 2;
 Sound.ENGINE_NATIVEAUDIO = 3;
 
+/*
+	Tracks are plain objects with the following fields, when using the WebAudio engine each track is a bus (see getBus):
+
+		name: string, enabled: bool, volume: float, maxVoices: int, steal: string (see voice control of sounds),
+		filter: { type, frequency, Q, gain } | null,
+		compressor: { threshold, knee, ratio, attack, release } | null,
+		reverb: float (send level, 0 to disable),
+		ducking: { [targetTrackName]: { volume, attack, release } } | null
+*/
+
 Object.assign(Sound,
 {
 	MASTER: {
+		name: "MASTER",
 		enabled: true,
 		volume: 1
 	},
 
 	SFX: {
+		name: "SFX",
 		enabled: true,
 		volume: 1
 	},
 
 	MUSIC: {
+		name: "MUSIC",
 		enabled: true,
 		volume: 0.8
 	},
 
 	VOICE: {
+		name: "VOICE",
 		enabled: true,
 		volume: 1
 	},
 
+	/**
+	**	Names of the available tracks.
+	*/
+	tracks: [ "MASTER", "SFX", "MUSIC", "VOICE" ],
+
+	/**
+	**	Parameters of the shared reverb (impulse duration and decay), and its convolver node.
+	*/
+	reverb: {
+		duration: 2,
+		decay: 3
+	},
+
+	reverbNode: null,
+
+	/**
+	**	Storage key used to save the settings, and delay (seconds) of the automatic saving after the settings change (see `persistSettings`).
+	*/
+	settingsKey: "audio",
+	autoSaveDelay: -1,
+	autoSaveTimer: null,
+
+	/**
+	**	Viewport used as listener of positional sounds (its center is the position of the listener).
+	*/
+	listener: null,
+
+	/**
+	**	Parameters of positional sounds. The rolloff is "linear", "inverse", "exponential" or a function (distance, options) returning
+	**	the gain. Sounds beyond maxDistance are not audible, and panDistance is the horizontal distance at which a sound is completely
+	**	panned to one side (when 0 half the width of the listener viewport is used).
+	*/
+	positional: {
+		rolloff: "inverse",
+		refDistance: 100,
+		maxDistance: 1000,
+		rolloffFactor: 1,
+		panDistance: 0
+	},
+
+	emitterUpdater: null,
+
 	MAX_POOL_SIZE: 100,
 
+	/**
+	**	Sequence counter of nodes, used to determine the oldest ones.
+	*/
+	nodeId: 0,
+
+	/**
+	**	Returns the current time in milliseconds. Replaced by the offline renderer to use simulated time.
+	*/
+	now: function ()
+	{
+		return hrnow();
+	},
+
+	/**
+	**	Starts and stops the interval timers used by fades. Replaced by the offline renderer to use simulated time.
+	*/
+	setInterval: function (fn, millis)
+	{
+		return setInterval (fn, millis);
+	},
+
+	clearInterval: function (id)
+	{
+		clearInterval (id);
+	},
+
 	pool: [ ],
 	active: [ ],
 
@@ -84,6 +195,8 @@ Object.assign(Sound,
 
 		node.registered = true;
 		this.active.push(node);
+
+		if (node.snd.track.ducking) Sound.updateDucking();
 	},
 
 	unregister: function (node)
@@ -96,6 +209,8 @@ Object.assign(Sound,
 		if (i == -1) return;
 
 		Sound.active.splice(i, 1);
+
+		if (node.snd.track.ducking) Sound.updateDucking();
 	},
 
 	updateNode: function (node, cmd)
@@ -117,7 +232,18 @@ Object.assign(Sound,
 	{
 		node.gainNode = audioContext.createGain();
 		node.gainNode.gain.value = 0;
-		node.gainNode.connect(audioContext.destination);
+		node.gainNode.connect(Sound.getBus(node.snd.track).input);
+
+		if (node.emitter && audioContext.createStereoPanner)
+		{
+			node.gainNode.disconnect();
+
+			node.panNode = audioContext.createStereoPanner();
+			node.panNode.pan.value = node.pan;
+
+			node.gainNode.connect(node.panNode);
+			node.panNode.connect(Sound.getBus(node.snd.track).input);
+		}
 
 		node.res = audioContext.createBufferSource();
 		node.res.buffer = node.snd.r.data;
@@ -131,9 +257,11 @@ Object.assign(Sound,
 		if (!node.res) return;
 
 		node.gainNode.disconnect();
+		if (node.panNode) node.panNode.disconnect();
 
 		node.res = null;
 		node.gainNode = null;
+		node.panNode = null;
 	},
 
 	// Native Audio (Cordova plugin).
@@ -175,7 +303,8 @@ Object.assign(Sound,
 	{
 		if (!node) return null;
 
-		var volume = Sound.MASTER.volume * node.snd.track.volume * node.volume;
+		// Volume of the track and master are applied by the buses.
+		var volume = node.volume * node.attenuation;
 
 		switch (cmd)
 		{
@@ -186,13 +315,22 @@ Object.assign(Sound,
 				if (!node.res)
 					Sound.alloc_webaudio(node);
 
-				node.playTime = hrnow();
+				node.playTime = Sound.now();
 				node.playing = true;
 				node.pause = false;
 
 				node.res.onended = Sound.onended_webaudio;
+				node.res.playbackRate.value = node.rate;
 				node.gainNode.gain.value = volume;
 
+				// Loop sections are handled natively by the buffer source.
+				if (node.loopStart !== null && node.loop != 0)
+				{
+					node.res.loop = true;
+					node.res.loopStart = node.loopStart;
+					node.res.loopEnd = node.loopEnd !== null ? node.loopEnd : node.res.buffer.duration;
+				}
+
 				try {
 					node.res.start(0, node.startTime/1000.0);
 				}
@@ -209,6 +347,7 @@ Object.assign(Sound,
 				if (!node.res) break;
 
 				node.gainNode.gain.value = volume;
+				if (node.panNode) node.panNode.pan.value = node.pan;
 				break;
 
 			/* **************** */
@@ -244,7 +383,7 @@ Object.assign(Sound,
 				if (!node.playing || !node.res)
 					break;
 
-				node.startTime += hrnow() - node.playTime;
+				node.startTime = Sound.getPosition(node)*1000;
 				node.playing = false;
 				node.pause = true;
 				node.res.onended = null;
@@ -374,7 +513,7 @@ Object.assign(Sound,
 	{
 		if (!node) return null;
 
-		var volume = Sound.MASTER.volume * node.snd.track.volume * node.volume;
+		var volume = Sound.MASTER.volume * node.snd.track.volume * node.volume * node.attenuation;
 
 		switch (cmd)
 		{
@@ -389,12 +528,13 @@ Object.assign(Sound,
 					node.res.src = node.res._src;
 				}
 
-				node.playTime = hrnow();
+				node.playTime = Sound.now();
 				node.playing = true;
 				node.pause = false;
 
 				node.res.onended = Sound.onended_audio;
 				node.res.currentTime = node.startTime/1000.0;
+				node.res.playbackRate = node.rate;
 				node.res.volume = volume;
 
 				try {
@@ -450,7 +590,7 @@ Object.assign(Sound,
 				if (!node.playing || !node.res)
 					break;
 
-				node.startTime += hrnow() - node.playTime;
+				node.startTime = Sound.getPosition(node)*1000;
 				node.playing = false;
 				node.pause = true;
 
@@ -488,7 +628,7 @@ Object.assign(Sound,
 			if (node.loop != -1)
 				node.loop--;
 
-			node.startTime = 0;
+			node.startTime = node.loopStart !== null ? node.loopStart*1000 : 0;
 			node.playing = false;
 			node.pause = false;
 
@@ -502,14 +642,370 @@ Object.assign(Sound,
 		Sound.updateNode_audio (node, 'stop');
 	},
 
+	/* *********************** */
+	/* BUSES (WebAudio) */
+
+	/**
+	**	Returns the bus of a track, creating it if needed. Returns null if WebAudio is not available. A bus is a chain of nodes:
+	**	input -> [filter] -> [compressor] -> duck -> output, where the output is connected to the master bus (or to the destination
+	**	for the master itself) and, when the reverb send level is not zero, to the shared reverb.
+	*/
+	getBus: function (track)
+	{
+		if (!global.audioContext)
+			return null;
+
+		if (!track.bus)
+		{
+			track.bus = {
+				input: audioContext.createGain(),
+				filter: null,
+				compressor: null,
+				duck: audioContext.createGain(),
+				output: audioContext.createGain(),
+				send: null,
+				duckLevel: 1
+			};
+
+			this.connectBus(track);
+		}
+
+		return track.bus;
+	},
+
+	/**
+	**	Connects the nodes of the bus of a track according to its configuration.
+	*/
+	connectBus: function (track)
+	{
+		const bus = track.bus;
+		if (!bus) return;
+
+		bus.input.disconnect();
+		bus.duck.disconnect();
+		bus.output.disconnect();
+
+		if (bus.filter) bus.filter.disconnect();
+		if (bus.compressor) bus.compressor.disconnect();
+		if (bus.send) bus.send.disconnect();
+
+		bus.filter = track.filter ? (bus.filter || audioContext.createBiquadFilter()) : null;
+		bus.compressor = track.compressor ? (bus.compressor || audioContext.createDynamicsCompressor()) : null;
+		bus.send = track.reverb && track !== Sound.MASTER ? (bus.send || audioContext.createGain()) : null;
+
+		let last = bus.input;
+
+		for (let node of [bus.filter, bus.compressor, bus.duck, bus.output])
+		{
+			if (!node) continue;
+
+			last.connect(node);
+			last = node;
+		}
+
+		bus.output.connect(track === Sound.MASTER ? audioContext.destination : this.getBus(Sound.MASTER).input);
+
+		if (bus.send)
+		{
+			bus.output.connect(bus.send);
+			bus.send.connect(this.getReverb());
+		}
+
+		this.updateBus(track);
+	},
+
+	/**
+	**	Updates the parameters of the nodes of the bus of a track.
+	*/
+	updateBus: function (track)
+	{
+		const bus = track.bus;
+		if (!bus) return;
+
+		if (!!bus.filter != !!track.filter || !!bus.compressor != !!track.compressor || !!bus.send != !!(track.reverb && track !== Sound.MASTER))
+		{
+			this.connectBus(track);
+			return;
+		}
+
+		bus.output.gain.value = track.enabled ? track.volume : 0;
+
+		if (bus.filter)
+		{
+			const filter = { type: "lowpass", frequency: 1000, Q: 1, gain: 0, ...track.filter };
+
+			bus.filter.type = filter.type;
+			bus.filter.frequency.value = filter.frequency;
+			bus.filter.Q.value = filter.Q;
+			bus.filter.gain.value = filter.gain;
+		}
+
+		if (bus.compressor)
+		{
+			const compressor = { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25, ...track.compressor };
+
+			for (let i of ["threshold", "knee", "ratio", "attack", "release"])
+				bus.compressor[i].value = compressor[i];
+		}
+
+		if (bus.send)
+			bus.send.gain.value = track.reverb;
+	},
+
+	/**
+	**	Returns the shared reverb node (connected to the master bus), creating it if needed.
+	*/
+	getReverb: function ()
+	{
+		if (!this.reverbNode)
+		{
+			this.reverbNode = audioContext.createConvolver();
+			this.reverbNode.buffer = this.createImpulse(this.reverb.duration, this.reverb.decay);
+			this.reverbNode.connect(this.getBus(Sound.MASTER).input);
+		}
+
+		return this.reverbNode;
+	},
+
+	/**
+	**	Creates a stereo impulse response buffer of exponentially decaying noise.
+	*/
+	createImpulse: function (duration, decay)
+	{
+		const length = Math.max(1, ~~(audioContext.sampleRate * duration));
+		const buffer = audioContext.createBuffer(2, length, audioContext.sampleRate);
+		const random = Random.getStream('audio');
+
+		for (let c = 0; c < 2; c++)
+		{
+			const data = buffer.getChannelData(c);
+
+			for (let i = 0; i < length; i++)
+				data[i] = (random.float()*2 - 1) * Math.pow(1 - i/length, decay);
+		}
+
+		return buffer;
+	},
+
+	/**
+	**	Recalculates the ducking level of each track from the active nodes, and ramps the duck gain of the buses accordingly.
+	*/
+	updateDucking: function ()
+	{
+		if (!global.audioContext)
+			return;
+
+		const levels = { };
+
+		for (let node of this.active)
+		{
+			const ducking = node.snd.track.ducking;
+			if (!ducking || !node.playing) continue;
+
+			for (let name in ducking)
+			{
+				const level = ducking[name];
+				if (!(name in levels) || level.volume < levels[name].volume)
+					levels[name] = level;
+			}
+		}
+
+		for (let name of this.tracks)
+		{
+			const bus = this[name].bus;
+			if (!bus) continue;
+
+			const level = levels[name] ? levels[name].volume : 1;
+			if (level == bus.duckLevel) continue;
+
+			// Attack applies when lowering the volume, release when restoring it.
+			const time = level < bus.duckLevel
+				? (levels[name].attack !== undefined ? levels[name].attack : 0.1)
+				: (bus.release !== undefined ? bus.release : 0.5);
+
+			const now = audioContext.currentTime;
+
+			bus.duck.gain.cancelScheduledValues(now);
+			bus.duck.gain.setValueAtTime(bus.duck.gain.value, now);
+			bus.duck.gain.linearRampToValueAtTime(level, now + time);
+
+			bus.duckLevel = level;
+			bus.release = levels[name] && levels[name].release !== undefined ? levels[name].release : 0.5;
+		}
+	},
+
+	/* *********************** */
+	/* POSITIONAL */
+
+	/**
+	**	Returns the gain for a sound at the given distance from the listener according to the positional parameters.
+	*/
+	getAttenuation: function (distance)
+	{
+		const p = this.positional;
+
+		if (distance >= p.maxDistance)
+			return 0;
+
+		if (typeof(p.rolloff) == "function")
+			return Math.max(0, Math.min(1, p.rolloff(distance, p)));
+
+		const d = Math.max(distance, p.refDistance);
+
+		switch (p.rolloff)
+		{
+			case "linear":
+				return 1 - Math.min(1, (d - p.refDistance) / (p.maxDistance - p.refDistance));
+
+			case "exponential":
+				return Math.pow(d / p.refDistance, -p.rolloffFactor);
+		}
+
+		return p.refDistance / (p.refDistance + p.rolloffFactor * (d - p.refDistance));
+	},
+
+	/**
+	**	Updates the position of the emitter of a node (from its element if any) and calculates its attenuation and pan.
+	*/
+	updateEmitter: function (node)
+	{
+		const emitter = node.emitter;
+
+		if (emitter.element)
+		{
+			// Disposed elements no longer provide a position.
+			if (!emitter.element.transform)
+				emitter.element = null;
+			else
+			{
+				emitter.x = emitter.element.bounds.cx;
+				emitter.y = emitter.element.bounds.cy;
+			}
+		}
+
+		const listener = this.listener;
+
+		if (!listener)
+		{
+			node.attenuation = 1;
+			node.pan = 0;
+			return;
+		}
+
+		const dx = emitter.x - listener.getX();
+		const dy = emitter.y - listener.getY();
+
+		const panDistance = this.positional.panDistance || (listener.width / 2) / listener.scale;
+
+		node.attenuation = this.getAttenuation(Math.sqrt(dx*dx + dy*dy));
+		node.pan = panDistance > 0 ? Math.max(-1, Math.min(1, dx / panDistance)) : 0;
+	},
+
+	/**
+	**	Updates the attenuation and pan of all active positional nodes. Executed on each frame while there are positional nodes.
+	*/
+	updateEmitters: function ()
+	{
+		let count = 0;
+
+		for (let node of this.active)
+		{
+			if (!node.emitter) continue;
+
+			this.updateEmitter(node);
+			this.updateNode(node, 'setvolume');
+			count++;
+		}
+
+		if (!count && this.emitterUpdater)
+		{
+			System.updateQueueRemove(this.emitterUpdater);
+			this.emitterUpdater = null;
+		}
+	},
+
+	/**
+	**	Plays a node of the sound with the given emitter { x, y, element }.
+	*/
+	playEmitter: function (snd, emitter, completeCallback, volume, loop)
+	{
+		if (!this.MASTER.enabled || !snd || !snd.track.enabled)
+			return null;
+
+		volume = (volume !== undefined && volume !== null) ? volume : 1.0;
+
+		var node = this.createNode(snd, volume);
+		node.callback = completeCallback;
+		node.loop = loop ? -1 : 0;
+		node.emitter = emitter;
+
+		this.updateEmitter(node);
+
+		node = this.startNode(node);
+
+		if (node && !this.emitterUpdater && System.updateQueue)
+		{
+			this.emitterUpdater = { update: () => Sound.updateEmitters() };
+			System.updateQueueAdd(this.emitterUpdater);
+		}
+
+		return node;
+	},
+
 	/* *************************************** */
 	/* PUBLIC */
 
+	/**
+	**	Sets the viewport used as listener of positional sounds.
+	*/
+	setListener: function (viewport)
+	{
+		this.listener = viewport;
+	},
+
+	/**
+	**	Changes the parameters of positional sounds (see `positional`).
+	*/
+	setPositional: function (options)
+	{
+		Object.assign(this.positional, options);
+	},
+
+	/**
+	**	Plays a sound at the given world position, attenuated and panned relative to the center of the listener viewport.
+	*/
+	playPositioned: function (snd, x, y, completeCallback, volume, loop=false)
+	{
+		return this.playEmitter(snd, { x: x, y: y, element: null }, completeCallback, volume, loop);
+	},
+
+	/**
+	**	Plays a sound attached to an element, the position of the sound follows the center of the element.
+	*/
+	playAttached: function (snd, element, completeCallback, volume, loop=false)
+	{
+		return this.playEmitter(snd, { x: element.bounds.cx, y: element.bounds.cy, element: element }, completeCallback, volume, loop);
+	},
+
+	/**
+	**	Changes the position of a positional node.
+	*/
+	setPosition: function (node, x, y)
+	{
+		if (!node || !node.emitter) return;
+
+		node.emitter.x = x;
+		node.emitter.y = y;
+		node.emitter.element = null;
+	},
+
 	enableTrack: function (track)
 	{
 		if (!track) return;
 
 		track.enabled = true;
+		this.updateBus(track);
+		this.settingsChanged();
 	},
 
 	disableTrack: function (track)
@@ -517,6 +1013,8 @@ Object.assign(Sound,
 		if (!track) return;
 
 		track.enabled = false;
+		this.updateBus(track);
+		this.settingsChanged();
 	},
 
 	setVolume: function (track, value)
@@ -524,14 +1022,279 @@ Object.assign(Sound,
 		if (!track) return;
 
 		track.volume = value;
+		this.updateBus(track);
+		this.settingsChanged();
+	},
+
+	/**
+	**	Creates a new track with the given name (upper case) and options. The track is available as Sound[name].
+	*/
+	createTrack: function (name, options=null)
+	{
+		name = name.toUpperCase();
+
+		if (this.tracks.indexOf(name) != -1)
+			throw new Error ("Sound: track already exists: " + name);
+
+		this[name] = { name: name, enabled: true, volume: 1, ...options };
+		this.tracks.push(name);
+
+		return this[name];
+	},
+
+	/**
+	**	Sets the filter of the track (BiquadFilterNode parameters { type, frequency, Q, gain }), or removes it when null.
+	*/
+	setFilter: function (track, filter)
+	{
+		if (!track) return;
+
+		track.filter = filter ? { ...filter } : null;
+		this.updateBus(track);
+		this.settingsChanged();
+	},
+
+	/**
+	**	Sets the compressor of the track (DynamicsCompressorNode parameters { threshold, knee, ratio, attack, release }), or removes
+	**	it when null.
+	*/
+	setCompressor: function (track, compressor)
+	{
+		if (!track) return;
+
+		track.compressor = compressor ? { ...compressor } : null;
+		this.updateBus(track);
+		this.settingsChanged();
+	},
+
+	/**
+	**	Sets the reverb send level of the track (0 to disable).
+	*/
+	setReverbSend: function (track, value)
+	{
+		if (!track) return;
+
+		track.reverb = value;
+		this.updateBus(track);
+		this.settingsChanged();
+	},
+
+	/**
+	**	Changes the parameters of the shared reverb.
+	*/
+	setReverb: function (duration, decay)
+	{
+		this.reverb.duration = duration;
+		this.reverb.decay = decay;
+
+		if (this.reverbNode)
+			this.reverbNode.buffer = this.createImpulse(duration, decay);
+
+		this.settingsChanged();
+	},
+
+	/**
+	**	Configures the `target` track to be ducked to the given volume { volume, attack, release } while sounds of the `track` are
+	**	playing (times are in seconds). Use null as options to remove the ducking.
+	*/
+	setDucking: function (track, target, options)
+	{
+		if (!track || !target) return;
+
+		if (!track.ducking) track.ducking = { };
+
+		if (options)
+			track.ducking[target.name] = { volume: 0.3, attack: 0.1, release: 0.5, ...options };
+		else
+			delete track.ducking[target.name];
+
+		this.updateDucking();
+		this.settingsChanged();
+	},
+
+	/**
+	**	Returns the audio settings (configuration of the tracks and reverb) as a JSON-compatible object.
+	*/
+	getSettings: function ()
+	{
+		const data = { tracks: { }, reverb: { duration: this.reverb.duration, decay: this.reverb.decay } };
+
+		for (let name of this.tracks)
+		{
+			const track = this[name];
+
+			data.tracks[name] = JSON.parse(JSON.stringify({
+				enabled: track.enabled, volume: track.volume, filter: track.filter || null, compressor: track.compressor || null,
+				reverb: track.reverb || 0, ducking: track.ducking || null
+			}));
+		}
+
+		return data;
+	},
+
+	/**
+	**	Applies audio settings obtained from getSettings(), tracks that do not exist are created.
+	*/
+	setSettings: function (data)
+	{
+		if (!data) return;
+
+		for (let name in data.tracks)
+		{
+			const track = this[name] && this.tracks.indexOf(name) != -1 ? this[name] : this.createTrack(name);
+			Object.assign(track, data.tracks[name]);
+
+			this.updateBus(track);
+		}
+
+		if (data.reverb)
+			this.setReverb(data.reverb.duration, data.reverb.decay);
+
+		this.updateDucking();
+		this.settingsChanged();
+	},
+
+	/**
+	**	Saves the audio settings using the `Storage` module. Returns a promise.
+	*/
+	saveSettings: function ()
+	{
+		return Storage.write(this.settingsKey, this.getSettings());
+	},
+
+	/**
+	**	Loads the audio settings using the `Storage` module. Resolves to false if there were no saved settings or they were corrupted.
+	*/
+	loadSettings: function ()
+	{
+		return Storage.read(this.settingsKey).then(record =>
+		{
+			if (record === null) return false;
+
+			this.setSettings(record.data);
+			return true;
+		})
+		.catch(() => false);
+	},
+
+	/**
+	**	Loads the saved audio settings and enables automatic saving, settings are saved `delay` seconds after the last change. Returns the
+	**	promise of `loadSettings`.
+	*/
+	persistSettings: function (delay=0.5)
+	{
+		this.autoSaveDelay = -1;
+
+		return this.loadSettings().then(value =>
+		{
+			this.autoSaveDelay = delay;
+			return value;
+		});
+	},
+
+	/**
+	**	Schedules the automatic saving of the settings (when enabled). Executed when the settings change.
+	*/
+	settingsChanged: function ()
+	{
+		if (this.autoSaveDelay < 0)
+			return;
+
+		if (this.autoSaveTimer !== null)
+			clearTimeout(this.autoSaveTimer);
+
+		this.autoSaveTimer = setTimeout(() =>
+		{
+			this.autoSaveTimer = null;
+			this.saveSettings().catch(err => console.error ("Sound (settingsChanged): Unable to save the settings: " + err.message));
+		},
+		this.autoSaveDelay*1000);
+	},
+
+	/**
+	**	Returns the registered nodes matching the given filter.
+	*/
+	getVoices: function (filter)
+	{
+		return this.active.filter(filter);
+	},
+
+	/**
+	**	Ensures there is a voice available for the node when the number of `voices` reached `max`, stealing one (stopping it) according
+	**	to the policy. Returns false if the node should not be played.
+	*/
+	allocVoice: function (node, voices, max, policy)
+	{
+		if (!max || voices.length < max)
+			return true;
+
+		let victim = null;
+
+		switch (policy || "oldest")
+		{
+			case "none":
+				return false;
+
+			case "quietest":
+				for (let voice of voices)
+					if (!victim || voice.volume*voice.attenuation < victim.volume*victim.attenuation) victim = voice;
+				break;
+
+			case "priority":
+				for (let voice of voices)
+					if (!victim || voice.priority < victim.priority || (voice.priority == victim.priority && voice.id < victim.id)) victim = voice;
+
+				if (victim.priority > node.priority)
+					return false;
+
+				break;
+
+			default:
+				for (let voice of voices)
+					if (!victim || voice.id < victim.id) victim = voice;
+				break;
+		}
+
+		this.stop(victim, true);
+		return true;
+	},
+
+	/**
+	**	Plays a new node after checking the minimum interval and the voice limits of the sound (or its owner) and its track.
+	*/
+	startNode: function (node)
+	{
+		const owner = node.snd.owner;
+		const track = node.snd.track;
+		const now = Sound.now();
+
+		if (owner.r.minInterval && owner.lastPlayTime !== null && now - owner.lastPlayTime < owner.r.minInterval)
+			return null;
+
+		if (!this.allocVoice(node, this.getVoices(voice => voice.snd.owner === owner), owner.r.maxVoices, owner.r.steal))
+			return null;
+
+		if (!this.allocVoice(node, this.getVoices(voice => voice.snd.track === track), track.maxVoices, track.steal))
+			return null;
+
+		owner.lastPlayTime = now;
+		return this.updateNode(node, 'play');
 	},
 
 	createNode: function (snd, volume)
 	{
 		var node = { };
+		var r = snd.owner.r;
+		var random = Random.getStream('audio');
+
+		if (r.volumeVariation)
+			volume *= 1 - random.float()*r.volumeVariation;
 
+		node.id = ++this.nodeId;
 		node.startVolume = volume;
 		node.volume = volume;
+		node.rate = r.pitchVariation ? 1 + (random.float()*2 - 1)*r.pitchVariation : 1;
+		node.priority = r.priority || 0;
 		node.snd = snd;
 		node.loop = 0;
 		node.playing = false;
@@ -541,6 +1304,11 @@ Object.assign(Sound,
 		node.callback = null;
 		node.timer = null;
 		node.res = null;
+		node.emitter = null;
+		node.attenuation = 1;
+		node.pan = 0;
+		node.loopStart = null;
+		node.loopEnd = null;
 
 		return node;
 	},
@@ -555,7 +1323,7 @@ Object.assign(Sound,
 		var node = this.createNode(snd, volume);
 		node.callback = completeCallback;
 
-		return this.updateNode(node, 'play');
+		return this.startNode(node);
 	},
 
 	playLoop: function (snd, completeCallback, volume)
@@ -569,7 +1337,55 @@ Object.assign(Sound,
 		node.callback = completeCallback;
 		node.loop = -1;
 
-		return this.updateNode(node, 'play');
+		return this.startNode(node);
+	},
+
+	/**
+	**	Plays the sound once and then loops the section between `loopStart` and `loopEnd` (seconds, null for the end of the sound)
+	**	until stopped, useful for music with an intro. On the HTML5 engine the loop always ends at the end of the sound.
+	*/
+	playLoopSection: function (snd, loopStart, loopEnd, completeCallback, volume)
+	{
+		if (!this.MASTER.enabled || !snd || !snd.track.enabled)
+			return null;
+
+		volume = (volume !== undefined && volume !== null) ? volume : 1.0;
+
+		var node = this.createNode(snd, volume);
+		node.callback = completeCallback;
+		node.loop = -1;
+		node.loopStart = loopStart;
+		node.loopEnd = loopEnd;
+
+		return this.startNode(node);
+	},
+
+	/**
+	**	Returns the duration of the sound of a node in seconds.
+	*/
+	getDuration: function (node)
+	{
+		return node && node.snd.r.data && node.snd.r.data.duration ? node.snd.r.data.duration : 0;
+	},
+
+	/**
+	**	Returns the current playback position of a node in seconds (wrapped inside the loop section when there is one).
+	*/
+	getPosition: function (node)
+	{
+		if (!node) return 0;
+
+		let time = (node.startTime + (node.playing ? (Sound.now() - node.playTime) * node.rate : 0)) / 1000;
+
+		if (node.loopStart !== null && node.snd.r.engine == Sound.ENGINE_WEBAUDIO)
+		{
+			const loopEnd = node.loopEnd !== null ? node.loopEnd : this.getDuration(node);
+
+			if (time > loopEnd && loopEnd > node.loopStart)
+				time = node.loopStart + (time - node.loopStart) % (loopEnd - node.loopStart);
+		}
+
+		return time;
 	},
 
 	stop: function (node, callback)
@@ -604,12 +1420,12 @@ Object.assign(Sound,
 			return;
 		}
 
-		var startTime = hrnow();
+		var startTime = Sound.now();
 		node.startVolume = node.volume;
 
-		node.timer = setInterval (function()
+		node.timer = Sound.setInterval (function()
 		{
-			var t = ((hrnow() - startTime) / millis);
+			var t = ((Sound.now() - startTime) / millis);
 			if (t > 1) t = 1;
 
 			node.volume = node.startVolume*(1-t);
@@ -617,7 +1433,7 @@ Object.assign(Sound,
 
 			if (t == 1)
 			{
-				clearInterval (node.timer);
+				Sound.clearInterval (node.timer);
 				node.timer = null;
 
 				if (callback === true)
@@ -642,14 +1458,14 @@ Object.assign(Sound,
 			return;
 		}
 
-		var startTime = hrnow();
+		var startTime = Sound.now();
 
 		node.volume = 0;
 		this.updateNode(node, 'play');
 
-		node.timer = setInterval (function()
+		node.timer = Sound.setInterval (function()
 		{
-			var t = ((hrnow() - startTime) / millis);
+			var t = ((Sound.now() - startTime) / millis);
 			if (t > 1) t = 1;
 
 			node.volume = node.startVolume*t;
@@ -657,7 +1473,7 @@ Object.assign(Sound,
 
 			if (t == 1)
 			{
-				clearInterval (node.timer);
+				Sound.clearInterval (node.timer);
 				node.timer = null;
 
 				if (callback) callback();
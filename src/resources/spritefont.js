@@ -15,21 +15,70 @@
 */
 
 import { Class } from '@rsthn/rin';
+import System from '../system/system.js';
 import Canvas from '../system/canvas.js';
+import TextLayout from './text-layout.js';
 
 /*
-	font: {
-		sheetWidth: int, sheetHeight: int, charWidth: int, charHeight: int, charset: string, widths: [char, width, ...]
-	}
+	If type is "image" (monospace grid):
+		font: {
+			sheetWidth: int, sheetHeight: int, charWidth: int, charHeight: int, charset: string, widths: [char, width, ...]
+		}
+
+	If type is "bmfont" (BMFont / AngelCode text, XML or JSON descriptor):
+		{ type: "bmfont", wrapper: "SpriteFont", src: "assets/font.fnt", scale: 1 }
+
+		The descriptor is parsed into the 'font' attribute (see SpriteFont.parse) and the images of the pages are loaded into the 'pages'
+		attribute. Glyphs have their own rectangles, offsets and advance, and kerning pairs are applied.
 */
 
-export default Class.extend
+const SpriteFont = Class.extend
 ({
+	className: "SpriteFont",
+
+	/**
+	**	Height of a line of text (in logical units).
+	*/
+	charHeight: 0,
+
+	/**
+	**	Distance from the top of a line to the baseline (in logical units).
+	*/
+	base: 0,
+
+	/**
+	**	Kerning amounts (in logical units) indexed by the pair of characters.
+	*/
+	kernings: null,
+
+	/**
+	**	Tinted versions of the font images, map of colors to lists of [image, canvas] pairs ordered from least to most recently used.
+	*/
+	tintCache: null,
+
+	/**
+	**	Maximum number of colors kept in the tint cache, the least recently used color is evicted when the limit is reached.
+	*/
+	tintCacheSize: 32,
+
 	__ctor: function (r)
 	{
-		if (r.type != "image" || !r.font)
+		if ((r.type != "image" || !r.font) && r.type != "bmfont")
 			throw new Error ("Resource is not a sprite font.");
 
+		this.r = r;
+		this.r.wrapper = this;
+
+		this.charTable = { };
+		this.kernings = { };
+		this.tintCache = new Map();
+
+		if (r.type == "bmfont")
+		{
+			this.initBMFont (r);
+			return;
+		}
+
 		var r_scale = r.data.width / r.font.sheetWidth;
 		var v_scale = r.width / r.font.sheetWidth;
 
@@ -38,18 +87,14 @@ export default Class.extend
 
 		this.charWidth = (r.font.charWidth * v_scale);
 		this.charHeight = (r.font.charHeight * v_scale);
+		this.base = this.charHeight;
 
 		var cols = ~~(r.font.sheetWidth / r.font.charWidth);
 
-		this.r = r;
-		this.r.wrapper = this;
-
 		var n = r.font.charset.length;
 		var k = 0;
 		var y = 0;
 
-		this.charTable = { };
-
 		this.charTable[" "] = { charWidth: this.charWidth >> 1, r_charWidth: this.r_charWidth };
 
 		while (k < n)
@@ -60,7 +105,10 @@ export default Class.extend
 			{
 				var c = r.font.charset[k++];
 
-				this.charTable[c] = { x: x, y: y, charWidth: this.charWidth, r_charWidth: this.r_charWidth };
+				this.charTable[c] = {
+					x: x, y: y, charWidth: this.charWidth, r_charWidth: this.r_charWidth,
+					data: r.data, width: this.charWidth, height: this.charHeight, r_charHeight: this.r_charHeight, xoffset: 0, yoffset: 0
+				};
 
 				x += this.r_charWidth;
 			}
@@ -81,44 +129,180 @@ export default Class.extend
 
 			for (var j = 0; j < s.length; j++)
 			{
-				this.charTable[s[j]].charWidth = w1;
+				this.charTable[s[j]].charWidth = this.charTable[s[j]].width = w1;
 				this.charTable[s[j]].r_charWidth = w2;
 			}
 		}
 	},
 
-	draw: function (g, x, y, text)
+	/**
+	**	Builds the character table from a BMFont descriptor, the pages are drawn with their original size.
+	*/
+	initBMFont: function (r)
 	{
-		var n = text.length;
+		var scale = r.scale || 1;
+		var font = r.font;
 
-		for (var i = 0; i < n; i++)
+		this.charHeight = font.common.lineHeight * scale;
+		this.base = (font.common.base || font.common.lineHeight) * scale;
+
+		for (var i = 0; i < font.chars.length; i++)
 		{
-			if (text[i] == " ")
-			{
-				x += this.charTable[text[i]].charWidth;
-				continue;
-			}
+			var c = font.chars[i];
+			var page = r.pages[c.page || 0];
+
+			if (!page)
+				throw new Error ("Page " + c.page + " not found in font: " + r.resName);
+
+			this.charTable[String.fromCodePoint(c.id)] = {
+				x: c.x, y: c.y, r_charWidth: c.width, r_charHeight: c.height, data: page,
+				width: c.width * scale, height: c.height * scale, xoffset: c.xoffset * scale, yoffset: c.yoffset * scale,
+				charWidth: c.xadvance * scale
+			};
+		}
+
+		for (var i = 0; i < font.kernings.length; i++)
+		{
+			var k = font.kernings[i];
+			this.kernings[String.fromCodePoint(k.first) + String.fromCodePoint(k.second)] = k.amount * scale;
+		}
+
+		this.charWidth = this.charTable[" "] ? this.charTable[" "].charWidth : this.charHeight >> 1;
+
+		if (!this.charTable[" "])
+			this.charTable[" "] = { charWidth: this.charWidth };
+	},
+
+	/**
+	**	Returns the glyph of the given character or null if the font does not have it.
+	*/
+	getGlyph: function (c)
+	{
+		return this.charTable[c] || null;
+	},
+
+	/**
+	**	Returns the kerning amount to apply between two characters.
+	*/
+	getKerning: function (a, b)
+	{
+		return this.kernings[a + b] || 0;
+	},
+
+	/**
+	**	Returns a version of the image tinted with the given color (the color is multiplied by the pixels of the image).
+	*/
+	getTintedImage: function (data, color)
+	{
+		let cache = this.tintCache.get(color);
+
+		if (cache !== undefined)
+		{
+			this.tintCache.delete(color);
+			this.tintCache.set(color, cache);
+
+			for (let i = 0; i < cache.length; i++)
+				if (cache[i][0] === data) return cache[i][1].elem;
+		}
+		else
+		{
+			while (this.tintCache.size >= this.tintCacheSize)
+				this.releaseTint(this.tintCache.keys().next().value);
+
+			this.tintCache.set(color, cache = []);
+		}
+
+		const temp = new Canvas ({ hidden: true }).resize (data.width, data.height);
+
+		temp.drawImage (data, 0, 0);
+		temp.globalCompositeOperation ("multiply").fillStyle(color).fillRect (0, 0, data.width, data.height);
+		temp.globalCompositeOperation ("destination-in").drawImage (data, 0, 0);
 
-			var c = this.charTable[text[i]];
+		System.displayBuffer.prepareImage (temp.elem);
+
+		cache.push ([data, temp]);
+		return temp.elem;
+	},
+
+	/**
+	**	Releases the tinted images of the given color (and their textures).
+	*/
+	releaseTint: function (color)
+	{
+		const cache = this.tintCache.get(color);
+		if (cache === undefined) return;
+
+		this.tintCache.delete(color);
+
+		for (let i = 0; i < cache.length; i++)
+		{
+			System.displayBuffer.releaseImage (cache[i][1].elem);
+			cache[i][1].dispose();
+		}
+	},
+
+	/**
+	**	Releases all the tinted images of the font.
+	*/
+	clearTintCache: function ()
+	{
+		for (let color of Array.from(this.tintCache.keys()))
+			this.releaseTint(color);
+	},
+
+	/**
+	**	Draws a glyph (as returned by getGlyph) at the given position, optionally tinted with a color.
+	*/
+	drawGlyph: function (g, c, x, y, color=null)
+	{
+		if (!c.data || !c.r_charWidth)
+			return;
+
+		g.drawImage (color ? this.getTintedImage(c.data, color) : c.data, c.x, c.y, c.r_charWidth, c.r_charHeight, x + c.xoffset, y + c.yoffset, c.width, c.height);
+	},
+
+	/**
+	**	Creates a multi-line layout of the given text (see TextLayout for the options).
+	*/
+	layout: function (text, options=null)
+	{
+		return new TextLayout (this, text, options);
+	},
+
+	draw: function (g, x, y, text)
+	{
+		var prev = null;
+
+		for (var ch of text)
+		{
+			var c = this.charTable[ch];
 			if (!c) continue;
 
-			g.drawImage (this.r.data, c.x, c.y, c.r_charWidth, this.r_charHeight, x, y, c.charWidth, this.charHeight);
+			if (prev !== null)
+				x += this.getKerning (prev, ch);
+
+			this.drawGlyph (g, c, x, y);
 
 			x += c.charWidth;
+			prev = ch;
 		}
 	},
 
 	measureWidth: function (text)
 	{
-		var n = text.length;
+		var prev = null;
 		var x = 0;
 
-		for (var i = 0; i < n; i++)
+		for (var ch of text)
 		{
-			var c = this.charTable[text[i]];
+			var c = this.charTable[ch];
 			if (!c) continue;
 
+			if (prev !== null)
+				x += this.getKerning (prev, ch);
+
 			x += c.charWidth;
+			prev = ch;
 		}
 
 		return x;
@@ -130,6 +314,63 @@ export default Class.extend
 	}
 });
 
+/**
+**	Parses a BMFont descriptor in text, XML or JSON format and returns an object with fields `info`, `common`, `pages` (array of file
+**	names), `chars` (array of { id, x, y, width, height, xoffset, yoffset, xadvance, page }) and `kernings` (array of { first, second,
+**	amount }).
+*/
+SpriteFont.parse = function (source)
+{
+	var font = { info: { }, common: { }, pages: [ ], chars: [ ], kernings: [ ] };
+
+	if (typeof(source) != "string")
+		source = JSON.stringify(source);
+
+	source = source.trim();
+
+	if (source[0] == "{")
+	{
+		var json = JSON.parse(source);
+
+		font.info = json.info || { };
+		font.common = json.common || { };
+		font.pages = json.pages || [ ];
+		font.chars = json.chars || [ ];
+		font.kernings = json.kernings || [ ];
+	}
+	else
+	{
+		// Text format has one tag per line, XML one tag per element, both use key=value attributes.
+		var tags = source[0] == "<" ? /<(\w+)\s+([^>]*?)\/?>/g : /^(\w+)[ \t]+(.*)$/gm;
+		var m;
+
+		while ((m = tags.exec(source)) != null)
+		{
+			var attr = { };
+			var re = /(\w+)=("([^"]*)"|\S+)/g, a;
+
+			while ((a = re.exec(m[2])) != null)
+			{
+				var value = a[3] !== undefined ? a[3] : a[2];
+				attr[a[1]] = value === "" || isNaN(value) ? value : Number(value);
+			}
+
+			switch (m[1])
+			{
+				case "info": font.info = attr; break;
+				case "common": font.common = attr; break;
+				case "page": font.pages[attr.id] = attr.file; break;
+				case "char": font.chars.push(attr); break;
+				case "kerning": font.kernings.push(attr); break;
+			}
+		}
+	}
+
+	if (!font.common.lineHeight)
+		throw new Error ("Invalid BMFont descriptor: 'lineHeight' was not found.");
+
+	return font;
+};
 
 Canvas.prototype.drawText = function (r, x, y, text)
 {
@@ -157,7 +398,17 @@ Canvas.prototype.drawTextAligned = function (r, x, y, w, h, ax, ay, text)
 	r.draw (this, x, y, text);
 };
 
+/**
+**	Draws a block of text (wrapped, aligned and with markup) using a sprite font, see TextLayout for the options.
+*/
+Canvas.prototype.drawTextBlock = function (r, x, y, text, options=null)
+{
+	r.layout (text.toString(), options).draw (this, x, y);
+};
+
 Canvas.prototype.drawTextAligned2 = function (r, bounds, ax, ay, text)
 {
 	this.drawTextAligned (r, bounds.x1, bounds.y1, bounds.width(), bounds.height(), ax, ay, text);
 };
+
+export default SpriteFont;
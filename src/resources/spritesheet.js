@@ -29,6 +29,16 @@ import Canvas from '../system/canvas.js';
 		config: {
 			frameWidth: int, frameHeight: int
 		}
+
+	If source is "atlas":
+		config: {
+			prefix: string?
+			--OR--
+			frames: Array<string>
+		}
+
+		The frames are the regions of the atlas with the given names, or the ones starting with the prefix in natural order (all regions
+		when no prefix is provided). The frame size is the size of the first region.
 		
 	NOTE: The sheetWidth, frameWidth and frameHeight should reflect the real image size. The system will automatically scale it if the source image is smaller/bigger.
 */
@@ -43,11 +53,44 @@ export default Class.extend
 
 	drawableCache: null,
 
+	/**
+	**	Regions used as frames when the source is an atlas.
+	*/
+	frames: null,
+
 	__ctor: function (r)
 	{
-		if ((r.type != "image" && r.type != "images"))
+		if ((r.type != "image" && r.type != "images" && r.type != "atlas"))
 			throw new Error ("Resource is not a sprite sheet.");
 
+		this.drawableCache = { };
+
+		this.r = r;
+		this.r.wrapper = this;
+
+		if (r.type == "atlas")
+		{
+			if (!r.config) r.config = { };
+
+			var names = r.config.frames || Object.keys(r.frames).filter(name => !r.config.prefix || name.startsWith(r.config.prefix))
+				.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+			this.frames = names.map(name => {
+				if (!(name in r.frames)) throw new Error ("Atlas region not found: " + name);
+				return r.frames[name];
+			});
+
+			if (!this.frames.length)
+				throw new Error ("No atlas regions found for the sprite sheet.");
+
+			this.width = this.frames[0].width;
+			this.height = this.frames[0].height;
+
+			this.numCols = this.numRows = 0;
+			this.numFrames = this.frames.length;
+			return;
+		}
+
 		var r_scale, v_scale;
 
 		if (r.type == "image")
@@ -99,11 +142,6 @@ export default Class.extend
 			this.numCols = this.numRows = 0;
 			this.numFrames = r.data.length;
 		}
-
-		this.drawableCache = { };
-
-		this.r = r;
-		this.r.wrapper = this;
 	},
 
 	drawFrame: function (g, x, y, frame, width=0, height=0)
@@ -114,7 +152,11 @@ export default Class.extend
 		if (!width) width = this.width;
 		if (!height) height = this.height;
 
-		if (this.numCols != 0)
+		if (this.frames)
+		{
+			this.frames[frame].draw (g, x, y, width, height);
+		}
+		else if (this.numCols != 0)
 		{
 			var j = ~~(frame / this.numCols) * this.r_frameHeight;
 			var i =  (frame % this.numCols) * this.r_frameWidth;
@@ -0,0 +1,204 @@
+/*
+**	resources/synth.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import Resources from './resources.js';
+import Random from '../math/random.js';
+
+/*
+	Synthesized sounds are described by the parameters below and rendered into an AudioBuffer when loaded, the same descriptor
+	always produces the same samples. Times are in seconds and frequencies in Hz:
+
+		{ type: "synth", wrapper: "Sound", track: "sfx",
+		  wave: "square" | "sawtooth" | "triangle" | "sine" | "noise", duty: 0.5,
+		  frequency: 440, slide: 0 (Hz/s), deltaSlide: 0 (Hz/s²), minFrequency: 20,
+		  attack: 0.01, decay: 0.1, sustain: 0.5 (level), sustainTime: 0.1, release: 0.2,
+		  vibrato: { depth: 0 (fraction of the frequency), speed: 0 (Hz) },
+		  arpeggio: { multiplier: 1, time: 0 },
+		  noise: 0 (amount of noise mixed into the wave),
+		  lowpass: { cutoff: 0, resonance: 0.707 }, highpass: { cutoff: 0, resonance: 0.707 },
+		  volume: 0.5, sampleRate: 44100, seed: 1 }
+*/
+
+/**
+**	Applies a biquad filter (lowpass or highpass) to the samples in place.
+*/
+const applyFilter = function (samples, type, cutoff, resonance, sampleRate)
+{
+	const w = 2 * Math.PI * Math.min(cutoff, sampleRate * 0.45) / sampleRate;
+	const alpha = Math.sin(w) / (2 * (resonance || 0.707));
+	const cos = Math.cos(w);
+
+	const b1 = type == "lowpass" ? 1 - cos : -(1 + cos);
+	const b0 = type == "lowpass" ? b1 / 2 : (1 + cos) / 2;
+	const b2 = b0;
+	const a0 = 1 + alpha, a1 = -2 * cos, a2 = 1 - alpha;
+
+	let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+
+	for (let i = 0; i < samples.length; i++)
+	{
+		const x = samples[i];
+		const y = (b0*x + b1*x1 + b2*x2 - a1*y1 - a2*y2) / a0;
+
+		x2 = x1; x1 = x;
+		y2 = y1; y1 = y;
+
+		samples[i] = y;
+	}
+};
+
+const Synth =
+{
+	/**
+	**	Default parameters of synthesized sounds.
+	*/
+	defaults: {
+		wave: "square", duty: 0.5,
+		frequency: 440, slide: 0, deltaSlide: 0, minFrequency: 20,
+		attack: 0.01, decay: 0.1, sustain: 0.5, sustainTime: 0.1, release: 0.2,
+		vibrato: null, arpeggio: null, noise: 0,
+		lowpass: null, highpass: null,
+		volume: 0.5, sampleRate: 44100, seed: 1
+	},
+
+	/**
+	**	Renders the sound described by the given parameters, returns a Float32Array of mono samples.
+	*/
+	render: function (params)
+	{
+		const p = { ...Synth.defaults, ...params };
+		const random = new Random(p.seed);
+
+		const sampleRate = p.sampleRate;
+		const duration = p.attack + p.decay + p.sustainTime + p.release;
+		const samples = new Float32Array(Math.max(1, Math.ceil(duration * sampleRate)));
+
+		let phase = 0;
+		let noiseValue = random.float()*2 - 1;
+		let noiseStep = 0;
+
+		for (let i = 0; i < samples.length; i++)
+		{
+			const t = i / sampleRate;
+
+			let frequency = p.frequency + p.slide*t + 0.5*p.deltaSlide*t*t;
+
+			if (p.arpeggio && p.arpeggio.time && t >= p.arpeggio.time)
+				frequency *= p.arpeggio.multiplier;
+
+			if (p.vibrato && p.vibrato.depth)
+				frequency *= 1 + p.vibrato.depth * Math.sin(2 * Math.PI * p.vibrato.speed * t);
+
+			frequency = Math.max(frequency, p.minFrequency);
+
+			phase += frequency / sampleRate;
+			phase -= Math.floor(phase);
+
+			// Noise changes its value 32 times per period, so its pitch follows the frequency.
+			if (~~(phase * 32) != noiseStep)
+			{
+				noiseStep = ~~(phase * 32);
+				noiseValue = random.float()*2 - 1;
+			}
+
+			let value;
+
+			switch (p.wave)
+			{
+				case "sine":
+					value = Math.sin(2 * Math.PI * phase);
+					break;
+
+				case "triangle":
+					value = 4 * Math.abs(phase - 0.5) - 1;
+					break;
+
+				case "sawtooth":
+					value = 2 * phase - 1;
+					break;
+
+				case "noise":
+					value = noiseValue;
+					break;
+
+				default:
+					value = phase < p.duty ? 1 : -1;
+					break;
+			}
+
+			if (p.noise)
+				value = value * (1 - p.noise) + noiseValue * p.noise;
+
+			samples[i] = value * Synth.envelope(p, t) * p.volume;
+		}
+
+		if (p.lowpass && p.lowpass.cutoff)
+			applyFilter (samples, "lowpass", p.lowpass.cutoff, p.lowpass.resonance, sampleRate);
+
+		if (p.highpass && p.highpass.cutoff)
+			applyFilter (samples, "highpass", p.highpass.cutoff, p.highpass.resonance, sampleRate);
+
+		for (let i = 0; i < samples.length; i++)
+			samples[i] = Math.max(-1, Math.min(1, samples[i]));
+
+		return samples;
+	},
+
+	/**
+	**	Returns the level of the ADSR envelope at time t.
+	*/
+	envelope: function (p, t)
+	{
+		if (t < p.attack)
+			return t / p.attack;
+
+		t -= p.attack;
+
+		if (t < p.decay)
+			return 1 - (1 - p.sustain) * (t / p.decay);
+
+		t -= p.decay;
+
+		if (t < p.sustainTime)
+			return p.sustain;
+
+		t -= p.sustainTime;
+
+		return t < p.release ? p.sustain * (1 - t / p.release) : 0;
+	},
+
+	/**
+	**	Renders the sound into an AudioBuffer of the given audio context.
+	*/
+	createBuffer: function (params, context)
+	{
+		const samples = Synth.render(params);
+		const buffer = context.createBuffer(1, samples.length, params.sampleRate || Synth.defaults.sampleRate);
+
+		buffer.getChannelData(0).set(samples);
+		return buffer;
+	}
+};
+
+/**
+**	Creates a descriptor for a synthesized sound resource.
+*/
+Resources.Synth = function (params, opts=null)
+{
+	return { type: "synth", wrapper: "Sound", ...params, ...opts };
+};
+
+export default Synth;
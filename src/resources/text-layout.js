@@ -0,0 +1,445 @@
+/*
+**	resources/text-layout.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+
+/*
+	Lays out text of a SpriteFont in multiple lines. Supported options:
+
+		maxWidth: float (wrap width, 0 to disable wrapping), align: "left" | "center" | "right" | "justify", lineSpacing: float,
+		maxLines: int, maxHeight: float, ellipsis: string, color: string, alpha: float, icons: { name: IDrawable }
+
+	The text can contain new lines and the following markup:
+
+		[c=#ff0]text[/c]		Color of the text (tint of the glyphs).
+		[a=0.5]text[/a]			Alpha of the text (multiplied by the parent alpha).
+		[icon=coin]				Drawable obtained from the icons option or from TextLayout.icons.
+		[fx=wave]text[/fx]		Comma-separated names of the effects of the glyphs (used by the Typewriter element).
+		[p=0.5]					Pause of the given duration (seconds) after the preceding character when revealing the text.
+		[[						Literal '[' character.
+
+	Tags without a value keep the current color, use an alpha of 1, have no effects or no pause, respectively.
+*/
+
+const TextLayout = Class.extend
+({
+	className: "TextLayout",
+
+	/**
+	**	Font used to layout the text.
+	*/
+	font: null,
+
+	/**
+	**	Size of the laid out text.
+	*/
+	width: 0, height: 0,
+
+	/**
+	**	Array of lines, each one is { y, width, start, end } where start and end are indices of the glyphs array.
+	*/
+	lines: null,
+
+	/**
+	**	Array of laid out glyphs, each one is { ch, glyph, icon, x, y, width, height, color, alpha, fx, line, index }, coordinates are relative
+	**	to the top-left corner of the layout. Spaces are not included but they are counted in the `index` field.
+	*/
+	glyphs: null,
+
+	/**
+	**	Total number of characters (including spaces and icons) of the visible text.
+	*/
+	length: 0,
+
+	/**
+	**	Array of pause markers, each one is { index, duration } where index is the number of characters shown before the pause.
+	*/
+	pauses: null,
+
+	/**
+	**	Indicates if the text was truncated.
+	*/
+	truncated: false,
+
+	__ctor: function (font, text, options=null)
+	{
+		this.font = font;
+		this.options = { maxWidth: 0, align: "left", lineSpacing: 0, maxLines: 0, maxHeight: 0, ellipsis: "...", color: null, alpha: 1, icons: null, ...options };
+
+		this.setText (text);
+	},
+
+	/**
+	**	Sets the text and updates the layout.
+	*/
+	setText: function (text)
+	{
+		this.text = String(text);
+
+		const items = this.parse (this.text);
+		const lines = this.wrap (items);
+
+		this.build (this.truncate (lines));
+		return this;
+	},
+
+	/**
+	**	Converts the text into an array of items { ch, glyph, icon, advance, color, alpha, fx, pause }, new lines have a `ch` of "\n". Pauses
+	**	found before any character are stored in `leadingPause`.
+	*/
+	parse: function (text)
+	{
+		const items = [];
+		const colors = [this.options.color];
+		const alphas = [this.options.alpha];
+		const effects = [null];
+
+		this.leadingPause = 0;
+
+		const re = /\[\[|\[(\/?)(\w+)(?:=([^\]]*))?\]/g;
+		let last = 0, m;
+
+		const add = (str) =>
+		{
+			for (let ch of str)
+			{
+				items.push ({
+					ch: ch, glyph: ch == "\n" ? null : this.font.getGlyph(ch), icon: null,
+					color: colors[colors.length-1], alpha: alphas[alphas.length-1], fx: effects[effects.length-1], pause: 0
+				});
+			}
+		};
+
+		while ((m = re.exec(text)) != null)
+		{
+			add (text.substring(last, m.index));
+			last = re.lastIndex;
+
+			if (m[0] == "[[") {
+				add ("[");
+				continue;
+			}
+
+			switch (m[2])
+			{
+				case "c":
+					if (m[1]) { if (colors.length > 1) colors.pop(); } else colors.push(m[3] || colors[colors.length-1]);
+					break;
+
+				case "a":
+				{
+					const alpha = parseFloat(m[3]);
+
+					if (m[1]) { if (alphas.length > 1) alphas.pop(); } else alphas.push(alphas[alphas.length-1] * (isNaN(alpha) ? 1 : alpha));
+					break;
+				}
+
+				case "icon":
+				{
+					const icon = (this.options.icons && this.options.icons[m[3]]) || TextLayout.icons[m[3]];
+					if (!icon) throw new Error ("TextLayout: icon not found: " + m[3]);
+
+					items.push ({ ch: null, glyph: null, icon: icon, color: colors[colors.length-1], alpha: alphas[alphas.length-1], fx: effects[effects.length-1], pause: 0 });
+					break;
+				}
+
+				case "fx":
+					if (m[1]) { if (effects.length > 1) effects.pop(); } else effects.push((m[3] || "").split(",").map(name => name.trim()).filter(name => name));
+					break;
+
+				case "p":
+					if (items.length)
+						items[items.length-1].pause += parseFloat(m[3]) || 0;
+					else
+						this.leadingPause += parseFloat(m[3]) || 0;
+					break;
+
+				default:
+					// Unknown tags are kept as text.
+					add (m[0]);
+					break;
+			}
+		}
+
+		add (text.substring(last));
+
+		for (let item of items)
+		{
+			if (item.icon)
+			{
+				const h = this.font.charHeight;
+				const scale = item.icon.height > h ? h / item.icon.height : 1;
+
+				item.width = item.icon.width * scale;
+				item.height = item.icon.height * scale;
+				item.advance = item.width;
+			}
+			else
+				item.advance = item.glyph ? item.glyph.charWidth : 0;
+		}
+
+		return items;
+	},
+
+	/**
+	**	Returns the advance of the item when placed after the given previous item (applies kerning).
+	*/
+	advance: function (prev, item)
+	{
+		if (prev && prev.glyph && item.glyph)
+			return item.advance + this.font.getKerning(prev.ch, item.ch);
+
+		return item.advance;
+	},
+
+	/**
+	**	Returns the width of a line of items, ignoring trailing spaces.
+	*/
+	measure: function (items)
+	{
+		let end = items.length;
+		while (end > 0 && items[end-1].ch == " ") end--;
+
+		let width = 0;
+		for (let i = 0; i < end; i++)
+			width += this.advance (i ? items[i-1] : null, items[i]);
+
+		return width;
+	},
+
+	/**
+	**	Splits the items into lines of at most `maxWidth` (when set), breaking at spaces when possible. Each line is { items, hard }, where
+	**	hard indicates that the line ended with a new line or the end of the text.
+	*/
+	wrap: function (items)
+	{
+		const maxWidth = this.options.maxWidth;
+		const lines = [];
+
+		let line = [];
+		let width = 0;
+
+		for (let item of items)
+		{
+			if (item.ch == "\n")
+			{
+				lines.push ({ items: line, hard: true });
+				line = [];
+				width = 0;
+				continue;
+			}
+
+			// Spaces at the beginning of wrapped lines are dropped (their pause is moved to the previous line).
+			if (item.ch == " " && !line.length && lines.length && !lines[lines.length-1].hard)
+			{
+				const prev = lines[lines.length-1].items;
+				if (item.pause && prev.length) prev[prev.length-1].pause += item.pause;
+				continue;
+			}
+
+			const advance = this.advance (line[line.length-1], item);
+
+			if (maxWidth && item.ch != " " && line.length && width + advance > maxWidth)
+			{
+				let k = line.length;
+				while (k > 0 && line[k-1].ch != " ") k--;
+
+				let rest = [];
+
+				if (k > 0)
+				{
+					rest = line.slice(k);
+					line = line.slice(0, k);
+				}
+
+				lines.push ({ items: line, hard: false });
+
+				line = rest;
+				width = this.measure (line);
+
+				line.push (item);
+				width += this.advance (line[line.length-2], item);
+				continue;
+			}
+
+			line.push (item);
+			width += advance;
+		}
+
+		lines.push ({ items: line, hard: true });
+		return lines;
+	},
+
+	/**
+	**	Limits the number of lines to `maxLines` or to the ones fitting in `maxHeight`, adding the ellipsis to the last visible line.
+	*/
+	truncate: function (lines)
+	{
+		const lineHeight = this.font.charHeight + this.options.lineSpacing;
+		let maxLines = this.options.maxLines;
+
+		if (this.options.maxHeight)
+		{
+			const n = Math.max(1, ~~((this.options.maxHeight + this.options.lineSpacing) / lineHeight));
+			maxLines = maxLines ? Math.min(maxLines, n) : n;
+		}
+
+		this.truncated = maxLines > 0 && lines.length > maxLines;
+		if (!this.truncated) return lines;
+
+		lines = lines.slice(0, maxLines);
+
+		const line = lines[lines.length-1];
+		const style = line.items.length ? line.items[line.items.length-1] : { color: this.options.color, alpha: this.options.alpha };
+
+		const ellipsis = [...this.options.ellipsis].map(ch => {
+			const glyph = this.font.getGlyph(ch);
+			return { ch: ch, glyph: glyph, icon: null, advance: glyph ? glyph.charWidth : 0, color: style.color, alpha: style.alpha, fx: style.fx || null, pause: 0 };
+		});
+
+		const ellipsisWidth = this.measure (ellipsis);
+
+		while (line.items.length && (line.items[line.items.length-1].ch == " " || (this.options.maxWidth && this.measure(line.items) + ellipsisWidth > this.options.maxWidth)))
+			line.items.pop();
+
+		line.items.push (...ellipsis);
+		line.hard = true;
+
+		return lines;
+	},
+
+	/**
+	**	Positions the glyphs of the lines according to the alignment.
+	*/
+	build: function (lines)
+	{
+		const lineHeight = this.font.charHeight + this.options.lineSpacing;
+		const align = this.options.align;
+
+		let maxWidth = 0;
+		for (let line of lines)
+			maxWidth = Math.max(maxWidth, line.width = this.measure(line.items));
+
+		const boxWidth = this.options.maxWidth || maxWidth;
+
+		this.lines = [];
+		this.glyphs = [];
+		this.pauses = [];
+		this.length = 0;
+
+		if (this.leadingPause)
+			this.pauses.push ({ index: 0, duration: this.leadingPause });
+
+		lines.forEach((line, index) =>
+		{
+			const y = index * lineHeight;
+			let x = 0, gap = 0;
+
+			if (align == "center")
+				x = (boxWidth - line.width) / 2;
+			else if (align == "right")
+				x = boxWidth - line.width;
+			else if (align == "justify" && !line.hard)
+			{
+				let end = line.items.length;
+				while (end > 0 && line.items[end-1].ch == " ") end--;
+
+				let spaces = 0;
+				for (let i = 0; i < end; i++) if (line.items[i].ch == " ") spaces++;
+
+				if (spaces) gap = (boxWidth - line.width) / spaces;
+			}
+
+			const start = this.glyphs.length;
+
+			line.items.forEach((item, i) =>
+			{
+				const advance = this.advance (i ? line.items[i-1] : null, item);
+				const index = this.length++;
+
+				if (item.icon)
+				{
+					this.glyphs.push ({
+						ch: null, glyph: null, icon: item.icon, x: x, y: y + (this.font.charHeight - item.height) / 2, width: item.width, height: item.height,
+						color: item.color, alpha: item.alpha, fx: item.fx, line: this.lines.length, index: index
+					});
+				}
+				else if (item.glyph && item.glyph.data && item.glyph.r_charWidth)
+				{
+					const kerning = advance - item.advance;
+
+					this.glyphs.push ({
+						ch: item.ch, glyph: item.glyph, icon: null, x: x + kerning, y: y, width: item.glyph.width, height: item.glyph.height,
+						color: item.color, alpha: item.alpha, fx: item.fx, line: this.lines.length, index: index
+					});
+				}
+
+				if (item.pause)
+					this.pauses.push ({ index: index+1, duration: item.pause });
+
+				x += advance;
+				if (item.ch == " ") x += gap;
+			});
+
+			this.lines.push ({ y: y, width: gap ? boxWidth : line.width, start: start, end: this.glyphs.length });
+		});
+
+		this.width = boxWidth;
+		this.height = lines.length ? lines.length * lineHeight - this.options.lineSpacing : 0;
+	},
+
+	/**
+	**	Draws a glyph of the layout at the given position (the position of the glyph is not added). When `color` is provided it is used
+	**	instead of the color of the glyph.
+	*/
+	drawGlyph: function (g, glyph, x, y, color=null)
+	{
+		if (glyph.icon)
+			glyph.icon.draw (g, x, y, glyph.width, glyph.height);
+		else
+			this.font.drawGlyph (g, glyph.glyph, x, y, color || glyph.color);
+	},
+
+	/**
+	**	Draws the laid out text with its top-left corner at the given position. When `count` is provided only the glyphs with an index
+	**	less than it are drawn.
+	*/
+	draw: function (g, x=0, y=0, count=null)
+	{
+		for (let glyph of this.glyphs)
+		{
+			if (count !== null && glyph.index >= count)
+				break;
+
+			if (glyph.alpha != 1)
+			{
+				g.pushAlpha();
+				g.alpha(glyph.alpha);
+				this.drawGlyph (g, glyph, x + glyph.x, y + glyph.y);
+				g.popAlpha();
+			}
+			else
+				this.drawGlyph (g, glyph, x + glyph.x, y + glyph.y);
+		}
+	}
+});
+
+/**
+**	Global icons available to all layouts, map of names to drawables.
+*/
+TextLayout.icons = { };
+
+export default TextLayout;
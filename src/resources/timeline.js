@@ -0,0 +1,251 @@
+/*
+**	resources/timeline.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+import Resources from './resources.js';
+import Anim from '../anim/anim.js';
+import Easing from '../anim/easing.js';
+
+/*
+	Timelines describe an Anim program in JSON, and are loaded with the "timeline" resource type (from `src` or inline in `data`):
+
+		{ type: "timeline", wrapper: "Timeline", src: "assets/anims/menu-in.json" }
+
+	The program has the format below, easing names are of the form "Group.VARIANT" (i.e. "Back.OUT", see Easing), and `from` can be
+	omitted to start from the current value of the field:
+
+		{
+			initial: { alpha: 0 },
+			speed: 1,
+			commands: [
+				{ op: "parallel" | "serial", commands: [ ... ] },
+				{ op: "repeat", count: 2, pingpong: false, commands: [ ... ] },
+				{ op: "label", name: "shown" },
+				{ op: "set", field: "x", value: 10 },
+				{ op: "wait", duration: 0.5 },
+				{ op: "range", field: "alpha", duration: 0.5, from: 0, to: 1, easing: "Quad.OUT" },
+				{ op: "color", field: "tint", duration: 0.5, from: "#fff", to: "#f00", space: "hsl", easing: "Linear.IN" },
+				{ op: "vec2" | "array", field: "pos", duration: 0.5, from: [0, 0], to: [1, 1], easing: "Linear.IN" },
+				{ op: "path", duration: 2, points: [[0, 0], [10, 20]], options: { orient: true }, easing: "Linear.IN" },
+				{ op: "spring", field: "y", to: 100, options: { stiffness: 170, dampingRatio: 0.5 } },
+				{ op: "play", sound: "click" },
+				{ op: "call", name: "onShown", args: [ ] }
+			]
+		}
+
+	Sounds are obtained from the `sounds` option and callbacks from the `callbacks` option or from the methods of the target.
+*/
+
+const Timeline = Class.extend
+({
+	className: "Timeline",
+
+	/**
+	**	Resource descriptor and program of the timeline.
+	*/
+	r: null,
+	program: null,
+
+	__ctor: function (r)
+	{
+		if (r.type != "timeline")
+			throw new Error ("Resource is not a timeline.");
+
+		this.r = r;
+		this.r.wrapper = this;
+
+		this.program = r.data;
+		Timeline.validate(this.program.commands, r.resName || "timeline");
+	},
+
+	/**
+	**	Adds the commands of the timeline to the specified Anim (a new one is created if none provided) and returns it. Options are { target,
+	**	callbacks, sounds } where `target` is the object on which callbacks are executed (defaults to the output of the anim).
+	*/
+	build: function (anim=null, options=null)
+	{
+		if (anim === null) anim = new Anim();
+
+		options = { target: null, callbacks: null, sounds: null, ...options };
+		if (options.target === null) options.target = anim.data;
+
+		// The initial values are merged with the ones of the anim (a new object is used since it can be shared by clones).
+		if (this.program.initial)
+		{
+			anim.initialData = { ...anim.initialData, ...this.program.initial };
+
+			for (let i in this.program.initial)
+				anim.data[i] = this.program.initial[i];
+		}
+
+		if (this.program.speed)
+			anim.speed(this.program.speed);
+
+		this.compile(anim, this.program.commands, options);
+		return anim;
+	},
+
+	/**
+	**	Replaces the animation of an element with the timeline and returns the element's Anim object.
+	*/
+	apply: function (element, options=null)
+	{
+		element.anim.clear();
+		return this.build(element.anim, { target: element, ...options });
+	},
+
+	/**
+	**	Adds the specified commands to the anim.
+	*/
+	compile: function (anim, commands, options)
+	{
+		for (let cmd of commands)
+		{
+			switch (cmd.op)
+			{
+				case "parallel": case "serial":
+					anim[cmd.op]();
+					this.compile(anim, cmd.commands, options);
+					anim.end();
+					break;
+
+				case "repeat":
+					anim.repeat(cmd.count, !!cmd.pingpong);
+					this.compile(anim, cmd.commands, options);
+					anim.end();
+					break;
+
+				case "set":
+					anim.set(cmd.field, cmd.value);
+					break;
+
+				case "label":
+					anim.label(cmd.name);
+					break;
+
+				case "wait":
+					anim.wait(cmd.duration);
+					break;
+
+				case "range":
+					anim.range(cmd.field, cmd.duration, value(cmd.from), cmd.to, Timeline.getEasing(cmd.easing));
+					break;
+
+				case "color":
+					anim.color(cmd.field, cmd.duration, value(cmd.from), cmd.to, Timeline.getEasing(cmd.easing), cmd.space || 'rgb');
+					break;
+
+				case "vec2": case "array":
+					anim[cmd.op](cmd.field, cmd.duration, value(cmd.from), cmd.to, Timeline.getEasing(cmd.easing));
+					break;
+
+				case "path":
+					anim.path(cmd.duration, cmd.points, cmd.options, Timeline.getEasing(cmd.easing));
+					break;
+
+				case "spring":
+					anim.spring(cmd.field, cmd.to, cmd.options);
+					break;
+
+				case "play":
+					if (!options.sounds || !options.sounds[cmd.sound])
+						throw new Error ("Timeline: sound not found: " + cmd.sound);
+
+					anim.play(options.sounds[cmd.sound]);
+					break;
+
+				case "call":
+				{
+					let target = options.target;
+					let fn = options.callbacks && options.callbacks[cmd.name];
+
+					if (!fn && target && typeof(target[cmd.name]) == 'function')
+						fn = target[cmd.name];
+
+					if (!fn)
+						throw new Error ("Timeline: callback not found: " + cmd.name);
+
+					let args = cmd.args || [];
+					anim.exec(() => { fn.apply(target, args); return true; });
+					break;
+				}
+			}
+		}
+	}
+});
+
+/*
+**	Converts an undefined `from` value to null (current value of the field).
+*/
+const value = function (value)
+{
+	return value === undefined ? null : value;
+};
+
+/**
+**	Returns the easing function given its name ("Group.VARIANT"), or null if no name is provided.
+*/
+Timeline.getEasing = function (name)
+{
+	if (!name) return null;
+
+	let path = name.split('.');
+	let fn = path.length == 2 && Easing[path[0]] ? Easing[path[0]][path[1]] : null;
+
+	if (typeof(fn) != 'function')
+		throw new Error ("Timeline: unknown easing: " + name);
+
+	return fn;
+};
+
+/**
+**	Verifies the structure of a list of commands, throws an error if an invalid command is found.
+*/
+Timeline.validate = function (commands, name)
+{
+	if (!Array.isArray(commands))
+		throw new Error ("Timeline: commands should be an array: " + name);
+
+	for (let cmd of commands)
+	{
+		switch (cmd.op)
+		{
+			case "parallel": case "serial": case "repeat":
+				Timeline.validate(cmd.commands, name);
+				break;
+
+			case "range": case "color": case "vec2": case "array": case "path":
+				Timeline.getEasing(cmd.easing);
+				break;
+
+			case "set": case "wait": case "label": case "play": case "call": case "spring":
+				break;
+
+			default:
+				throw new Error ("Timeline: invalid command '" + cmd.op + "': " + name);
+		}
+	}
+};
+
+/**
+**	Returns a timeline resource descriptor with an inline program.
+*/
+Resources.Timeline = function (program, opts=null)
+{
+	return { type: "timeline", wrapper: "Timeline", data: program, ...opts };
+};
+
+export default Timeline;
@@ -18,6 +18,12 @@ import _Drawable from './drawable.js'; export const Drawable = _Drawable;
 import _Placeholder from './placeholder.js'; export const Placeholder = _Placeholder;
 import _Spritesheet from './spritesheet.js'; export const Spritesheet = _Spritesheet;
 import _SpritesheetAnimation from './spritesheet-animation.js'; export const SpritesheetAnimation = _SpritesheetAnimation;
+import _Atlas from './atlas.js'; export const Atlas = _Atlas;
+import _AtlasRegion from './atlas-region.js'; export const AtlasRegion = _AtlasRegion;
 import _SpriteFont from './spritefont.js'; export const SpriteFont = _SpriteFont;
+import _TextLayout from './text-layout.js'; export const TextLayout = _TextLayout;
 import _Sound from './sound.js'; export const Sound = _Sound;
 import _SoundArray from './sound-array.js'; export const SoundArray = _SoundArray;
+import _MusicPlayer from './music-player.js'; export const MusicPlayer = _MusicPlayer;
+import _Synth from './synth.js'; export const Synth = _Synth;
+import _Timeline from './timeline.js'; export const Timeline = _Timeline;
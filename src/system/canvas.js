@@ -16,7 +16,9 @@
 
 import { Rin } from '@rsthn/rin';
 import Matrix from '../math/matrix.js';
+import Path from '../math/path.js';
 import Log from './log.js';
+import RenderTarget from './render-target.js';
 import System from './system.js';
 
 /**
@@ -61,6 +63,10 @@ const Canvas = function (options=null)
 
 	if (!this.elem.getContext) return;
 
+	// Rendering statistics (WebGL only).
+	this.stats = null;
+	this.lastStats = null;
+
 	if (opts.gl === true)
 	{
 		this.gl = this.elem.getContext("webgl2");
@@ -83,10 +89,15 @@ const Canvas = function (options=null)
 	// State stack support.
 	this.matrixStack = [];
 	this.alphaStack = [];
+	this.targetStack = [];
 
 	this.matr = new Matrix ();
 	this.transform = new Matrix ();
 
+	// Paths in WebGL mode are transformed with the active transformation matrix.
+	if (this.gl != null)
+		this.gl_path.matrix = this.gl_temp_path.matrix = this.transform.data;
+
 	// Default alpha value.
 	this._alpha = 1.0;
 	this._globalScale = 1.0;
@@ -215,10 +226,104 @@ Canvas.passThruCanvas =
 
 
 /**
-**	Compiles a shader and attaches it to the program.
+**	Maximum number of quads accumulated by the WebGL sprite batch before a flush is forced.
+*/
+Canvas.GL_BATCH_QUADS = 4096;
+
+/**
+**	Maximum number of vertices accumulated by the WebGL shape batch before a flush is forced (must be a multiple of 3).
+*/
+Canvas.GL_BATCH_VERTICES = 12288;
+
+/**
+**	Number of floats per vertex used by the WebGL sprite batch (x, y, u, v, alpha).
+*/
+Canvas.GL_VERTEX_SIZE = 5;
+
+/**
+**	Number of floats per vertex used by the WebGL shape batch (x, y, r, g, b, a).
+*/
+Canvas.GL_SHAPE_VERTEX_SIZE = 6;
+
+/**
+**	Maximum number of text images kept in the cache used to draw text in WebGL mode.
+*/
+Canvas.GL_TEXT_CACHE_SIZE = 256;
+
+/**
+**	Vertex shader used by the WebGL sprite batch and by all custom shaders.
+*/
+Canvas.GL_VERTEX_SHADER = `#version 300 es
+
+	in vec2 location;
+	in vec2 texcoords;
+	in float alpha;
+
+	uniform vec2 screen_size;
+
+	out vec2 f_texcoords;
+	out float f_alpha;
+
+	void main() {
+		gl_Position = vec4(((location/screen_size)*2.0-vec2(1.0, 1.0))*vec2(1.0, -1.0), 0.0, 1.0);
+		f_texcoords = texcoords;
+		f_alpha = alpha;
+	}
+`;
+
+/**
+**	Header added to the fragment shaders given to `registerShader` when they do not start with a `#version` directive.
 */
+Canvas.GL_FRAGMENT_HEADER = `#version 300 es
+
+	precision highp float;
+
+	uniform sampler2D tex;
+	in vec2 f_texcoords;
+	in float f_alpha;
 
-Canvas.prototype.buildShader = function (program, type, source)
+	out vec4 color;
+`;
+
+/**
+**	Fragment shader used by the default sprite shader.
+*/
+Canvas.GL_FRAGMENT_SHADER = `
+	void main() {
+		color = texture(tex, f_texcoords);
+		color.a *= f_alpha;
+	}
+`;
+
+/**
+**	Number of source lines shown before and after each offending line when a shader fails to compile.
+*/
+Canvas.GL_ERROR_CONTEXT_LINES = 2;
+
+/**
+**	Blend functions used in WebGL mode for each supported composite operation.
+*/
+Canvas.GL_BLEND_MODES =
+{
+	'source-over': ['SRC_ALPHA', 'ONE_MINUS_SRC_ALPHA'],
+	'source-atop': ['DST_ALPHA', 'ONE_MINUS_SRC_ALPHA'],
+	'destination-over': ['ONE_MINUS_DST_ALPHA', 'ONE'],
+	'destination-in': ['ZERO', 'SRC_ALPHA'],
+	'destination-out': ['ZERO', 'ONE_MINUS_SRC_ALPHA'],
+	'lighter': ['SRC_ALPHA', 'ONE'],
+	'copy': ['ONE', 'ZERO'],
+	'multiply': ['DST_COLOR', 'ONE_MINUS_SRC_ALPHA'],
+	'screen': ['ONE', 'ONE_MINUS_SRC_COLOR']
+};
+
+
+/**
+**	Compiles a shader and attaches it to the program. When compilation fails an error is thrown with the info log of the compiler followed
+**	by the source lines referenced by the log. The first `headerLines` lines of the source are a header added by the library, these are
+**	excluded from the error and the line numbers are relative to the rest of the source.
+*/
+
+Canvas.prototype.buildShader = function (program, type, source, headerLines=0)
 {
 	const gl = this.gl;
 
@@ -227,12 +332,139 @@ Canvas.prototype.buildShader = function (program, type, source)
 	gl.compileShader(shader);
 
 	if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS))
-		throw new Error ('compilerShader: ' + gl.getShaderInfoLog(shader));
+	{
+		let log = String(gl.getShaderInfoLog(shader) || '').trim();
+		gl.deleteShader(shader);
+
+		if (headerLines)
+		{
+			source = source.split('\n').slice(headerLines).join('\n');
+			log = log.replace(/((?:ERROR|WARNING):\s*\d+:)(\d+):/g, (m, prefix, line) => prefix + (line - headerLines) + ':');
+		}
+
+		throw new Error ('buildShader: unable to compile ' + (type == gl.VERTEX_SHADER ? 'vertex' : 'fragment') + ' shader\n' + log + formatSourceLines(source, log));
+	}
 
 	gl.attachShader(program, shader);
 };
 
 
+/**
+**	Returns the source lines referenced by a shader info log (i.e. "ERROR: 0:12: ..."), each one surrounded by a few lines of context.
+*/
+const formatSourceLines = function (source, log)
+{
+	const lines = source.split('\n');
+	const marked = { };
+	const context = Canvas.GL_ERROR_CONTEXT_LINES;
+
+	let re = /(?:ERROR|WARNING):\s*\d+:(\d+):/g, m;
+	while ((m = re.exec(log)) != null)
+		marked[m[1]] = true;
+
+	let visible = [];
+
+	for (let n in marked)
+	{
+		if (n < 1) continue;
+
+		for (let i = Math.max(1, n-context); i <= Math.min(lines.length, Number(n)+context); i++)
+			visible[i] = true;
+	}
+
+	let output = '';
+	let last = 0;
+
+	for (let i = 1; i < visible.length; i++)
+	{
+		if (!visible[i]) continue;
+
+		if (last && i != last+1)
+			output += '\n   ...';
+
+		output += '\n' + (marked[i] ? '>' : ' ') + String(i).padStart(4) + ' | ' + lines[i-1];
+		last = i;
+	}
+
+	return output ? '\n' + output : '';
+};
+
+
+/**
+**	Creates and links a program with the given vertex and fragment shader sources. The attributes are bound to locations 0, 1, 2, ... in
+**	the order given in the `attribs` array, this allows a single vertex array object to be used with several programs. The number of lines
+**	of a header prepended to the fragment source can be given to report compile errors relative to the original source.
+**
+**	>> WebGLProgram buildProgram (string vertexSource, string fragmentSource, Array attribs, int fragmentHeaderLines=0);
+*/
+
+Canvas.prototype.buildProgram = function (vertexSource, fragmentSource, attribs, fragmentHeaderLines=0)
+{
+	const gl = this.gl;
+	const program = gl.createProgram();
+
+	try {
+		this.buildShader (program, gl.VERTEX_SHADER, vertexSource);
+		this.buildShader (program, gl.FRAGMENT_SHADER, fragmentSource, fragmentHeaderLines);
+	}
+	catch (e) {
+		gl.deleteProgram (program);
+		throw e;
+	}
+
+	for (let i = 0; i < attribs.length; i++)
+		gl.bindAttribLocation (program, i, attribs[i]);
+
+	gl.linkProgram (program);
+
+	if (!gl.getProgramParameter(program, gl.LINK_STATUS))
+	{
+		const log = String(gl.getProgramInfoLog(program) || '').trim();
+		gl.deleteProgram(program);
+
+		throw new Error ('buildProgram: unable to link program\n' + log);
+	}
+
+	return program;
+};
+
+
+/**
+**	Creates a vertex array object with an associated dynamic vertex buffer of the given size (in bytes). Each element of `attribs` is the
+**	number of floats of the attribute at that location.
+*/
+
+Canvas.prototype.buildVertexArray = function (byteLength, attribs, indices=null)
+{
+	const gl = this.gl;
+	const result = { vertexArray: gl.createVertexArray(), buffer: gl.createBuffer(), indexBuffer: null };
+
+	gl.bindVertexArray (result.vertexArray);
+
+	gl.bindBuffer (gl.ARRAY_BUFFER, result.buffer);
+	gl.bufferData (gl.ARRAY_BUFFER, byteLength, gl.DYNAMIC_DRAW);
+
+	if (indices != null)
+	{
+		result.indexBuffer = gl.createBuffer();
+		gl.bindBuffer (gl.ELEMENT_ARRAY_BUFFER, result.indexBuffer);
+		gl.bufferData (gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+	}
+
+	let stride = 0;
+	for (let i = 0; i < attribs.length; i++) stride += attribs[i];
+
+	for (let i = 0, offset = 0; i < attribs.length; offset += attribs[i++])
+	{
+		gl.enableVertexAttribArray (i);
+		gl.vertexAttribPointer (i, attribs[i], gl.FLOAT, false, stride*Float32Array.BYTES_PER_ELEMENT, offset*Float32Array.BYTES_PER_ELEMENT);
+	}
+
+	gl.bindVertexArray (null);
+	return result;
+};
+
+
 /**
 **	Initializes the OpenGL ES context.
 */
@@ -240,163 +472,889 @@ Canvas.prototype.initGl = function ()
 {
 	let gl = this.gl;
 
-	this.gl_array_buffer = gl.createBuffer();
-	gl.bindBuffer (gl.ARRAY_BUFFER, this.gl_array_buffer);
-	gl.bufferData (gl.ARRAY_BUFFER, new Float32Array ([0, 0, 0, 1, 1, 0, 1, 1]), gl.STATIC_DRAW);
-
-	this.gl_program = gl.createProgram();
+	// Textured quads (images, sprites and text), custom shaders use the same vertex stage.
+	this.gl_shaders = { };
+	this.gl_shader = this.gl_shaders['default'] = this.glCreateShader ('default', Canvas.GL_FRAGMENT_SHADER);
 
-	this.buildShader (this.gl_program, gl.VERTEX_SHADER,
+	// Solid color triangles (rectangles, paths and lines).
+	this.gl_shape_program = this.buildProgram (
 	`#version 300 es
 
 		in vec2 location;
+		in vec4 color;
 
 		uniform vec2 screen_size;
-		uniform vec2 texture_size;
-		uniform mat3 location_matrix;
-		uniform mat3 texture_matrix;
-		uniform mat3 current_matrix;
-		uniform sampler2D texture;
 
-		out vec2 f_texcoords;
+		out vec4 f_color;
 
 		void main() {
-			gl_Position = vec4(((vec2(current_matrix*location_matrix*vec3(location, 1.0))/screen_size)*2.0-vec2(1.0, 1.0))*vec2(1.0, -1.0), 0.0, 1.0);
-			f_texcoords = vec2(texture_matrix*vec3(location, 1.0))/texture_size;
+			gl_Position = vec4(((location/screen_size)*2.0-vec2(1.0, 1.0))*vec2(1.0, -1.0), 0.0, 1.0);
+			f_color = color;
 		}
-	`);
-
-	this.buildShader (this.gl_program, gl.FRAGMENT_SHADER,
+	`,
 	`#version 300 es
 
 		precision highp float;
 
-		uniform sampler2D tex;
-		in vec2 f_texcoords;
+		in vec4 f_color;
+		out vec4 color;
+
+		void main() {
+			color = f_color;
+		}
+	`,
+	['location', 'color']);
+
+	/* **** */
+	gl.clearColor (0, 0, 0, 0);
+
+	gl.disable (gl.DEPTH_TEST);
+	gl.clearDepth (0.0);
+	gl.depthFunc (gl.GEQUAL);
+
+	gl.enable (gl.BLEND);
+	gl.blendFunc (gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+	/* **** */
+	this.gl_uniform_shape_screen_size = gl.getUniformLocation(this.gl_shape_program, 'screen_size');
+
+	/* **** */
+	this.gl_vertices = new Float32Array (Canvas.GL_BATCH_QUADS * 4 * Canvas.GL_VERTEX_SIZE);
+	this.gl_quad_count = 0;
+
+	// Each quad is made of vertices (x0,y0), (x1,y0), (x0,y1) and (x1,y1), drawn as two triangles.
+	let indices = new Uint16Array (Canvas.GL_BATCH_QUADS * 6);
+
+	for (let i = 0, j = 0; i < indices.length; i += 6, j += 4)
+	{
+		indices[i+0] = j+0;
+		indices[i+1] = j+1;
+		indices[i+2] = j+2;
+		indices[i+3] = j+2;
+		indices[i+4] = j+1;
+		indices[i+5] = j+3;
+	}
+
+	let va = this.buildVertexArray (this.gl_vertices.byteLength, [2, 2, 1], indices);
+	this.gl_vertex_array = va.vertexArray;
+	this.gl_array_buffer = va.buffer;
+	this.gl_index_buffer = va.indexBuffer;
+
+	this.gl_shape_vertices = new Float32Array (Canvas.GL_BATCH_VERTICES * Canvas.GL_SHAPE_VERTEX_SIZE);
+	this.gl_shape_count = 0;
+
+	va = this.buildVertexArray (this.gl_shape_vertices.byteLength, [2, 4]);
+	this.gl_shape_vertex_array = va.vertexArray;
+	this.gl_shape_array_buffer = va.buffer;
+
+	/* **** */
+	this.gl_batch = 'sprite';
+	this.gl_active_texture = null;
+	this.gl_active_blend = 'source-over';
+
+	// Context attributes (fillStyle, strokeStyle, etc) used when there is no 2D context.
+	this.gl_state = {
+		fillStyle: '#000', strokeStyle: '#000', lineWidth: 1, lineCap: 'butt', lineJoin: 'miter', miterLimit: 10,
+		font: '10px sans-serif', textAlign: 'start', textBaseline: 'alphabetic', globalCompositeOperation: 'source-over',
+		shadowColor: '#000', shadowOffsetX: 0, shadowOffsetY: 0, shadowBlur: 0
+	};
+
+	this.gl_path = new Path();
+	this.gl_temp_path = new Path();
+
+	this.gl_triangles = [];
+
+	this.gl_text_canvas = null;
+	this.gl_text_cache = new Map();
+
+	this.gl_post_passes = [];
+	this.gl_post_images = [null, null];
+	this.gl_post_active = false;
+
+	this.resetStats();
+
+	// drawImage (Image img, float x, float y);
+	// drawImage (Image img, float x, float y, float w, float h);
+	// drawImage (Image img, float sx, float sy, float sw, float sh, float dx, float dy, float dw, float dh);
+	this.drawImage = function (...args)
+	{
+		const img = args[0];
+
+		if (!img.gl_ready)
+			return this;
+
+		// [3] image, x, y
+		if (args.length == 3)
+			return this.glPushQuad (img, 0, 0, img.width, img.height, args[1], args[2], img.width, img.height);
+
+		// [5] image, x, y, width, height
+		if (args.length == 5)
+			return this.glPushQuad (img, 0, 0, img.width, img.height, args[1], args[2], args[3], args[4]);
+
+		// [9] image, sx, sy, sw, sh, dx, dy, dw, dh
+		return this.glPushQuad (img, args[1], args[2], args[3], args[4], args[5], args[6], args[7], args[8]);
+	};
+};
+
+
+/**
+**	Writes a vertex transformed by the given matrix data into the vertex array at index k, returns the index of the next vertex.
+*/
+const glPutVertex = function (v, k, m, x, y, u, t, alpha)
+{
+	v[k+0] = m[0]*x + m[3]*y + m[6];
+	v[k+1] = m[1]*x + m[4]*y + m[7];
+	v[k+2] = u;
+	v[k+3] = t;
+	v[k+4] = alpha;
+
+	return k + Canvas.GL_VERTEX_SIZE;
+};
+
+
+/**
+**	Selects the active WebGL batch (sprite or shape), the current one is flushed if it is different.
+**
+**	>> Canvas glUseBatch (string name);
+*/
+
+Canvas.prototype.glUseBatch = function (name)
+{
+	if (this.gl_batch !== name)
+	{
+		this.flush('batch');
+		this.gl_batch = name;
+	}
+
+	return this;
+};
+
+
+/**
+**	Adds a textured quad to the WebGL batch. The source rectangle (sx,sy,sw,sh) is in image pixels and the destination rectangle (dx,dy,dw,dh)
+**	is transformed with the current transformation matrix. The batch is flushed if the texture changes or if it is full.
+**
+**	>> Canvas glPushQuad (Image img, float sx, float sy, float sw, float sh, float dx, float dy, float dw, float dh);
+*/
+
+Canvas.prototype.glPushQuad = function (img, sx, sy, sw, sh, dx, dy, dw, dh)
+{
+	this.glUseBatch ('sprite');
+
+	if (this.gl_active_texture !== img.gl_texture)
+	{
+		this.flush('texture');
+		this.gl_active_texture = img.gl_texture;
+	}
+
+	if (this.gl_quad_count == Canvas.GL_BATCH_QUADS)
+		this.flush('full');
+
+	const m = this.transform.data;
+	const v = this.gl_vertices;
+	const alpha = this._alpha;
+
+	const u0 = sx / img.width;
+	const u1 = (sx + sw) / img.width;
+
+	// Framebuffer textures are stored bottom-up.
+	const t0 = img.gl_flipped ? 1 - sy / img.height : sy / img.height;
+	const t1 = img.gl_flipped ? 1 - (sy + sh) / img.height : (sy + sh) / img.height;
+
+	let k = this.gl_quad_count * 4 * Canvas.GL_VERTEX_SIZE;
+
+	k = glPutVertex (v, k, m, dx, dy, u0, t0, alpha);
+	k = glPutVertex (v, k, m, dx+dw, dy, u1, t0, alpha);
+	k = glPutVertex (v, k, m, dx, dy+dh, u0, t1, alpha);
+	k = glPutVertex (v, k, m, dx+dw, dy+dh, u1, t1, alpha);
+
+	this.gl_quad_count++;
+	this.stats.quads++;
+
+	return this;
+};
+
+
+/**
+**	Adds solid color triangles to the WebGL shape batch. The coordinates (x,y pairs, three vertices per triangle) must be already transformed,
+**	and the color is an array [r, g, b, a] with components from 0 to 1, the alpha is multiplied by the current global alpha.
+**
+**	>> Canvas glPushTriangles (Array coords, Array color);
+*/
+
+Canvas.prototype.glPushTriangles = function (coords, color)
+{
+	if (!color || !coords.length)
+		return this;
+
+	this.glUseBatch ('shape');
+
+	const v = this.gl_shape_vertices;
+	const a = color[3] * this._alpha;
+	const n = coords.length >> 1;
+
+	for (let i = 0; i < n; i++)
+	{
+		if (i % 3 == 0 && this.gl_shape_count + 3 > Canvas.GL_BATCH_VERTICES)
+			this.flush('full');
+
+		let k = this.gl_shape_count++ * Canvas.GL_SHAPE_VERTEX_SIZE;
+
+		v[k+0] = coords[2*i];
+		v[k+1] = coords[2*i+1];
+		v[k+2] = color[0];
+		v[k+3] = color[1];
+		v[k+4] = color[2];
+		v[k+5] = a;
+	}
+
+	this.stats.triangles += ~~(n / 3);
+	return this;
+};
+
+
+/**
+**	Fills the given path using the current fill style (WebGL mode).
+**
+**	>> Canvas glFillPath (Path path);
+*/
+
+Canvas.prototype.glFillPath = function (path)
+{
+	this.gl_triangles.length = 0;
+	return this.glPushTriangles (path.fill(this.gl_triangles), Canvas.parseColor(this.gl_state.fillStyle));
+};
+
+
+/**
+**	Strokes the given path using the current stroke style, line width, line cap, line join and miter limit (WebGL mode).
+**
+**	>> Canvas glStrokePath (Path path);
+*/
+
+Canvas.prototype.glStrokePath = function (path)
+{
+	const s = this.gl_state;
+
+	this.gl_triangles.length = 0;
+	path.stroke (this.gl_triangles, Number(s.lineWidth), s.lineCap, s.lineJoin, Number(s.miterLimit));
+
+	return this.glPushTriangles (this.gl_triangles, Canvas.parseColor(s.strokeStyle));
+};
+
+
+/**
+**	Returns the hidden 2D canvas used to measure and render text in WebGL mode.
+*/
+
+Canvas.prototype.glTextCanvas = function ()
+{
+	if (this.gl_text_canvas == null)
+		this.gl_text_canvas = new Canvas ({ hidden: true, antialias: true }).resize(1, 1);
+
+	return this.gl_text_canvas;
+};
+
+
+/**
+**	Draws filled or stroked text in WebGL mode. The text is rendered using a 2D canvas into an image that is cached and drawn as a quad.
+**
+**	>> Canvas glDrawText (string text, float x, float y, float maxWidth, bool stroke);
+*/
+
+Canvas.prototype.glDrawText = function (text, x, y, maxWidth, stroke)
+{
+	const s = this.gl_state;
+
+	text = String(text);
+	if (!text.length) return this;
+
+	// Resolution used to render the text, to keep it crisp when the canvas is scaled.
+	const m = this.transform.data;
+	const scale = Math.max(1, Math.ceil(Math.sqrt(Math.abs(m[0]*m[4] - m[1]*m[3]))));
+
+	const style = stroke ? s.strokeStyle : s.fillStyle;
+	const key = s.font + '\x01' + style + '\x01' + (stroke ? s.lineWidth : '') + '\x01' + scale + '\x01' + text;
+
+	let entry = this.gl_text_cache.get(key);
+
+	if (entry !== undefined)
+	{
+		this.gl_text_cache.delete(key);
+		this.gl_text_cache.set(key, entry);
+	}
+	else
+	{
+		const ctx = this.glTextCanvas().context;
+		ctx.font = s.font;
+
+		const metrics = ctx.measureText(text);
+
+		let size = /([0-9.]+)(px|pt)/.exec(s.font);
+		size = size ? (size[2] == 'pt' ? size[1]*4/3 : Number(size[1])) : 10;
+
+		const ascent = metrics.fontBoundingBoxAscent || metrics.actualBoundingBoxAscent || size*0.8;
+		const descent = metrics.fontBoundingBoxDescent || metrics.actualBoundingBoxDescent || size*0.2;
+		const pad = Math.ceil(stroke ? Number(s.lineWidth) : 0) + 1;
+
+		entry = {
+			width: metrics.width + 2*pad,
+			height: ascent + descent + 2*pad,
+			ascent: ascent, descent: descent, pad: pad,
+			image: null
+		};
+
+		if (metrics.width > 0)
+		{
+			const temp = new Canvas ({ hidden: true, antialias: true }).resize(Math.ceil(entry.width*scale), Math.ceil(entry.height*scale));
+
+			temp.context.scale (scale, scale);
+			temp.context.font = s.font;
+			temp.context.textAlign = 'left';
+			temp.context.textBaseline = 'alphabetic';
+
+			if (stroke)
+			{
+				temp.context.lineWidth = Number(s.lineWidth);
+				temp.context.strokeStyle = style;
+				temp.context.strokeText (text, pad, pad + ascent);
+			}
+			else
+			{
+				temp.context.fillStyle = style;
+				temp.context.fillText (text, pad, pad + ascent);
+			}
+
+			entry.image = temp.elem;
+			this.prepareImage (entry.image);
+		}
+
+		this.gl_text_cache.set(key, entry);
+
+		if (this.gl_text_cache.size > Canvas.GL_TEXT_CACHE_SIZE)
+		{
+			const oldest = this.gl_text_cache.keys().next().value;
+			const image = this.gl_text_cache.get(oldest).image;
+
+			if (image && image.gl_texture)
+			{
+				if (this.gl_active_texture === image.gl_texture)
+				{
+					this.flush('texture');
+					this.gl_active_texture = null;
+				}
+
+				this.gl.deleteTexture (image.gl_texture);
+			}
+
+			this.gl_text_cache.delete(oldest);
+		}
+	}
+
+	if (entry.image == null)
+		return this;
+
+	let width = entry.width;
+	let sx = 1;
+
+	if (maxWidth && entry.width - 2*entry.pad > maxWidth)
+	{
+		sx = maxWidth / (entry.width - 2*entry.pad);
+		width *= sx;
+	}
+
+	switch (s.textAlign)
+	{
+		case 'center': x -= (width - 2*entry.pad*sx) / 2; break;
+		case 'right': case 'end': x -= width - 2*entry.pad*sx; break;
+	}
+
+	switch (s.textBaseline)
+	{
+		case 'top': case 'hanging': break;
+		case 'middle': y -= (entry.ascent + entry.descent) / 2; break;
+		case 'bottom': case 'ideographic': y -= entry.ascent + entry.descent; break;
+		default: y -= entry.ascent; break;
+	}
+
+	return this.glPushQuad (entry.image, 0, 0, entry.image.width, entry.image.height, x - entry.pad*sx, y - entry.pad, width, entry.height);
+};
+
+
+/**
+**	Parses a CSS color string and returns an array [r, g, b, a] with components from 0 to 1, or null if the value is not a valid color. Hex
+**	and rgb/rgba formats are parsed directly, any other format (i.e. named colors) is resolved using a 2D context when available.
+**
+**	>> Array parseColor (string value);
+*/
+
+Canvas.parseColor = function (value)
+{
+	if (typeof(value) != 'string')
+		return null;
+
+	let color = Canvas.colorCache[value];
+	if (color !== undefined) return color;
+
+	let str = value.trim().toLowerCase();
+	let m;
+
+	color = null;
+
+	if (str[0] == '#')
+	{
+		str = str.substr(1);
+
+		if (str.length == 3 || str.length == 4)
+			str = str.split('').map(c => c + c).join('');
+
+		if (/^[0-9a-f]{6}([0-9a-f]{2})?$/.test(str))
+		{
+			color = [parseInt(str.substr(0, 2), 16) / 255, parseInt(str.substr(2, 2), 16) / 255, parseInt(str.substr(4, 2), 16) / 255,
+				str.length == 8 ? parseInt(str.substr(6, 2), 16) / 255 : 1];
+		}
+	}
+	else if ((m = /^rgba?\(\s*([0-9.]+)\s*,\s*([0-9.]+)\s*,\s*([0-9.]+)\s*(?:,\s*([0-9.]+)\s*)?\)$/.exec(str)) != null)
+	{
+		color = [m[1] / 255, m[2] / 255, m[3] / 255, m[4] !== undefined ? Number(m[4]) : 1];
+	}
+	else if (str == 'transparent')
+	{
+		color = [0, 0, 0, 0];
+	}
+	else if (global.document)
+	{
+		if (!Canvas.colorContext)
+			Canvas.colorContext = global.document.createElement('canvas').getContext('2d');
+
+		Canvas.colorContext.fillStyle = '#000';
+		Canvas.colorContext.fillStyle = value;
+
+		if (Canvas.colorContext.fillStyle[0] == '#' || Canvas.colorContext.fillStyle.startsWith('rgb'))
+			color = Canvas.colorContext.fillStyle == '#000000' && str != 'black' ? null : Canvas.parseColor(Canvas.colorContext.fillStyle);
+	}
+
+	Canvas.colorCache[value] = color;
+	return color;
+};
+
+/**
+**	Cache of parsed colors.
+*/
+Canvas.colorCache = { };
+
+
+/**
+**	Submits all the primitives accumulated by the active WebGL batch to the GPU. The reason is used only to collect statistics. Has no
+**	effect in 2D mode or when the batch is empty.
+**
+**	>> Canvas flush (string reason='manual');
+*/
+
+Canvas.prototype.flush = function (reason='manual')
+{
+	if (this.gl == null)
+		return this;
+
+	const gl = this.gl;
+
+	if (this.gl_batch == 'sprite')
+	{
+		if (!this.gl_quad_count)
+			return this;
+
+		const shader = this.gl_shader;
+
+		gl.useProgram (shader.program);
+		gl.bindVertexArray (this.gl_vertex_array);
+
+		gl.activeTexture (gl.TEXTURE0);
+		gl.bindTexture (gl.TEXTURE_2D, this.gl_active_texture);
+
+		glApplyUniforms (gl, shader, this.width, this.height);
+
+		gl.bindBuffer (gl.ARRAY_BUFFER, this.gl_array_buffer);
+		gl.bufferSubData (gl.ARRAY_BUFFER, 0, this.gl_vertices, 0, this.gl_quad_count * 4 * Canvas.GL_VERTEX_SIZE);
+		gl.drawElements (gl.TRIANGLES, this.gl_quad_count * 6, gl.UNSIGNED_SHORT, 0);
+
+		this.gl_quad_count = 0;
+	}
+	else
+	{
+		if (!this.gl_shape_count)
+			return this;
+
+		gl.useProgram (this.gl_shape_program);
+		gl.bindVertexArray (this.gl_shape_vertex_array);
+
+		gl.uniform2f (this.gl_uniform_shape_screen_size, this.width, this.height);
+
+		gl.bindBuffer (gl.ARRAY_BUFFER, this.gl_shape_array_buffer);
+		gl.bufferSubData (gl.ARRAY_BUFFER, 0, this.gl_shape_vertices, 0, this.gl_shape_count * Canvas.GL_SHAPE_VERTEX_SIZE);
+		gl.drawArrays (gl.TRIANGLES, 0, this.gl_shape_count);
+
+		this.gl_shape_count = 0;
+	}
+
+	this.stats.drawCalls++;
+	this.stats.flushes++;
+	this.stats.flushReasons[reason] = (this.stats.flushReasons[reason] || 0) + 1;
+
+	return this;
+};
+
+
+/**
+**	Builds a shader program using the sprite vertex stage and the given fragment source, returns the shader descriptor. The active uniforms
+**	of the program are collected to allow setting them by name.
+*/
+
+Canvas.prototype.glCreateShader = function (name, fragmentSource)
+{
+	const gl = this.gl;
+
+	let headerLines = 0;
+
+	if (!/^\s*#version/.test(fragmentSource))
+	{
+		fragmentSource = Canvas.GL_FRAGMENT_HEADER + fragmentSource;
+		headerLines = Canvas.GL_FRAGMENT_HEADER.split('\n').length - 1;
+	}
+
+	const program = this.buildProgram (Canvas.GL_VERTEX_SHADER, fragmentSource, ['location', 'texcoords', 'alpha'], headerLines);
+	const shader = { name: name, program: program, uniforms: { }, values: { } };
+
+	const n = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+	for (let i = 0; i < n; i++)
+	{
+		const info = gl.getActiveUniform(program, i);
+		shader.uniforms[info.name.replace('[0]', '')] = { location: gl.getUniformLocation(program, info.name), type: info.type, size: info.size };
+	}
+
+	return shader;
+};
+
+
+/**
+**	Sets the uniforms of the shader program (must be in use), including the screen size, the main texture (unit 0) and the user values.
+*/
+const glApplyUniforms = function (gl, shader, width, height)
+{
+	let unit = 1;
+
+	for (let name in shader.uniforms)
+	{
+		const u = shader.uniforms[name];
+
+		if (name == 'screen_size') {
+			gl.uniform2f (u.location, width, height);
+			continue;
+		}
+
+		if (name == 'tex') {
+			gl.uniform1i (u.location, 0);
+			continue;
+		}
+
+		let value = shader.values[name];
+		if (value === undefined) continue;
+
+		if (value instanceof Matrix) value = value.data;
+
+		switch (u.type)
+		{
+			case gl.FLOAT:
+				if (u.size > 1) gl.uniform1fv (u.location, value); else gl.uniform1f (u.location, value);
+				break;
+
+			case gl.FLOAT_VEC2: gl.uniform2fv (u.location, value); break;
+			case gl.FLOAT_VEC3: gl.uniform3fv (u.location, value); break;
+			case gl.FLOAT_VEC4: gl.uniform4fv (u.location, value); break;
+
+			case gl.INT: case gl.BOOL:
+				if (u.size > 1) gl.uniform1iv (u.location, value); else gl.uniform1i (u.location, Number(value));
+				break;
+
+			case gl.FLOAT_MAT2: gl.uniformMatrix2fv (u.location, false, value); break;
+			case gl.FLOAT_MAT3: gl.uniformMatrix3fv (u.location, false, value); break;
+			case gl.FLOAT_MAT4: gl.uniformMatrix4fv (u.location, false, value); break;
+
+			case gl.SAMPLER_2D:
+				// Images, image resources and render targets are accepted.
+				if (value.data && !value.gl_texture) value = value.data;
+				if (!value.gl_texture) break;
+
+				gl.activeTexture (gl.TEXTURE0 + unit);
+				gl.bindTexture (gl.TEXTURE_2D, value.gl_texture);
+				gl.uniform1i (u.location, unit++);
+				break;
+		}
+	}
+
+	if (unit > 1) gl.activeTexture (gl.TEXTURE0);
+};
+
+
+/**
+**	Registers a named shader (WebGL mode only) that can be activated using `useShader` or added as a post-process pass. Only the fragment
+**	stage can be provided, when it does not start with a `#version` directive the header in `Canvas.GL_FRAGMENT_HEADER` is added, which
+**	declares the texture `tex`, the inputs `f_texcoords` and `f_alpha` and the output `color`. The uniforms object has the initial values
+**	of the user uniforms. Has no effect in 2D mode.
+**
+**	>> Canvas registerShader (string name, string fragmentSource, object uniforms=null);
+*/
+
+Canvas.prototype.registerShader = function (name, fragmentSource, uniforms=null)
+{
+	if (this.gl == null)
+		return this;
+
+	this.flush('shader');
+
+	const shader = this.glCreateShader (name, fragmentSource);
+
+	if (name in this.gl_shaders)
+	{
+		if (this.gl_shader === this.gl_shaders[name])
+			this.gl_shader = shader;
+
+		this.gl.deleteProgram (this.gl_shaders[name].program);
+	}
+
+	this.gl_shaders[name] = shader;
+
+	if (uniforms != null)
+		Object.assign (shader.values, uniforms);
+
+	return this;
+};
+
+
+/**
+**	Sets the values of one or more uniforms of a registered shader. Causes a flush of the batch when the shader is active.
+**
+**	>> Canvas setShaderUniforms (string name, object uniforms);
+*/
+
+Canvas.prototype.setShaderUniforms = function (name, uniforms)
+{
+	if (this.gl == null)
+		return this;
+
+	const shader = this.gl_shaders[name];
+	if (!shader) throw new Error ('setShaderUniforms: shader not found: ' + name);
+
+	if (this.gl_shader === shader)
+		this.flush('shader');
+
+	Object.assign (shader.values, uniforms);
+	return this;
+};
+
+
+/**
+**	Activates a registered shader for subsequent image drawing operations, optionally setting some of its uniforms. When no name is provided
+**	the default shader is activated. Shapes (rectangles, paths, etc) are not affected by the shader. Has no effect in 2D mode.
+**
+**	>> Canvas useShader (string name, object uniforms=null);
+**	>> Canvas useShader ();
+*/
+
+Canvas.prototype.useShader = function (name=null, uniforms=null)
+{
+	if (this.gl == null)
+		return this;
+
+	const shader = this.gl_shaders[name || 'default'];
+	if (!shader) throw new Error ('useShader: shader not found: ' + name);
+
+	if (this.gl_shader !== shader)
+	{
+		this.flush('shader');
+		this.gl_shader = shader;
+	}
+
+	if (uniforms != null)
+		this.setShaderUniforms (shader.name, uniforms);
+
+	return this;
+};
+
+
+/**
+**	Adds a full-screen post-process pass using a registered shader, passes are applied in the order they were added after the frame has
+**	been drawn (see `beginPostProcess` and `endPostProcess`). Has no effect in 2D mode.
+**
+**	>> Canvas addPostProcess (string name, object uniforms=null);
+*/
+
+Canvas.prototype.addPostProcess = function (name, uniforms=null)
+{
+	if (this.gl == null)
+		return this;
+
+	if (!this.gl_shaders[name])
+		throw new Error ('addPostProcess: shader not found: ' + name);
+
+	if (uniforms != null)
+		this.setShaderUniforms (name, uniforms);
+
+	this.gl_post_passes.push (name);
+	return this;
+};
+
+
+/**
+**	Removes a post-process pass. When no name is provided all passes are removed.
+**
+**	>> Canvas removePostProcess (string name);
+**	>> Canvas removePostProcess ();
+*/
+
+Canvas.prototype.removePostProcess = function (name=null)
+{
+	if (this.gl == null)
+		return this;
+
+	if (name == null)
+		this.gl_post_passes.length = 0;
+	else
+		this.gl_post_passes = this.gl_post_passes.filter(i => i != name);
+
+	return this;
+};
+
+
+/**
+**	Returns the framebuffer where drawing operations should go given the active render targets and post-processing state.
+*/
+
+Canvas.prototype.glActiveFramebuffer = function ()
+{
+	if (this.targetStack.length)
+		return this.targetStack[this.targetStack.length-1].target.data.gl_framebuffer;
+
+	if (this.gl_post_active)
+		return this.gl_post_images[0].gl_framebuffer;
+
+	return null;
+};
+
+
+/**
+**	Redirects the drawing of the frame to an offscreen image when there are post-process passes, should be called before the frame is
+**	cleared. Returns true if post-processing is active.
+**
+**	>> bool beginPostProcess ();
+*/
+
+Canvas.prototype.beginPostProcess = function ()
+{
+	if (this.gl == null || !this.gl_post_passes.length)
+		return false;
+
+	this.flush('post');
+
+	for (let i = 0; i < 2; i++)
+	{
+		const image = this.gl_post_images[i];
+		if (image && image.width == this.width && image.height == this.height)
+			continue;
+
+		if (image) this.disposeTargetImage (image);
+		this.gl_post_images[i] = this.createTargetImage (this.width, this.height);
+	}
 
-		out vec4 color;
+	this.gl_post_active = true;
+	this.gl.bindFramebuffer (this.gl.FRAMEBUFFER, this.glActiveFramebuffer());
 
-		void main() {
-			color = texture(tex, f_texcoords);
-		}
-	`);
+	return true;
+};
 
-	gl.linkProgram (this.gl_program);
 
-	if (!gl.getProgramParameter(this.gl_program, gl.LINK_STATUS))
-		throw new Error ('linkProgram: ' + gl.getProgramInfoLog(program));
+/**
+**	Applies the post-process passes to the frame and draws the result on the canvas. Has no effect if `beginPostProcess` was not called.
+**
+**	>> Canvas endPostProcess ();
+*/
 
-	gl.useProgram (this.gl_program);
+Canvas.prototype.endPostProcess = function ()
+{
+	if (!this.gl_post_active)
+		return this;
 
-	/* **** */
-	gl.clearColor (0, 0, 0, 0);
+	const gl = this.gl;
 
-	gl.disable (gl.DEPTH_TEST);
-	gl.clearDepth (0.0);
-	gl.depthFunc (gl.GEQUAL);
+	this.flush('post');
 
-	gl.enable (gl.BLEND);
-	gl.blendFunc (gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+	const m = this.transform.data;
+	const matrix = m.slice();
+	const alpha = this._alpha;
+	const blend = this.gl_active_blend;
+	const shader = this.gl_shader;
 
-	/* **** */
-	this.gl_attrib_location = gl.getAttribLocation(this.gl_program, 'location');
-	this.gl_uniform_screen_size = gl.getUniformLocation(this.gl_program, 'screen_size');
-	this.gl_uniform_texture_size = gl.getUniformLocation(this.gl_program, 'texture_size');
-	this.gl_uniform_texture = gl.getUniformLocation(this.gl_program, 'texture');
-	this.gl_uniform_matrix = gl.getUniformLocation(this.gl_program, 'location_matrix');
-	this.gl_uniform_current_matrix = gl.getUniformLocation(this.gl_program, 'current_matrix');
-	this.gl_uniform_texture_matrix = gl.getUniformLocation(this.gl_program, 'texture_matrix');
+	m[0] = 1; m[1] = 0; m[3] = 0; m[4] = 1; m[6] = 0; m[7] = 0;
+	this._alpha = 1.0;
 
-	gl.enableVertexAttribArray (this.gl_attrib_location);
-	gl.vertexAttribPointer (this.gl_attrib_location, 2, gl.FLOAT, gl.FALSE, 2*Float32Array.BYTES_PER_ELEMENT, 0*Float32Array.BYTES_PER_ELEMENT);
+	this.globalCompositeOperation ('copy');
+	gl.scissor (0, 0, this.width, this.height);
 
-	/* *** */
-	this.location_matrix = new Matrix();
-	this.texture_matrix = new Matrix();
+	let source = 0;
 
-	// drawImage (Image img, float x, float y);
-	// drawImage (Image img, float x, float y, float w, float h);
-	// drawImage (Image img, float sx, float sy, float sw, float sh, float dx, float dy, float dw, float dh);
-	this.drawImage = function (...args)
+	for (let i = 0; i < this.gl_post_passes.length; i++)
 	{
-		const img = args[0];
-		const sx = args[1];
-		const sy = args[2];
+		const last = i == this.gl_post_passes.length-1;
+		const image = this.gl_post_images[source];
 
-		if (!img.gl_ready)
-			return;
+		gl.bindFramebuffer (gl.FRAMEBUFFER, last ? null : this.gl_post_images[source ^ 1].gl_framebuffer);
 
-		if (this.gl_active_texture != img.gl_texture)
-		{
-			this.gl.activeTexture(gl.TEXTURE0);
-			this.gl.bindTexture(gl.TEXTURE_2D, img.gl_texture);
-			this.gl.uniform1i(this.gl_uniform_texture, 0);
-			this.gl.uniform2fv(this.gl_uniform_texture_size, [img.width, img.height]);
+		this.gl_shader = this.gl_shaders[this.gl_post_passes[i]] || this.gl_shaders['default'];
+		this.glPushQuad (image, 0, 0, image.width, image.height, 0, 0, this.width, this.height);
+		this.flush('post');
 
-			this.gl_active_texture = img.gl_texture;
-		}
+		source ^= 1;
+	}
 
-		// [3] image, x, y
-		if (args.length == 3)
-		{
-			if (sx == 0 && sy == 0)
-			{
-				this.location_matrix.identity();
-				this.location_matrix.scale(img.width, img.height);
+	this.gl_post_active = false;
 
-				this.gl.uniformMatrix3fv(this.gl_uniform_current_matrix, false, this.transform.data);
-				this.gl.uniformMatrix3fv(this.gl_uniform_matrix, false, this.location_matrix.data);
-				this.gl.uniformMatrix3fv(this.gl_uniform_texture_matrix, false, this.location_matrix.data);
-				this.gl.drawArrays (gl.TRIANGLE_STRIP, 0, 4);
+	for (let i = 0; i < 9; i++) m[i] = matrix[i];
 
-				return;
-			}
+	this._alpha = alpha;
+	this.gl_shader = shader;
+	this.gl_active_texture = null;
 
-			this.location_matrix.identity();
-			this.location_matrix.translate(sx, sy);
-			this.location_matrix.scale(img.width, img.height);
+	return this.globalCompositeOperation (blend);
+};
 
-			this.texture_matrix.identity();
-			this.texture_matrix.scale(img.width, img.height);
 
-			this.gl.uniformMatrix3fv(this.gl_uniform_current_matrix, false, this.transform.data);
-			this.gl.uniformMatrix3fv(this.gl_uniform_matrix, false, this.location_matrix.data);
-			this.gl.uniformMatrix3fv(this.gl_uniform_texture_matrix, false, this.texture_matrix.data);
-			this.gl.drawArrays (gl.TRIANGLE_STRIP, 0, 4);
+/**
+**	Starts a new statistics frame, the current statistics become available through getStats(). Called automatically by clear().
+**
+**	>> Canvas resetStats();
+*/
 
-			return;
-		}
+Canvas.prototype.resetStats = function ()
+{
+	this.lastStats = this.stats;
+	this.stats = { drawCalls: 0, quads: 0, triangles: 0, flushes: 0, flushReasons: { } };
 
-		const sw = args[3];
-		const sh = args[4];
+	return this;
+};
 
-		// [5] image, x, y, width, height
-		if (args.length == 5)
-		{
-			return;
-		}
 
-		// [9] image, sx, sy, sw, sh, dx, dy, dw, dh
-		const dx = args[5];
-		const dy = args[6];
-		const dw = args[7];
-		const dh = args[8];
-
-		this.location_matrix.identity();
-		this.location_matrix.translate(dx, dy);
-		this.location_matrix.scale(dw, dh);
-
-		this.texture_matrix.identity();
-		this.texture_matrix.translate(sx, sy);
-		this.texture_matrix.scale(sw, sh);
-
-		this.gl.uniformMatrix3fv(this.gl_uniform_current_matrix, false, this.transform.data);
-		this.gl.uniformMatrix3fv(this.gl_uniform_matrix, false, this.location_matrix.data);
-		this.gl.uniformMatrix3fv(this.gl_uniform_texture_matrix, false, this.texture_matrix.data);
-		this.gl.drawArrays (gl.TRIANGLE_STRIP, 0, 4);
-	};
+/**
+**	Returns the rendering statistics of the last completed frame (WebGL mode only), the object has fields `drawCalls`, `quads`, `triangles`,
+**	`flushes` and `flushReasons` (map of reason to number of flushes).
+**
+**	>> Object getStats();
+*/
+
+Canvas.prototype.getStats = function ()
+{
+	return this.lastStats || this.stats;
 };
 
+
 /**
 **	Prepares an image to use it on the canvas. Used only if gl is not null.
 */
@@ -421,6 +1379,30 @@ Canvas.prototype.prepareImage = function (image)
 	return true;
 };
 
+
+/**
+**	Deletes the texture created by `prepareImage` for the given image (WebGL mode only).
+**
+**	>> void releaseImage (Image image);
+*/
+
+Canvas.prototype.releaseImage = function (image)
+{
+	if (this.gl == null || !image.gl_texture)
+		return;
+
+	if (this.gl_active_texture === image.gl_texture)
+	{
+		this.flush('texture');
+		this.gl_active_texture = null;
+	}
+
+	this.gl.deleteTexture(image.gl_texture);
+
+	image.gl_texture = null;
+	image.gl_ready = false;
+};
+
 /**
 **	Applies the current config to the canvas (usually called after a reset on the canvas).
 **
@@ -457,6 +1439,33 @@ Canvas.prototype.dispose = function ()
 	if (this.elem.parentNode)
 		this.elem.parentNode.removeChild (this.elem);
 
+	if (this.gl != null)
+	{
+		this.gl.deleteBuffer (this.gl_array_buffer);
+		this.gl.deleteBuffer (this.gl_index_buffer);
+		this.gl.deleteVertexArray (this.gl_vertex_array);
+		for (let name in this.gl_shaders)
+			this.gl.deleteProgram (this.gl_shaders[name].program);
+
+		if (this.gl_post_images[0]) this.disposeTargetImage (this.gl_post_images[0]);
+		if (this.gl_post_images[1]) this.disposeTargetImage (this.gl_post_images[1]);
+
+		this.gl.deleteBuffer (this.gl_shape_array_buffer);
+		this.gl.deleteVertexArray (this.gl_shape_vertex_array);
+		this.gl.deleteProgram (this.gl_shape_program);
+
+		for (let entry of this.gl_text_cache.values())
+			if (entry.image) this.gl.deleteTexture (entry.image.gl_texture);
+
+		if (this.gl_text_canvas != null)
+			this.gl_text_canvas.dispose();
+
+		this.gl_text_cache = null;
+		this.gl_vertices = null;
+		this.gl_shape_vertices = null;
+		this.gl = null;
+	}
+
 	this.matrixStack = null;
 	this.alphaStack = null;
 
@@ -503,11 +1512,9 @@ Canvas.prototype.resize = function (width, height)
 
 	if (this.gl != null)
 	{
+		this.flush('resize');
 		this.gl.viewport (0, 0, width, height);
 
-		if (this.gl_uniform_screen_size)
-			this.gl.uniform2fv (this.gl_uniform_screen_size, [width, height]);
-
 		this.gl.enable(this.gl.SCISSOR_TEST);
 		this.gl.scissor(0, 0, width, height);
 	}
@@ -589,6 +1596,7 @@ Canvas.prototype.popClip = function ()
 {
 	if (this.gl != null)
 	{
+		this.flush('clip');
 		this.gl.scissor(0, 0, this.width, this.height);
 	}
 	else
@@ -631,15 +1639,16 @@ Canvas.prototype.toPng64 = function ()
 
 Canvas.prototype._contextAttribute = function (name, value)
 {
-	if (!this.context) return;
+	const context = this.context || this.gl_state;
+	if (!context) return;
 
 	if (value !== undefined)
 	{
-		this.context[name] = value;
+		context[name] = value;
 		return this;
 	}
 
-	return this.context[name];
+	return context[name];
 };
 
 
@@ -848,7 +1857,8 @@ Canvas.prototype.alpha = function (value)
 
 /**
 **	Sets or returns the current global composite operation value (source-atop, source-in, source-out, source-over, destination-atop,
-**	destination-in, destination-out, destination-over, lighter, copy, xor).
+**	destination-in, destination-out, destination-over, lighter, copy, xor). In WebGL mode only the operations in Canvas.GL_BLEND_MODES
+**	are supported, changing it causes the batch to be flushed.
 **
 **	>> Canvas globalCompositeOperation (string value);
 **	>> string globalCompositeOperation ();
@@ -856,6 +1866,23 @@ Canvas.prototype.alpha = function (value)
 
 Canvas.prototype.globalCompositeOperation = function (value)
 {
+	if (this.gl != null)
+	{
+		if (value === undefined)
+			return this.gl_active_blend;
+
+		let mode = Canvas.GL_BLEND_MODES[value];
+		if (!mode || value == this.gl_active_blend)
+			return this;
+
+		this.flush('blend');
+
+		this.gl.blendFunc (this.gl[mode[0]], this.gl[mode[1]]);
+		this.gl_active_blend = value;
+
+		return this;
+	}
+
 	return this._contextAttribute ("globalCompositeOperation", value);
 };
 
@@ -909,6 +1936,22 @@ Canvas.prototype.setTransform = function (a, b, c, d, e, f)
 
 Canvas.prototype.fillRect = function (x, y, w, h)
 {
+	if (this.gl != null)
+	{
+		const m = this.transform.data;
+		const t = this.gl_triangles;
+
+		const x0 = m[0]*x + m[3]*y + m[6], y0 = m[1]*x + m[4]*y + m[7];
+		const x1 = x0 + m[0]*w, y1 = y0 + m[1]*w;
+		const x2 = x0 + m[3]*h, y2 = y0 + m[4]*h;
+		const x3 = x1 + m[3]*h, y3 = y1 + m[4]*h;
+
+		t.length = 0;
+		t.push (x0, y0, x1, y1, x2, y2, x2, y2, x1, y1, x3, y3);
+
+		return this.glPushTriangles (t, Canvas.parseColor(this.gl_state.fillStyle));
+	}
+
 	this.context.fillRect (x, y, w, h);
 	return this;
 };
@@ -922,6 +1965,13 @@ Canvas.prototype.fillRect = function (x, y, w, h)
 
 Canvas.prototype.strokeRect = function (x, y, w, h)
 {
+	if (this.gl != null)
+	{
+		this.gl_temp_path.reset();
+		this.gl_temp_path.rect (x, y, w, h);
+		return this.glStrokePath (this.gl_temp_path);
+	}
+
 	this.context.strokeRect (x, y, w, h);
 	return this;
 };
@@ -948,6 +1998,12 @@ Canvas.prototype.clearRect = function (x, y, w, h)
 
 Canvas.prototype.beginPath = function ()
 {
+	if (this.gl != null)
+	{
+		this.gl_path.reset ();
+		return this;
+	}
+
 	this.context.beginPath ();
 	return this;
 };
@@ -961,6 +2017,12 @@ Canvas.prototype.beginPath = function ()
 
 Canvas.prototype.moveTo = function (x, y)
 {
+	if (this.gl != null)
+	{
+		this.gl_path.moveTo (x, y);
+		return this;
+	}
+
 	this.context.moveTo (x, y);
 	return this;
 };
@@ -974,6 +2036,12 @@ Canvas.prototype.moveTo = function (x, y)
 
 Canvas.prototype.closePath = function ()
 {
+	if (this.gl != null)
+	{
+		this.gl_path.closePath ();
+		return this;
+	}
+
 	this.context.closePath ();
 	return this;
 };
@@ -987,6 +2055,12 @@ Canvas.prototype.closePath = function ()
 
 Canvas.prototype.lineTo = function (x, y)
 {
+	if (this.gl != null)
+	{
+		this.gl_path.lineTo (x, y);
+		return this;
+	}
+
 	this.context.lineTo (x, y);
 	return this;
 };
@@ -1000,6 +2074,12 @@ Canvas.prototype.lineTo = function (x, y)
 
 Canvas.prototype.rect = function (x, y, w, h)
 {
+	if (this.gl != null)
+	{
+		this.gl_path.rect (x, y, w, h);
+		return this;
+	}
+
 	this.context.rect (x, y, w, h);
 	return this;
 };
@@ -1015,6 +2095,10 @@ Canvas.prototype.rect = function (x, y, w, h)
 Canvas.prototype.fill = function (value)
 {
 	if (value) this.fillStyle (value);
+
+	if (this.gl != null)
+		return this.glFillPath (this.gl_path);
+
 	this.context.fill ();
 	return this;
 };
@@ -1030,6 +2114,10 @@ Canvas.prototype.fill = function (value)
 Canvas.prototype.stroke = function (value)
 {
 	if (value) this.strokeStyle (value);
+
+	if (this.gl != null)
+		return this.glStrokePath (this.gl_path);
+
 	this.context.stroke ();
 	return this;
 };
@@ -1045,6 +2133,8 @@ Canvas.prototype.clip = function (x, y, width, height)
 {
 	if (this.gl != null)
 	{
+		this.flush('clip');
+
 		x *= this._globalScale;
 		y *= this._globalScale;
 		width *= this._globalScale;
@@ -1074,6 +2164,12 @@ Canvas.prototype.clip = function (x, y, width, height)
 
 Canvas.prototype.quadraticCurveTo = function (cpx, cpy, x, y)
 {
+	if (this.gl != null)
+	{
+		this.gl_path.quadraticCurveTo (cpx, cpy, x, y);
+		return this;
+	}
+
 	this.context.quadraticCurveTo (cpx, cpy, x, y);
 	return this;
 };
@@ -1087,6 +2183,12 @@ Canvas.prototype.quadraticCurveTo = function (cpx, cpy, x, y)
 
 Canvas.prototype.bezierCurveTo = function (cx1, cy1, cx2, cy2, x, y)
 {
+	if (this.gl != null)
+	{
+		this.gl_path.bezierCurveTo (cx1, cy1, cx2, cy2, x, y);
+		return this;
+	}
+
 	this.context.bezierCurveTo (cx1, cy1, cx2, cy2, x, y);
 	return this;
 };
@@ -1100,6 +2202,12 @@ Canvas.prototype.bezierCurveTo = function (cx1, cy1, cx2, cy2, x, y)
 
 Canvas.prototype.arc = function (x, y, r, sA, eA, cw)
 {
+	if (this.gl != null)
+	{
+		this.gl_path.arc (x, y, r, sA, eA, cw);
+		return this;
+	}
+
 	this.context.arc (x, y, r, sA, eA, cw);
 	return this;
 };
@@ -1113,6 +2221,12 @@ Canvas.prototype.arc = function (x, y, r, sA, eA, cw)
 
 Canvas.prototype.arcTo = function (x1, y1, x2, y2, r)
 {
+	if (this.gl != null)
+	{
+		this.gl_path.arcTo (x1, y1, x2, y2, r);
+		return this;
+	}
+
 	this.context.arcTo (x1, y1, x2, y2, r);
 	return this;
 };
@@ -1126,6 +2240,9 @@ Canvas.prototype.arcTo = function (x1, y1, x2, y2, r)
 
 Canvas.prototype.fillText = function (text, x, y, maxWidth)
 {
+	if (this.gl != null)
+		return this.glDrawText (text, x, y, maxWidth, false);
+
 	this.context.fillText (text, x, y, maxWidth ? maxWidth : 1000);
 	return this;
 };
@@ -1139,6 +2256,9 @@ Canvas.prototype.fillText = function (text, x, y, maxWidth)
 
 Canvas.prototype.strokeText = function (text, x, y, maxWidth)
 {
+	if (this.gl != null)
+		return this.glDrawText (text, x, y, maxWidth, true);
+
 	this.context.strokeText (text, x, y, maxWidth ? maxWidth : 1000);
 	return this;
 };
@@ -1152,6 +2272,13 @@ Canvas.prototype.strokeText = function (text, x, y, maxWidth)
 
 Canvas.prototype.measureText = function (text)
 {
+	if (this.gl != null)
+	{
+		const context = this.glTextCanvas().context;
+		context.font = this.gl_state.font;
+		return context.measureText (text).width;
+	}
+
 	return this.context.measureText (text).width;
 };
 
@@ -1240,9 +2367,15 @@ Canvas.prototype.clear = function (backgroundColor)
 {
 	if (this.gl != null)
 	{
+		this.flush('clear');
+
 		this.gl.clear(this.gl.DEPTH_BUFFER_BIT | this.gl.COLOR_BUFFER_BIT);
 		this.gl_active_texture = null;
 
+		// Clearing a render target does not start a new frame.
+		if (!this.targetStack.length)
+			this.resetStats();
+
 		return this;
 	}
 
@@ -1665,6 +2798,187 @@ Canvas.prototype.drawImageResource = function (image, x=0, y=0, width=null, heig
 	return this.drawImage (image.data, 0, 0, image.data.width, image.data.height, x, y, width, height);
 };
 
+/**
+**	Creates a render target of the given size. Drawing operations can be redirected to the target using `beginRenderTarget` and the result
+**	can be drawn as any other image using `drawImage` (with the `data` field of the target) or `drawImageResource`.
+**
+**	>> RenderTarget createRenderTarget (int width, int height);
+*/
+
+Canvas.prototype.createRenderTarget = function (width, height)
+{
+	return new RenderTarget (this, width, height);
+};
+
+
+/**
+**	Creates the image used as storage of a render target. In 2D mode it is a hidden canvas element, in WebGL mode it is an object with a
+**	texture attached to a framebuffer.
+**
+**	>> Object createTargetImage (int width, int height);
+*/
+
+Canvas.prototype.createTargetImage = function (width, height)
+{
+	width = Math.max(1, ~~width);
+	height = Math.max(1, ~~height);
+
+	if (this.gl == null)
+	{
+		let canvas = new Canvas ({ hidden: true, antialias: this.antialias, width: width, height: height });
+
+		canvas.elem.target_canvas = canvas;
+		return canvas.elem;
+	}
+
+	const gl = this.gl;
+
+	this.flush('target');
+
+	let image = { width: width, height: height, gl_texture: gl.createTexture(), gl_framebuffer: gl.createFramebuffer(), gl_ready: true, gl_flipped: true };
+
+	gl.bindTexture(gl.TEXTURE_2D, image.gl_texture);
+	gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+	gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+	gl.bindFramebuffer(gl.FRAMEBUFFER, image.gl_framebuffer);
+	gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, image.gl_texture, 0);
+
+	const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+
+	gl.bindFramebuffer(gl.FRAMEBUFFER, this.glActiveFramebuffer());
+
+	if (status != gl.FRAMEBUFFER_COMPLETE)
+	{
+		gl.deleteFramebuffer(image.gl_framebuffer);
+		gl.deleteTexture(image.gl_texture);
+
+		throw new Error ('createTargetImage: framebuffer is not complete (' + status + ')');
+	}
+
+	return image;
+};
+
+
+/**
+**	Releases the resources of an image created by `createTargetImage`.
+**
+**	>> void disposeTargetImage (Object image);
+*/
+
+Canvas.prototype.disposeTargetImage = function (image)
+{
+	if (this.gl == null)
+	{
+		image.target_canvas.dispose();
+		image.target_canvas = null;
+		return;
+	}
+
+	if (this.gl_active_texture === image.gl_texture)
+	{
+		this.flush('target');
+		this.gl_active_texture = null;
+	}
+
+	this.gl.deleteFramebuffer(image.gl_framebuffer);
+	this.gl.deleteTexture(image.gl_texture);
+
+	image.gl_ready = false;
+};
+
+
+/**
+**	Redirects all subsequent drawing operations to the given render target until `endRenderTarget` is called. The transformation matrix is
+**	set to identity and the global alpha to 1, both are restored (along with the clip region) when the rendering ends. Render targets can
+**	be nested.
+**
+**	>> Canvas beginRenderTarget (RenderTarget target);
+*/
+
+Canvas.prototype.beginRenderTarget = function (target)
+{
+	this.flush('target');
+
+	this.targetStack.push ({
+		target: target,
+		elem: this.elem, context: this.context,
+		width: this.width, height: this.height, _width: this._width, _height: this._height,
+		_globalScale: this._globalScale, isFlipped: this.isFlipped,
+		matr: this.matr, matrixStack: this.matrixStack,
+		_alpha: this._alpha, alphaStack: this.alphaStack,
+		scissor: this.gl != null ? this.gl.getParameter(this.gl.SCISSOR_BOX) : null
+	});
+
+	const image = target.data;
+
+	if (this.gl != null)
+	{
+		this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, image.gl_framebuffer);
+		this.gl.viewport(0, 0, image.width, image.height);
+		this.gl.scissor(0, 0, image.width, image.height);
+	}
+	else
+	{
+		this.elem = image;
+		this.context = image.target_canvas.context;
+	}
+
+	this.width = this._width = image.width;
+	this.height = this._height = image.height;
+	this._globalScale = 1.0;
+	this.isFlipped = false;
+
+	this.matr = new Matrix ();
+	this.matrixStack = [];
+	this.alphaStack = [];
+
+	return this.globalAlpha(1.0).loadIdentity();
+};
+
+
+/**
+**	Finishes rendering to the active render target and restores the previous target (or the canvas itself).
+**
+**	>> Canvas endRenderTarget ();
+*/
+
+Canvas.prototype.endRenderTarget = function ()
+{
+	if (!this.targetStack.length)
+		return this;
+
+	this.flush('target');
+
+	const state = this.targetStack.pop();
+
+	this.elem = state.elem;
+	this.context = state.context;
+	this.width = state.width;
+	this.height = state.height;
+	this._width = state._width;
+	this._height = state._height;
+	this._globalScale = state._globalScale;
+	this.isFlipped = state.isFlipped;
+	this.matr = state.matr;
+	this.matrixStack = state.matrixStack;
+	this.alphaStack = state.alphaStack;
+
+	if (this.gl != null)
+	{
+		this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.glActiveFramebuffer());
+		this.gl.viewport(0, 0, this.width, this.height);
+		this.gl.scissor(state.scissor[0], state.scissor[1], state.scissor[2], state.scissor[3]);
+	}
+
+	return this.globalAlpha(state._alpha).updateTransform();
+};
+
+
 /*
 **	Executes the draw function on a new canvas of the specified width and height, renders it into an image and runs the
 **	completed callback with the ready image object.
@@ -0,0 +1,51 @@
+/*
+**	system/gamepad-codes.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+/*
+**	Button and axis indices of the standard gamepad layout. All gamepads are normalized to this layout by the system, either natively (when the
+**	browser reports the "standard" mapping) or by using one of the registered mapping profiles (see `System.addGamepadProfile`).
+*/
+
+export default
+{
+	A: 0,
+	B: 1,
+	X: 2,
+	Y: 3,
+
+	LB: 4,
+	RB: 5,
+	LT: 6,
+	RT: 7,
+
+	SELECT: 8,
+	START: 9,
+
+	LS: 10,
+	RS: 11,
+
+	UP: 12,
+	DOWN: 13,
+	LEFT: 14,
+	RIGHT: 15,
+
+	HOME: 16,
+
+	AXIS_LX: 0,
+	AXIS_LY: 1,
+	AXIS_RX: 2,
+	AXIS_RY: 3
+};
@@ -15,6 +15,7 @@
 */
 
 import C from './config.js';
+import Random from '../math/random.js';
 
 /**
 **	Global functions and definitions.
@@ -99,7 +100,10 @@ global.fetchd = function (url, options)
 		for (var i in options) request[i] = options[i];
 
 		request.onload = function() {
-			resolve (request.response);
+			if (request.status >= 400)
+				reject ('Unable to fetch specified resource (status ' + request.status + ').');
+			else
+				resolve (request.response);
 		};
 
 		request.onerror = function() {
@@ -229,14 +233,14 @@ global.rad = function (value)
 
 
 /**
-**	Returns a random integer value from 0 to 0xFFFF (inclusive).
+**	Returns a random integer value from 0 to 0xFFFF (inclusive). All random functions use the default seedable generator (`Random.default`).
 **
 **	int rand ();
 */
 
 global.rand = function ()
 {
-	return int(Math.random()*0x10000);
+	return int(Random.default.float()*0x10000);
 };
 
 
@@ -248,7 +252,7 @@ global.rand = function ()
 
 global.randf = function ()
 {
-	return Math.random();
+	return Random.default.float();
 };
 
 
@@ -260,7 +264,7 @@ global.randf = function ()
 
 global.randrf = function (a, b)
 {
-	let t = Math.random();
+	let t = Random.default.float();
 	return t*b + (1-t)*a;
 };
 
@@ -273,7 +277,7 @@ global.randrf = function (a, b)
 
 global.randr = function (a, b)
 {
-	let t = Math.random();
+	let t = Random.default.float();
 	return ~~(t*b + (1-t)*a);
 };
 
@@ -0,0 +1,482 @@
+/*
+**	system/recorder.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import System from './system.js';
+import Random from '../math/random.js';
+
+/*
+**	Handlers of real input disabled while replaying.
+*/
+
+const INPUT_HANDLERS = ['onkeydown', 'onkeyup'];
+const POINTER_HANDLERS = ['ontouchstart', 'ontouchend', 'ontouchcancel', 'ontouchmove', 'onmousedown', 'onmouseup', 'onmousemove'];
+
+/*
+**	Records the input events passing through `System.onKeyboardEvent`, `System.onPointerEvent` and `System.onGamepadEvent` along with the frame
+**	deltas and the random seed of a session, and replays them later in place of real input to reproduce the exact same frames. Recording and
+**	replay should both start from the same game state (i.e. right before the first scene is created), and after the flow modules have started
+**	since the event hooks are wrapped when the recording starts.
+**
+**	The log is an object with fields `version`, `seed`, `deltas` (run-length encoded pairs of delta and count) and `events` (tuples starting with
+**	the frame index and the action code), with the following layouts:
+**
+**	Keyboard: [frame, action, keyCode]
+**	Pointer: [frame, action, id, x, y, sx, sy, button, flags]		flags: 1=isActive, 2=isDragging
+**	Gamepad: [frame, action, code, index, value]
+*/
+
+const Recorder =
+{
+	/*
+	**	Current mode, one of: null, "record" or "replay".
+	*/
+	mode: null,
+
+	/*
+	**	Log being recorded or replayed.
+	*/
+	log: null,
+
+	/*
+	**	Number of frames processed since recording or replay started.
+	*/
+	frame: 0,
+
+	/*
+	**	Replay cursors (delta pair index, remaining count of the current delta and event index).
+	*/
+	deltaIndex: 0,
+	deltaCount: 0,
+	eventIndex: 0,
+
+	/*
+	**	System state saved while recording or replaying, restored when stopped.
+	*/
+	saved: null,
+
+	/*
+	**	Starts recording a session. When no seed is provided one is generated. Returns the seed.
+	*/
+	record: function (seed=null)
+	{
+		if (this.mode !== null)
+			throw new Error ("Recorder (record): Already " + (this.mode == 'record' ? "recording." : "replaying."));
+
+		if (seed === null)
+			seed = (Date.now() ^ (Math.random()*0x100000000)) >>> 0;
+
+		this.log = { version: 1, seed: seed, deltas: [], events: [] };
+		this.mode = 'record';
+		this.frame = 0;
+
+		this.saved = {
+			onKeyboardEvent: System.onKeyboardEvent,
+			onPointerEvent: System.onPointerEvent,
+			onGamepadEvent: System.onGamepadEvent,
+			onFrameStart: System.onFrameStart
+		};
+
+		const saved = this.saved;
+		const events = this.log.events;
+
+		System.onKeyboardEvent = (action, keyCode, keyState) =>
+		{
+			events.push([this.frame, action, keyCode]);
+			return saved.onKeyboardEvent ? saved.onKeyboardEvent.call(System, action, keyCode, keyState) : undefined;
+		};
+
+		System.onPointerEvent = (action, p, pointers) =>
+		{
+			events.push([this.frame, action, p.id, p.x, p.y, p.sx, p.sy, p.button, (p.isActive ? 1 : 0) | (p.isDragging ? 2 : 0)]);
+			return saved.onPointerEvent ? saved.onPointerEvent.call(System, action, p, pointers) : undefined;
+		};
+
+		System.onGamepadEvent = (action, code, gamepad, gamepads) =>
+		{
+			events.push([this.frame, action, code, gamepad.index, this.getGamepadValue(action, code, gamepad)]);
+			return saved.onGamepadEvent ? saved.onGamepadEvent.call(System, action, code, gamepad, gamepads) : undefined;
+		};
+
+		System.onFrameStart = (delta) =>
+		{
+			delta = saved.onFrameStart.call(System, delta);
+
+			let deltas = this.log.deltas;
+			if (deltas.length && deltas[deltas.length-2] === delta)
+				deltas[deltas.length-1]++;
+			else
+				deltas.push(delta, 1);
+
+			this.frame++;
+			return delta;
+		};
+
+		this.recordState();
+
+		this.onSeed(seed);
+		return seed;
+	},
+
+	/*
+	**	Writes events at frame 0 to reproduce the input state present when the recording starts (held keys, active pointers and connected
+	**	gamepads with their pressed buttons and axes), since the replay starts with empty input states.
+	*/
+	recordState: function ()
+	{
+		const events = this.log.events;
+
+		for (let keyCode in System.keyState)
+		{
+			if (/^\d+$/.test(keyCode) && System.keyState[keyCode] === true)
+				events.push([0, System.EVT_KEY_DOWN, Number(keyCode)]);
+		}
+
+		for (let id in System.pointerState)
+		{
+			const p = System.pointerState[id];
+			if (!p.isActive) continue;
+
+			events.push([0, System.EVT_POINTER_DOWN, p.id, p.x, p.y, p.sx, p.sy, p.button, 1 | (p.isDragging ? 2 : 0)]);
+		}
+
+		for (let index in System.gamepadState)
+		{
+			const gamepad = System.gamepadState[index];
+			events.push([0, System.EVT_GAMEPAD_CONNECTED, gamepad.player, gamepad.index, 0]);
+
+			for (let i = 0; i < gamepad.buttons.length; i++)
+			{
+				if (gamepad.buttons[i])
+					events.push([0, System.EVT_GAMEPAD_BUTTON_DOWN, i, gamepad.index, this.getGamepadValue(System.EVT_GAMEPAD_BUTTON_DOWN, i, gamepad)]);
+			}
+
+			for (let i = 0; i < gamepad.axes.length; i++)
+			{
+				if (gamepad.axes[i])
+					events.push([0, System.EVT_GAMEPAD_AXIS, i, gamepad.index, gamepad.axes[i]]);
+			}
+		}
+	},
+
+	/*
+	**	Starts replaying the specified log (object or JSON string). Real input is ignored until the replay finishes or `stop` is called.
+	*/
+	replay: function (log)
+	{
+		if (this.mode !== null)
+			throw new Error ("Recorder (replay): Already " + (this.mode == 'record' ? "recording." : "replaying."));
+
+		if (typeof(log) === 'string')
+			log = JSON.parse(log);
+
+		if (!log || log.version !== 1)
+			throw new Error ("Recorder (replay): Unsupported log format.");
+
+		this.log = log;
+		this.mode = 'replay';
+		this.frame = 0;
+
+		this.deltaIndex = 0;
+		this.deltaCount = 0;
+		this.eventIndex = 0;
+
+		this.saved = {
+			onFrameStart: System.onFrameStart,
+			fixedFrameInterval: System.fixedFrameInterval,
+			gamepads: System.options.gamepads,
+			keyState: System.keyState,
+			pointerState: System.pointerState,
+			gamepadState: System.gamepadState,
+			gamepadPlayers: System.gamepadPlayers,
+			handlers: { },
+			pointerHandlers: { }
+		};
+
+		// Disable real input.
+		for (let name of INPUT_HANDLERS)
+		{
+			this.saved.handlers[name] = global[name];
+			global[name] = null;
+		}
+
+		const elem = System.displayBuffer ? System.displayBuffer.elem : null;
+		if (elem)
+		{
+			for (let name of POINTER_HANDLERS)
+			{
+				this.saved.pointerHandlers[name] = elem[name];
+				elem[name] = null;
+			}
+		}
+
+		System.options.gamepads = false;
+
+		System.keyState = { time: 0, shift: false, ctrl: false, alt: false, keyCode: 0 };
+		System.pointerState = { };
+		System.gamepadState = { };
+		System.gamepadPlayers = [ ];
+
+		System.onFrameStart = (delta) =>
+		{
+			if (this.deltaIndex >= this.log.deltas.length)
+			{
+				// The incoming delta was overridden by the last replayed one, use the nominal frame interval instead.
+				delta = this.saved.fixedFrameInterval || System.frameInterval;
+
+				this.dispatch(Infinity);
+				this.stop();
+				this.onReplayEnd();
+				return System.onFrameStart(delta);
+			}
+
+			this.dispatch(this.frame);
+
+			System.fixedFrameInterval = this.log.deltas[this.deltaIndex];
+			if (++this.deltaCount == this.log.deltas[this.deltaIndex+1])
+			{
+				this.deltaIndex += 2;
+				this.deltaCount = 0;
+			}
+
+			this.frame++;
+			return this.saved.onFrameStart.call(System, System.fixedFrameInterval);
+		};
+
+		this.onSeed(log.seed);
+	},
+
+	/*
+	**	Stops recording or replaying and restores the system state. Returns the log.
+	*/
+	stop: function ()
+	{
+		if (this.mode === null)
+			return this.log;
+
+		const saved = this.saved;
+
+		if (this.mode === 'record')
+		{
+			System.onKeyboardEvent = saved.onKeyboardEvent;
+			System.onPointerEvent = saved.onPointerEvent;
+			System.onGamepadEvent = saved.onGamepadEvent;
+			System.onFrameStart = saved.onFrameStart;
+		}
+		else
+		{
+			System.onFrameStart = saved.onFrameStart;
+			System.fixedFrameInterval = saved.fixedFrameInterval;
+			System.options.gamepads = saved.gamepads;
+
+			System.keyState = saved.keyState;
+			System.pointerState = saved.pointerState;
+			System.gamepadState = saved.gamepadState;
+			System.gamepadPlayers = saved.gamepadPlayers;
+
+			for (let name in saved.handlers)
+				global[name] = saved.handlers[name];
+
+			const elem = System.displayBuffer ? System.displayBuffer.elem : null;
+			if (elem)
+			{
+				for (let name in saved.pointerHandlers)
+					elem[name] = saved.pointerHandlers[name];
+			}
+		}
+
+		this.mode = null;
+		this.saved = null;
+
+		return this.log;
+	},
+
+	/*
+	**	Returns the log as a JSON string.
+	*/
+	serialize: function ()
+	{
+		return JSON.stringify(this.log);
+	},
+
+	/*
+	**	Returns the value stored in the log for a gamepad event.
+	*/
+	getGamepadValue: function (action, code, gamepad)
+	{
+		switch (action)
+		{
+			case System.EVT_GAMEPAD_BUTTON_DOWN: case System.EVT_GAMEPAD_BUTTON_UP:
+				return gamepad.values[code] || 0;
+
+			case System.EVT_GAMEPAD_AXIS:
+				return gamepad.axes[code];
+		}
+
+		return 0;
+	},
+
+	/*
+	**	Dispatches all events of the log recorded before the specified frame (inclusive), updating the replay input states the same way the system does.
+	*/
+	dispatch: function (frame)
+	{
+		const events = this.log.events;
+
+		while (this.eventIndex < events.length && events[this.eventIndex][0] <= frame)
+		{
+			const e = events[this.eventIndex++];
+			const action = e[1];
+
+			if (action < System.EVT_POINTER_DOWN)
+				this.dispatchKeyboard(action, e[2]);
+			else if (action < System.EVT_GAMEPAD_CONNECTED)
+				this.dispatchPointer(action, e);
+			else
+				this.dispatchGamepad(action, e[2], e[3], e[4]);
+		}
+	},
+
+	/*
+	**	Replays a keyboard event.
+	*/
+	dispatchKeyboard: function (action, keyCode)
+	{
+		const state = System.keyState;
+		const down = action === System.EVT_KEY_DOWN;
+
+		state[keyCode] = down;
+		state.keyCode = keyCode;
+
+		if (down)
+			state.startTime = System.now(true);
+		else
+			state.endTime = System.now(true);
+
+		switch (keyCode)
+		{
+			case 16: state.shift = down; break;
+			case 17: state.ctrl = down; break;
+			case 18: state.alt = down; break;
+		}
+
+		if (System.onKeyboardEvent)
+			System.onKeyboardEvent (action, keyCode, state);
+	},
+
+	/*
+	**	Replays a pointer event, the pointer state is restored from the log and updated after the event as done by the system.
+	*/
+	dispatchPointer: function (action, e)
+	{
+		const id = e[2];
+
+		if (!System.pointerState[id])
+			System.pointerState[id] = { id: id, isActive: false, isDragging: false, sx: 0, sy: 0, x: 0, y: 0, dx: 0, dy: 0, button: 0 };
+
+		const p = System.pointerState[id];
+
+		p.x = e[3]; p.y = e[4];
+		p.sx = e[5]; p.sy = e[6];
+		p.dx = p.x - p.sx; p.dy = p.y - p.sy;
+
+		p.button = e[7];
+		p.isActive = (e[8] & 1) != 0;
+		p.isDragging = (e[8] & 2) != 0;
+
+		if (System.onPointerEvent)
+			System.onPointerEvent (action, p, System.pointerState);
+
+		switch (action)
+		{
+			case System.EVT_POINTER_DRAG_START:
+				p.isDragging = true;
+				break;
+
+			case System.EVT_POINTER_UP:
+				p.isActive = false;
+				p.isDragging = false;
+				p.button = 0;
+				break;
+		}
+	},
+
+	/*
+	**	Replays a gamepad event, the gamepad states are rebuilt from the values stored in the log. The state of a gamepad without a connection
+	**	event in the log is created when needed.
+	*/
+	dispatchGamepad: function (action, code, index, value)
+	{
+		let state = System.gamepadState[index];
+
+		if (!state)
+		{
+			if (action === System.EVT_GAMEPAD_DISCONNECTED)
+				return;
+
+			let player = 0;
+
+			if (action === System.EVT_GAMEPAD_CONNECTED)
+				player = code;
+			else
+				while (System.gamepadPlayers[player]) player++;
+
+			state = { id: 'replay', index: index, player: player, timestamp: null, mapping: 'standard', profile: null, buttons: [], values: [], axes: [] };
+			System.gamepadState[index] = state;
+			System.gamepadPlayers[player] = state;
+		}
+
+		switch (action)
+		{
+			case System.EVT_GAMEPAD_CONNECTED:
+				break;
+
+			case System.EVT_GAMEPAD_DISCONNECTED:
+				delete System.gamepadState[index];
+				System.gamepadPlayers[code] = null;
+				break;
+
+			case System.EVT_GAMEPAD_BUTTON_DOWN: case System.EVT_GAMEPAD_BUTTON_UP:
+				state.buttons[code] = action === System.EVT_GAMEPAD_BUTTON_DOWN;
+				state.values[code] = value;
+				break;
+
+			case System.EVT_GAMEPAD_AXIS:
+				state.axes[code] = value;
+				break;
+		}
+
+		if (System.onGamepadEvent)
+			System.onGamepadEvent (action, code, state, System.gamepadState);
+	},
+
+	/*
+	**	Event triggered when recording or replay starts, seeds the default random generator (and its streams). Should be overridden if the game
+	**	uses other generators.
+	*/
+	onSeed: function (seed)
+	{
+		Random.seed(seed);
+	},
+
+	/*
+	**	Event triggered when all frames of the log have been replayed.
+	*/
+	onReplayEnd: function ()
+	{
+	}
+};
+
+export default Recorder;
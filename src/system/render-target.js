@@ -0,0 +1,86 @@
+/*
+**	system/render-target.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import IDrawable from './idrawable.js';
+
+/**
+**	Offscreen image that can be used as destination of drawing operations of a canvas (see Canvas.createRenderTarget). The target behaves
+**	like an image resource, the `data` field can be passed to `drawImage` and the target itself to `drawImageResource`.
+*/
+
+export default IDrawable.extend
+({
+	className: "RenderTarget",
+
+	/**
+	**	Canvas that owns the target.
+	*/
+	g: null,
+
+	/**
+	**	Image used as storage of the target.
+	*/
+	data: null,
+
+	/**
+	**	Constructs the render target, use Canvas.createRenderTarget instead.
+	*/
+	__ctor: function (g, width, height)
+	{
+		this._super.IDrawable.__ctor(width, height);
+
+		this.g = g;
+		this.data = g.createTargetImage(width, height);
+	},
+
+	/**
+	**	Releases the resources used by the target, it can no longer be used after it is disposed.
+	*/
+	__dtor: function ()
+	{
+		if (!this.data) return;
+
+		this.g.disposeTargetImage(this.data);
+		this.data = null;
+	},
+
+	/**
+	**	Redirects the drawing operations of the canvas to the target, returns the canvas.
+	*/
+	begin: function ()
+	{
+		return this.g.beginRenderTarget(this);
+	},
+
+	/**
+	**	Finishes rendering to the target, returns the canvas.
+	*/
+	end: function ()
+	{
+		return this.g.endRenderTarget();
+	},
+
+	/**
+	**	Draws the target on the given canvas.
+	*/
+	draw: function (g, x=0, y=0, width=null, height=null)
+	{
+		if (!this.data)
+			return;
+
+		g.drawImageResource (this, x, y, width, height);
+	}
+});
@@ -0,0 +1,410 @@
+/*
+**	system/storage.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { Class } from '@rsthn/rin';
+
+/*
+**	Returns the 32-bit FNV-1a hash of a string as an 8-digit hexadecimal string.
+*/
+
+const hash = function (str)
+{
+	let h = 0x811C9DC5;
+
+	for (let i = 0; i < str.length; i++)
+		h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+
+	return ('0000000' + (h >>> 0).toString(16)).substr(-8);
+};
+
+/**
+**	Persistent key-value storage with pluggable backends, used for save slots and settings. Values are stored as records with the format
+**	{ version, time, checksum, data }, where the checksum (a hash of the salt, version and data) is used to detect corrupted or tampered
+**	records. All operations are asynchronous and return promises.
+*/
+
+const Storage =
+{
+	/*
+	**	Active backend, when not set one is selected automatically (see `getBackend`).
+	*/
+	backend: null,
+
+	/*
+	**	Prefix added to all keys.
+	*/
+	prefix: "cherry.",
+
+	/*
+	**	Salt used when calculating checksums, should be set to a game-specific value.
+	*/
+	salt: "",
+
+	/*
+	**	Current version of the save slots schema, and migration functions indexed by the version they upgrade from, each receives the data
+	**	of version `n` and should return the data for version `n+1`.
+	*/
+	version: 1,
+	migrations: { },
+
+	/*
+	**	Sets the backend to use.
+	*/
+	setBackend: function (backend)
+	{
+		this.backend = backend;
+		return backend;
+	},
+
+	/*
+	**	Returns the active backend, if none set the local storage backend is selected when available, or the memory backend otherwise.
+	*/
+	getBackend: function ()
+	{
+		if (this.backend === null)
+			this.backend = global.localStorage ? new Storage.LocalBackend() : new Storage.MemoryBackend();
+
+		return this.backend;
+	},
+
+	/*
+	**	Sets the current schema version.
+	*/
+	setVersion: function (version)
+	{
+		this.version = version;
+	},
+
+	/*
+	**	Registers a function to migrate the data of a save slot from version `fromVersion` to `fromVersion+1`.
+	*/
+	addMigration: function (fromVersion, fn)
+	{
+		this.migrations[fromVersion] = fn;
+	},
+
+	/*
+	**	Returns the checksum of a record.
+	*/
+	checksum: function (version, json)
+	{
+		return hash(this.salt + ':' + version + ':' + json);
+	},
+
+	/*
+	**	Writes a record with the specified data and version. Resolves to the record.
+	*/
+	write: function (key, data, version=1)
+	{
+		const json = JSON.stringify(data);
+		const record = { version: version, time: Date.now(), checksum: this.checksum(version, json), data: data };
+
+		return this.getBackend().set(this.prefix + key, JSON.stringify(record)).then(() => record);
+	},
+
+	/*
+	**	Reads a record. Resolves to `null` if it does not exist, rejects if the record is corrupted or its checksum does not match.
+	*/
+	read: function (key)
+	{
+		return this.getBackend().get(this.prefix + key).then(value =>
+		{
+			if (value === null || value === undefined)
+				return null;
+
+			let record;
+
+			try {
+				record = JSON.parse(value);
+			}
+			catch (e) {
+				throw new Error ("Storage (read): Corrupted record: " + key);
+			}
+
+			if (!record || typeof(record) !== 'object' || record.checksum !== this.checksum(record.version, JSON.stringify(record.data)))
+				throw new Error ("Storage (read): Checksum mismatch: " + key);
+
+			return record;
+		});
+	},
+
+	/*
+	**	Removes a record.
+	*/
+	remove: function (key)
+	{
+		return this.getBackend().remove(this.prefix + key);
+	},
+
+	/*
+	**	Saves data in the specified slot using the current schema version.
+	*/
+	save: function (slot, data)
+	{
+		return this.write('slot.' + slot, data, this.version);
+	},
+
+	/*
+	**	Loads the data of the specified slot, resolves to `null` if the slot is empty. Data of older versions is migrated to the current version
+	**	(and saved back), rejects if the data is corrupted, is of a newer version, or a migration function is missing.
+	*/
+	load: function (slot)
+	{
+		return this.read('slot.' + slot).then(record =>
+		{
+			if (record === null)
+				return null;
+
+			if (record.version == this.version)
+				return record.data;
+
+			if (record.version > this.version)
+				throw new Error ("Storage (load): Unsupported version " + record.version + " in slot: " + slot);
+
+			let data = record.data;
+
+			for (let v = record.version; v < this.version; v++)
+			{
+				if (!this.migrations[v])
+					throw new Error ("Storage (load): Missing migration from version " + v + " for slot: " + slot);
+
+				data = this.migrations[v](data);
+			}
+
+			return this.save(slot, data).then(() => data);
+		});
+	},
+
+	/*
+	**	Removes the specified slot.
+	*/
+	erase: function (slot)
+	{
+		return this.remove('slot.' + slot);
+	},
+
+	/*
+	**	Resolves to a list with the information ({ slot, version, time }) of all non-empty slots. Corrupted slots have `version` and `time` set
+	**	to null.
+	*/
+	list: function ()
+	{
+		const prefix = this.prefix + 'slot.';
+
+		return this.getBackend().keys(prefix).then(keys =>
+		{
+			return Promise.all(keys.map(key =>
+			{
+				const slot = key.substr(prefix.length);
+
+				return this.read('slot.' + slot)
+					.then(record => ({ slot: slot, version: record.version, time: record.time }))
+					.catch(() => ({ slot: slot, version: null, time: null }));
+			}));
+		});
+	}
+};
+
+/**
+**	Base class of storage backends. All methods return promises, values are strings.
+*/
+Storage.Backend = Class.extend
+({
+	className: 'Backend',
+
+	/**
+	**	Resolves to the value of the key or `null` if it does not exist.
+	*/
+	get: function (key)
+	{
+		return Promise.reject(new Error ("Storage.Backend: get not implemented."));
+	},
+
+	/**
+	**	Sets the value of a key.
+	*/
+	set: function (key, value)
+	{
+		return Promise.reject(new Error ("Storage.Backend: set not implemented."));
+	},
+
+	/**
+	**	Removes a key.
+	*/
+	remove: function (key)
+	{
+		return Promise.reject(new Error ("Storage.Backend: remove not implemented."));
+	},
+
+	/**
+	**	Resolves to the list of keys starting with the specified prefix.
+	*/
+	keys: function (prefix)
+	{
+		return Promise.reject(new Error ("Storage.Backend: keys not implemented."));
+	}
+});
+
+/**
+**	In-memory backend, data is lost when the page is reloaded. Used when no other backend is available (i.e. in Node).
+*/
+Storage.MemoryBackend = Storage.Backend.extend
+({
+	className: 'MemoryBackend',
+
+	data: null,
+
+	__ctor: function ()
+	{
+		this.data = { };
+	},
+
+	get: function (key)
+	{
+		return Promise.resolve(key in this.data ? this.data[key] : null);
+	},
+
+	set: function (key, value)
+	{
+		this.data[key] = String(value);
+		return Promise.resolve();
+	},
+
+	remove: function (key)
+	{
+		delete this.data[key];
+		return Promise.resolve();
+	},
+
+	keys: function (prefix)
+	{
+		return Promise.resolve(Object.keys(this.data).filter(key => key.startsWith(prefix)));
+	}
+});
+
+/**
+**	Backend using the browser's local storage.
+*/
+Storage.LocalBackend = Storage.Backend.extend
+({
+	className: 'LocalBackend',
+
+	get: function (key)
+	{
+		return new Promise((resolve) => resolve(global.localStorage.getItem(key)));
+	},
+
+	set: function (key, value)
+	{
+		return new Promise((resolve) => resolve(global.localStorage.setItem(key, value)));
+	},
+
+	remove: function (key)
+	{
+		return new Promise((resolve) => resolve(global.localStorage.removeItem(key)));
+	},
+
+	keys: function (prefix)
+	{
+		return new Promise((resolve) =>
+		{
+			let list = [];
+
+			for (let i = 0; i < global.localStorage.length; i++)
+			{
+				const key = global.localStorage.key(i);
+				if (key.startsWith(prefix)) list.push(key);
+			}
+
+			resolve(list);
+		});
+	}
+});
+
+/**
+**	Backend using IndexedDB, suitable for large save data. The database is opened on first use.
+*/
+Storage.IndexedDBBackend = Storage.Backend.extend
+({
+	className: 'IndexedDBBackend',
+
+	name: null,
+	db: null,
+
+	__ctor: function (name='cherry')
+	{
+		this.name = name;
+	},
+
+	/**
+	**	Resolves to the opened database.
+	*/
+	open: function ()
+	{
+		if (this.db !== null)
+			return this.db;
+
+		this.db = new Promise((resolve, reject) =>
+		{
+			if (!global.indexedDB)
+				return reject(new Error ("Storage.IndexedDBBackend: IndexedDB is not available."));
+
+			const request = global.indexedDB.open(this.name, 1);
+
+			request.onupgradeneeded = () => request.result.createObjectStore('data');
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+
+		return this.db;
+	},
+
+	/**
+	**	Runs a request on the object store and resolves to its result.
+	*/
+	request: function (mode, fn)
+	{
+		return this.open().then(db => new Promise((resolve, reject) =>
+		{
+			const request = fn(db.transaction('data', mode).objectStore('data'));
+
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		}));
+	},
+
+	get: function (key)
+	{
+		return this.request('readonly', store => store.get(key)).then(value => value === undefined ? null : value);
+	},
+
+	set: function (key, value)
+	{
+		return this.request('readwrite', store => store.put(String(value), key)).then(() => { });
+	},
+
+	remove: function (key)
+	{
+		return this.request('readwrite', store => store.delete(key)).then(() => { });
+	},
+
+	keys: function (prefix)
+	{
+		return this.request('readonly', store => store.getAllKeys()).then(keys => keys.filter(key => typeof(key) === 'string' && key.startsWith(prefix)));
+	}
+});
+
+export default Storage;
@@ -48,6 +48,12 @@ const System =
 	EVT_POINTER_DRAG_MOVE:	0x014,
 	EVT_POINTER_DRAG_STOP:	0x015,
 
+	EVT_GAMEPAD_CONNECTED:		0x020,
+	EVT_GAMEPAD_DISCONNECTED:	0x021,
+	EVT_GAMEPAD_BUTTON_DOWN:	0x022,
+	EVT_GAMEPAD_BUTTON_UP:		0x023,
+	EVT_GAMEPAD_AXIS:			0x024,
+
 	/*
 	**	Display orientations.
 	*/
@@ -79,7 +85,11 @@ const System =
 		orientation: 0,
 
 		extraScaleFactor: 1,
-		fullscreen: false
+		fullscreen: false,
+
+		gamepads: true,
+		gamepadDeadzone: 0.15,
+		gamepadThreshold: 0.5
 	},
 
 	/*
@@ -133,6 +143,44 @@ const System =
 	*/
 	pointerState: { },
 
+	/*
+	**	Current status of all connected gamepads (indexed by gamepad index). The related object is known as the Gamepad State, and has the following fields:
+	**	id, index, player, mapping, profile, buttons, values, axes, timestamp
+	*/
+	gamepadState: { },
+
+	/*
+	**	Gamepad states indexed by player number. Players are assigned in connection order, and the lowest free player number is reused on reconnection.
+	*/
+	gamepadPlayers: [ ],
+
+	/*
+	**	Mapping profiles used to normalize gamepads not reporting the "standard" mapping to the layout described in `GamepadCodes`. Each profile has
+	**	the following fields (all optional except `id`):
+	**
+	**	id: RegExp tested against the gamepad's id.
+	**	buttons: Array, standard button index for each raw button index (null to ignore the button).
+	**	axes: Array, standard axis index for each raw axis index, either a number or an object { index, invert } (null to ignore the axis).
+	**	axisButtons: Array of objects { axis, button, min, max } converting the raw axis range [min, max] to the [0, 1] value of a standard button.
+	**	deadzone: Deadzone for the profile, overrides the `gamepadDeadzone` option.
+	*/
+	gamepadProfiles:
+	[
+		{
+			id: /045e-028e/i, // Xbox 360 controller (evdev layout).
+			buttons: [0, 1, 2, 3, 4, 5, 8, 9, 16, 10, 11],
+			axes: [0, 1, null, 2, 3, null, null, null],
+			axisButtons: [
+				{ axis: 2, button: 6, min: -1, max: 1 },
+				{ axis: 5, button: 7, min: -1, max: 1 },
+				{ axis: 6, button: 14, min: 0, max: -1 },
+				{ axis: 6, button: 15, min: 0, max: 1 },
+				{ axis: 7, button: 12, min: 0, max: -1 },
+				{ axis: 7, button: 13, min: 0, max: 1 }
+			]
+		}
+	],
+
 	/*
 	**	The update method of all objects will be executed when the system update() method is called.
 	*/
@@ -644,12 +692,17 @@ const System =
 		if (this.fixedFrameInterval != 0)
 			delta = this.fixedFrameInterval;
 
+		this.pollGamepads();
+
 		if (!this.flags.renderingEnabled || this.flags.renderingPaused)
 		{
 			this.frameDrawInProgress = true;
 			try {
+				this.displayBuffer.beginPostProcess();
 				this.displayBuffer.clear();
 				this.draw (this.displayBuffer, this.displayBuffer2);
+				this.displayBuffer.flush('frame');
+				this.displayBuffer.endPostProcess();
 			}
 			catch (e) {
 				console.error("DRAW ERROR: \n" + e + "\n" + e.stack);
@@ -658,6 +711,8 @@ const System =
 			return;
 		}
 
+		delta = this.onFrameStart(delta);
+
 		if (this.perf.numFrames == 0)
 		{
 			this.perf.startTime = now - this.frameInterval;
@@ -689,8 +744,11 @@ const System =
 		this.frameDrawInProgress = true;
 		tmp = hrnow();
 		try {
+			this.displayBuffer.beginPostProcess();
 			this.displayBuffer.clear();
 			this.draw (this.displayBuffer, this.displayBuffer2);
+			this.displayBuffer.flush('frame');
+			this.displayBuffer.endPostProcess();
 		}
 		catch (e) {
 			System.stop();
@@ -999,6 +1057,239 @@ const System =
 		}
 	},
 
+	/*
+	**	Registers a gamepad mapping profile (see `gamepadProfiles`), profiles added later have precedence over the existing ones.
+	*/
+	addGamepadProfile: function (profile)
+	{
+		if (!profile || !(profile.id instanceof RegExp))
+			throw new Error ("System (addGamepadProfile): Profile id should be a RegExp.");
+
+		this.gamepadProfiles.unshift(profile);
+		return profile;
+	},
+
+	/*
+	**	Returns the mapping profile for the specified Gamepad object, or `null` if the gamepad uses the standard mapping or no profile matches.
+	*/
+	getGamepadProfile: function (pad)
+	{
+		if (pad.mapping === 'standard')
+			return null;
+
+		for (let i = 0; i < this.gamepadProfiles.length; i++)
+		{
+			if (this.gamepadProfiles[i].id.test(pad.id))
+				return this.gamepadProfiles[i];
+		}
+
+		return null;
+	},
+
+	/*
+	**	Returns the gamepad state of the specified player or `null` if the player has no gamepad connected.
+	*/
+	getGamepad: function (player)
+	{
+		return this.gamepadPlayers[player] || null;
+	},
+
+	/*
+	**	Polls the Gamepad API and triggers the gamepad events of all detected changes. Executed automatically at the start of each frame. The
+	**	gamepad state is updated even when there is no `onGamepadEvent` handler.
+	*/
+	pollGamepads: function()
+	{
+		if (!this.options.gamepads || !global.navigator || !global.navigator.getGamepads)
+			return;
+
+		let list = global.navigator.getGamepads();
+		let seen = { };
+
+		for (let i = 0; i < list.length; i++)
+		{
+			let pad = list[i];
+			if (!pad || pad.connected === false) continue;
+
+			let state = this.gamepadState[pad.index];
+			if (state && state.id !== pad.id)
+			{
+				this.gamepadDisconnect(state);
+				state = null;
+			}
+
+			if (!state) state = this.gamepadConnect(pad);
+
+			seen[pad.index] = true;
+
+			if (pad.timestamp && state.timestamp === pad.timestamp)
+				continue;
+
+			state.timestamp = pad.timestamp;
+			this.gamepadUpdate(state, pad);
+		}
+
+		for (let index in this.gamepadState)
+		{
+			if (!(index in seen))
+				this.gamepadDisconnect(this.gamepadState[index]);
+		}
+	},
+
+	/*
+	**	Creates the gamepad state for the specified Gamepad object, assigns it a player number and triggers the connection event.
+	*/
+	gamepadConnect: function (pad)
+	{
+		let player = 0;
+		while (this.gamepadPlayers[player]) player++;
+
+		let profile = this.getGamepadProfile(pad);
+
+		let state = {
+			id: pad.id, index: pad.index, player: player, timestamp: null,
+			mapping: profile !== null || pad.mapping === 'standard' ? 'standard' : pad.mapping,
+			profile: profile, buttons: [ ], values: [ ], axes: [ ]
+		};
+
+		this.gamepadState[pad.index] = state;
+		this.gamepadPlayers[player] = state;
+
+		if (this.onGamepadEvent)
+			this.onGamepadEvent (this.EVT_GAMEPAD_CONNECTED, player, state, this.gamepadState);
+
+		return state;
+	},
+
+	/*
+	**	Releases all buttons and axes of the specified gamepad state, frees its player number and triggers the disconnection event.
+	*/
+	gamepadDisconnect: function (state)
+	{
+		for (let i = 0; i < state.buttons.length; i++)
+		{
+			if (!state.buttons[i]) continue;
+
+			state.buttons[i] = false;
+			state.values[i] = 0;
+
+			if (this.onGamepadEvent)
+				this.onGamepadEvent (this.EVT_GAMEPAD_BUTTON_UP, i, state, this.gamepadState);
+		}
+
+		for (let i = 0; i < state.axes.length; i++)
+		{
+			if (!state.axes[i]) continue;
+
+			state.axes[i] = 0;
+			if (this.onGamepadEvent)
+				this.onGamepadEvent (this.EVT_GAMEPAD_AXIS, i, state, this.gamepadState);
+		}
+
+		delete this.gamepadState[state.index];
+		this.gamepadPlayers[state.player] = null;
+
+		if (this.onGamepadEvent)
+			this.onGamepadEvent (this.EVT_GAMEPAD_DISCONNECTED, state.player, state, this.gamepadState);
+	},
+
+	/*
+	**	Reads the buttons and axes of the Gamepad object, normalizes them to the standard layout (applying deadzones) and triggers the events of the
+	**	values that changed since the last update.
+	*/
+	gamepadUpdate: function (state, pad)
+	{
+		let profile = state.profile;
+		let deadzone = profile && profile.deadzone !== undefined ? profile.deadzone : this.options.gamepadDeadzone;
+		let threshold = this.options.gamepadThreshold;
+
+		let values = [ ];
+		let axes = [ ];
+
+		for (let i = 0; i < pad.buttons.length; i++)
+		{
+			let button = pad.buttons[i];
+			let value = typeof(button) === 'object' ? (button.pressed && !button.value ? 1 : button.value) : button;
+
+			let j = profile ? profile.buttons && profile.buttons[i] : i;
+			if (j === null || j === undefined) continue;
+
+			values[j] = Math.max(values[j] || 0, value);
+		}
+
+		for (let i = 0; i < pad.axes.length; i++)
+		{
+			let j = profile ? profile.axes && profile.axes[i] : i;
+			if (j === null || j === undefined) continue;
+
+			if (typeof(j) === 'object')
+				axes[j.index] = j.invert ? -pad.axes[i] : pad.axes[i];
+			else
+				axes[j] = pad.axes[i];
+		}
+
+		if (profile && profile.axisButtons)
+		{
+			for (let k of profile.axisButtons)
+			{
+				let value = (pad.axes[k.axis] - k.min) / (k.max - k.min);
+				value = value < 0 ? 0 : (value > 1 ? 1 : value);
+
+				values[k.button] = Math.max(values[k.button] || 0, value);
+			}
+		}
+
+		// Radial deadzone on both sticks, axial on any other axis.
+		for (let i = 0; i < axes.length; i++)
+		{
+			if (axes[i] === undefined) axes[i] = 0;
+
+			if (i < 4 && !(i & 1))
+			{
+				let x = axes[i], y = axes[i+1] || 0;
+				let mag = Math.sqrt(x*x + y*y);
+
+				let scale = mag <= deadzone ? 0 : Math.min(1, (mag - deadzone) / (1 - deadzone)) / mag;
+
+				axes[i] = x*scale;
+				if (i+1 < axes.length) axes[i+1] = y*scale;
+				i++;
+				continue;
+			}
+
+			let mag = Math.abs(axes[i]);
+			axes[i] = mag <= deadzone ? 0 : Math.sign(axes[i]) * Math.min(1, (mag - deadzone) / (1 - deadzone));
+		}
+
+		for (let i = 0; i < values.length; i++)
+		{
+			let value = values[i] || 0;
+			let pressed = value >= threshold;
+
+			state.values[i] = value;
+
+			if (pressed === !!state.buttons[i])
+				continue;
+
+			state.buttons[i] = pressed;
+			if (this.onGamepadEvent)
+				this.onGamepadEvent (pressed ? this.EVT_GAMEPAD_BUTTON_DOWN : this.EVT_GAMEPAD_BUTTON_UP, i, state, this.gamepadState);
+		}
+
+		for (let i = 0; i < axes.length; i++)
+		{
+			if ((state.axes[i] || 0) === axes[i])
+			{
+				state.axes[i] = axes[i];
+				continue;
+			}
+
+			state.axes[i] = axes[i];
+			if (this.onGamepadEvent)
+				this.onGamepadEvent (this.EVT_GAMEPAD_AXIS, i, state, this.gamepadState);
+		}
+	},
+
 	/*
 	**	Interpolates numeric values between two objects (`src` and `dst`) using the specified `duration` and `easing` function. Note that all four parameters
 	**	`src`, `dst`, `duration` and `easing` must be objects having the same number of values.
@@ -1047,6 +1338,14 @@ const System =
 		interpolator.update(0);
 	},
 
+	/*
+	**	Event triggered before each update cycle with the frame delta in milliseconds (before time scaling), should return the delta to use.
+	*/
+	onFrameStart: function (delta)
+	{
+		return delta;
+	},
+
 	/*
 	**	Event triggered when a keyboard event is detected by the system, `action` is one of the EVT_KEY_* constants,
 	**	`keyCode` is one of the `KeyCodes` constants and `keyState` a reference to `System.keyState`.
@@ -1061,6 +1360,15 @@ const System =
 	*/
 	onPointerEvent: function (action, pointer, pointers)
 	{
+	},
+
+	/*
+	**	Event triggered when a gamepad event is detected by the system, `action` is one of the EVT_GAMEPAD_* constants, `code` is the button or axis
+	**	index (see `GamepadCodes`) or the player number on connection events, `gamepad` contains the gamepad state and `gamepads` a reference to
+	**	`System.gamepadState`.
+	*/
+	onGamepadEvent: function (action, code, gamepad, gamepads)
+	{
 	}
 };
 
@@ -0,0 +1,181 @@
+/*
+**	test/offline-audio.test.js
+**
+**	Copyright (c) 2016-2021, RedStar Technologies, All rights reserved.
+**	https://rsthn.com/
+**
+**	THIS LIBRARY IS PROVIDED BY REDSTAR TECHNOLOGIES "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES,
+**	INCLUDING, BUT NOT LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A 
+**	PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL REDSTAR TECHNOLOGIES BE LIABLE FOR ANY
+**	DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT 
+**	NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; 
+**	OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, 
+**	STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE
+**	USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+import OfflineAudio from '../src/resources/offline-audio.js';
+import Resources from '../src/resources/resources.js';
+import Sound from '../src/resources/sound.js';
+
+/*
+	Renders scenes with the offline mixer and compares the envelope of the output (RMS of each 20ms window) with the snapshots stored in
+	`snapshots/offline-audio.json`. Run with UPDATE_SNAPSHOTS=1 to write the snapshots again.
+*/
+
+const SAMPLE_RATE = 8000;
+const SNAPSHOTS = new URL('./snapshots/offline-audio.json', import.meta.url);
+
+const snapshots = fs.existsSync(SNAPSHOTS) ? JSON.parse(fs.readFileSync(SNAPSHOTS)) : { };
+
+/**
+**	Creates the descriptor of a sine tone resource.
+*/
+const tone = function (frequency, duration, track)
+{
+	return Resources.Synth({ wave: 'sine', frequency: frequency, attack: 0, decay: 0, sustain: 1, sustainTime: duration, release: 0, volume: 1, sampleRate: SAMPLE_RATE }, { track: track });
+};
+
+/**
+**	Starts the offline mode, loads the resources and runs the scene, returns the rendered audio.
+*/
+const render = function (list, scene)
+{
+	OfflineAudio.start({ sampleRate: SAMPLE_RATE });
+
+	return Resources.loadAsync(list).then(() => { scene(list); return OfflineAudio.stop(); }, err => { OfflineAudio.stop(); throw err; });
+};
+
+/**
+**	Returns the RMS of a range of samples.
+*/
+const rms = function (data, start, end)
+{
+	let sum = 0;
+
+	for (let i = start; i < end; i++)
+		sum += data[i]*data[i];
+
+	return Math.sqrt(sum / (end - start));
+};
+
+/**
+**	Returns the RMS of each 20ms window of the left channel rounded to three decimals.
+*/
+const envelope = function (audio)
+{
+	const data = audio.channels[0];
+	const size = audio.sampleRate / 50;
+	const output = [];
+
+	for (let i = 0; i + size <= data.length; i += size)
+		output.push(Math.round(rms(data, i, i + size) * 1000) / 1000);
+
+	return output;
+};
+
+/**
+**	Compares the envelope of the audio with the snapshot of the given name.
+*/
+const matchSnapshot = function (name, audio)
+{
+	const value = envelope(audio);
+
+	if (process.env.UPDATE_SNAPSHOTS || !(name in snapshots))
+	{
+		assert.ok(process.env.UPDATE_SNAPSHOTS, "Snapshot not found: " + name);
+
+		snapshots[name] = value;
+		fs.mkdirSync(new URL('.', SNAPSHOTS), { recursive: true });
+		fs.writeFileSync(SNAPSHOTS, '{\n' + Object.keys(snapshots).map(i => '\t' + JSON.stringify(i) + ': ' + JSON.stringify(snapshots[i])).join(',\n') + '\n}\n');
+		return;
+	}
+
+	assert.deepEqual(value, snapshots[name]);
+};
+
+test('fade out', () => render({ a: tone(400, 1, 'sfx') }, (list) =>
+{
+	const node = list.a.play();
+
+	OfflineAudio.render(0.25);
+	Sound.fadeOut(node, 250, true);
+	OfflineAudio.render(0.5);
+})
+.then(audio =>
+{
+	const data = audio.channels[0];
+	const at = (time) => rms(data, time*SAMPLE_RATE, (time + 0.02)*SAMPLE_RATE);
+
+	assert.ok(Math.abs(at(0.1) - Math.SQRT1_2) < 0.01);
+	assert.ok(at(0.3) > at(0.4) && at(0.4) > at(0.45));
+	assert.equal(rms(data, 0.55*SAMPLE_RATE, 0.75*SAMPLE_RATE), 0);
+
+	matchSnapshot('fade out', audio);
+}));
+
+test('loop', () => render({ b: tone(500, 0.1, 'sfx') }, (list) =>
+{
+	Sound.playLoopSection(list.b, 0, null);
+	OfflineAudio.render(0.5);
+})
+.then(audio =>
+{
+	const data = audio.channels[0];
+	const period = 0.1*SAMPLE_RATE;
+
+	for (let i = 0; i + period < data.length; i++)
+		assert.equal(data[i + period], data[i], "Sample " + i + " differs from the previous loop iteration");
+
+	assert.ok(rms(data, 0.4*SAMPLE_RATE, 0.5*SAMPLE_RATE) > 0.5);
+
+	matchSnapshot('loop', audio);
+}));
+
+test('disabled track', () => render({ a: tone(400, 1, 'sfx'), m: tone(250, 1, 'music') }, (list) =>
+{
+	list.m.play();
+
+	Sound.disableTrack(Sound.SFX);
+	assert.equal(list.a.play(), null);
+	OfflineAudio.render(0.25);
+
+	Sound.disableTrack(Sound.MUSIC);
+	OfflineAudio.render(0.25);
+
+	Sound.enableTrack(Sound.SFX);
+	Sound.enableTrack(Sound.MUSIC);
+})
+.then(audio =>
+{
+	const data = audio.channels[0];
+
+	assert.ok(Math.abs(rms(data, 0, 0.25*SAMPLE_RATE) - Math.SQRT1_2*Sound.MUSIC.volume) < 0.01);
+	assert.equal(rms(data, 0.3*SAMPLE_RATE, 0.5*SAMPLE_RATE), 0);
+
+	matchSnapshot('disabled track', audio);
+}));
+
+test('scheduled start', () =>
+{
+	const context = OfflineAudio.start({ sampleRate: SAMPLE_RATE });
+
+	const buffer = context.createBuffer(1, SAMPLE_RATE, SAMPLE_RATE);
+	buffer.getChannelData(0).fill(0.5);
+
+	const source = context.createBufferSource();
+	source.buffer = buffer;
+	source.connect(context.destination);
+	source.start(0.5);
+
+	OfflineAudio.render(1.0);
+
+	const data = OfflineAudio.stop().channels[0];
+
+	assert.equal(rms(data, 0, 0.5*SAMPLE_RATE), 0);
+	assert.equal(data[0.5*SAMPLE_RATE], 0.5);
+});